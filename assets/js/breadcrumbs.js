@@ -0,0 +1,235 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Breadcrumbs
+ * ==========================================================================
+ * Description: Renders a breadcrumb trail into an <ol> and collapses the
+ * middle of long trails into an ellipsis menu.
+ *
+ * Crumb shape:
+ * { id, label, icon, onSelect }
+ *   icon     : Optional image URL shown instead of the label (label becomes alt text)
+ *   onSelect : Called when the crumb is clicked; the last crumb is the
+ *              current page and is never clickable
+ *
+ * Escape is not handled here: the owner closes the ellipsis menu with
+ * closeOverflowMenu(), e.g. from its keyboard shortcuts
+ * ==========================================================================
+ */
+
+class Breadcrumbs {
+    /**
+     * @param {Object} options - Breadcrumb options
+     * @param {SafeRenderer} options.renderer - Renderer used to build the trail
+     * @param {HTMLElement} options.list - The breadcrumb <ol>
+     * @param {number} [options.maxVisible] - Crumbs shown before the trail collapses
+     * @param {string} [options.separator] - Separator text between crumbs
+     */
+    constructor({ renderer, list, maxVisible = 4, separator = '>' }) {
+        this.renderer = renderer;
+        this.list = list;
+        this.maxVisible = maxVisible;
+        this.separator = separator;
+        this.crumbs = [];
+
+        this.handleDocumentClick = (e) => {
+            if (!e.target.closest('.dashboard-breadcrumbs__overflow')) {
+                this.closeOverflowMenu();
+            }
+        };
+
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * Render a trail
+     * @param {Array<Object>} crumbs - Crumbs from the root to the current page
+     */
+    render(crumbs) {
+        this.crumbs = crumbs;
+
+        const r = this.renderer;
+        const { visible, hidden } = this.collapse(crumbs);
+        const items = [];
+
+        visible.forEach((crumb, index) => {
+            if (index > 0) {
+                items.push(r.el('li', { attrs: { 'aria-hidden': 'true' } }, [
+                    r.el('span', { className: 'dashboard-breadcrumbs__separator', text: this.separator })
+                ]));
+            }
+
+            items.push(crumb === null
+                ? this.createOverflowItem(hidden)
+                : r.el('li', {}, [this.createCrumb(crumb, crumb === crumbs[crumbs.length - 1])]));
+        });
+
+        this.list.replaceChildren(...items);
+    }
+
+    /**
+     * Split a trail into visible crumbs and crumbs hidden behind the ellipsis
+     * The first crumb and the last (maxVisible - 2) crumbs stay visible
+     * @param {Array<Object>} crumbs - Full trail
+     * @returns {Object} - { visible, hidden } where null in visible marks the ellipsis
+     */
+    collapse(crumbs) {
+        if (crumbs.length <= this.maxVisible) {
+            return { visible: crumbs, hidden: [] };
+        }
+
+        const tailLength = Math.max(1, this.maxVisible - 2);
+        const tailStart = crumbs.length - tailLength;
+
+        return {
+            visible: [crumbs[0], null, ...crumbs.slice(tailStart)],
+            hidden: crumbs.slice(1, tailStart)
+        };
+    }
+
+    /**
+     * Build a single crumb
+     * @param {Object} crumb - Crumb to render
+     * @param {boolean} isCurrent - True for the last crumb (current page)
+     * @returns {HTMLElement} - Crumb element
+     */
+    createCrumb(crumb, isCurrent) {
+        const r = this.renderer;
+        const content = crumb.icon
+            ? r.el('img', { className: 'dashboard-breadcrumbs__icon', attrs: { src: crumb.icon, alt: crumb.label } })
+            : crumb.label;
+
+        if (isCurrent || typeof crumb.onSelect !== 'function') {
+            return r.el('span', {
+                className: 'dashboard-breadcrumbs__item',
+                attrs: { 'aria-current': isCurrent ? 'page' : null },
+                dataset: { crumb: crumb.id }
+            }, [content]);
+        }
+
+        const button = r.el('button', {
+            className: 'dashboard-breadcrumbs__item dashboard-breadcrumbs__item--link',
+            attrs: { type: 'button' },
+            dataset: { crumb: crumb.id }
+        }, [content]);
+
+        button.addEventListener('click', () => crumb.onSelect());
+
+        return button;
+    }
+
+    /**
+     * Build the ellipsis item with a menu of the hidden crumbs
+     * @param {Array<Object>} hidden - Crumbs hidden behind the ellipsis
+     * @returns {HTMLElement} - List item
+     */
+    createOverflowItem(hidden) {
+        const r = this.renderer;
+
+        const toggle = r.el('button', {
+            className: 'dashboard-breadcrumbs__ellipsis',
+            attrs: {
+                type: 'button',
+                'aria-haspopup': 'true',
+                'aria-expanded': 'false',
+                'aria-label': `Show ${hidden.length} more ${hidden.length === 1 ? 'level' : 'levels'}`
+            },
+            text: '…'
+        });
+
+        const menu = r.el('ul', {
+            className: 'dashboard-breadcrumbs__menu',
+            attrs: { role: 'menu', hidden: true }
+        }, hidden.map(crumb => {
+            const item = r.el('button', {
+                className: 'dashboard-breadcrumbs__menu-item',
+                attrs: { type: 'button', role: 'menuitem' },
+                dataset: { crumb: crumb.id },
+                text: crumb.label
+            });
+
+            item.addEventListener('click', () => {
+                this.closeOverflowMenu();
+                crumb.onSelect?.();
+            });
+
+            return r.el('li', { attrs: { role: 'none' } }, [item]);
+        }));
+
+        toggle.addEventListener('click', () => {
+            if (this.isOverflowMenuOpen()) {
+                this.closeOverflowMenu();
+            } else {
+                this.openOverflowMenu();
+            }
+        });
+
+        menu.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+            e.preventDefault();
+            const items = [...menu.querySelectorAll('[role="menuitem"]')];
+            const index = items.indexOf(document.activeElement);
+            const offset = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + offset + items.length) % items.length]?.focus();
+        });
+
+        return r.el('li', { className: 'dashboard-breadcrumbs__overflow' }, [toggle, menu]);
+    }
+
+    /**
+     * Open the ellipsis menu and focus its first item
+     */
+    openOverflowMenu() {
+        const toggle = this.list.querySelector('.dashboard-breadcrumbs__ellipsis');
+        const menu = this.list.querySelector('.dashboard-breadcrumbs__menu');
+        if (!toggle || !menu) return;
+
+        menu.hidden = false;
+        toggle.setAttribute('aria-expanded', 'true');
+
+        setTimeout(() => menu.querySelector('[role="menuitem"]')?.focus(), 100);
+    }
+
+    /**
+     * Close the ellipsis menu
+     * @param {Object} [options] - Close options
+     * @param {boolean} [options.focusToggle] - Return focus to the ellipsis button
+     */
+    closeOverflowMenu({ focusToggle = false } = {}) {
+        const toggle = this.list.querySelector('.dashboard-breadcrumbs__ellipsis');
+        const menu = this.list.querySelector('.dashboard-breadcrumbs__menu');
+        if (!toggle || !menu || menu.hidden) return;
+
+        menu.hidden = true;
+        toggle.setAttribute('aria-expanded', 'false');
+
+        if (focusToggle) toggle.focus();
+    }
+
+    /**
+     * Check whether the ellipsis menu is open
+     * @returns {boolean} - True when open
+     */
+    isOverflowMenuOpen() {
+        const menu = this.list.querySelector('.dashboard-breadcrumbs__menu');
+        return !!menu && !menu.hidden;
+    }
+
+    /**
+     * Change how many crumbs are shown before collapsing, and re-render
+     * @param {number} maxVisible - Crumbs shown before the trail collapses
+     */
+    setMaxVisible(maxVisible) {
+        if (maxVisible === this.maxVisible) return;
+
+        this.maxVisible = maxVisible;
+        this.render(this.crumbs);
+    }
+
+    /**
+     * Remove document listeners
+     */
+    destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
+    }
+}
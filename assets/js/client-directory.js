@@ -0,0 +1,156 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Client Directory
+ * ==========================================================================
+ * Description: The clients that can be opened in the dashboard, from the
+ * "clients" section of the dashboard data, with search and the recently
+ * viewed clients behind the client switcher.
+ *
+ * Directory entry shape:
+ * { id, name, summary }   // id is the reference number, e.g. 'LW-SC190-0020'
+ *
+ * Search matches the name (any word) and the reference number; spaces,
+ * dashes and case are ignored in reference numbers, so 'sc190 0020' finds
+ * LW-SC190-0020. Recently viewed client IDs are kept in storage
+ * (localStorage by default), most recent first.
+ * ==========================================================================
+ */
+
+class ClientDirectory {
+    /**
+     * @param {Object} [options] - Directory options
+     * @param {Storage|null} [options.storage] - Storage for the recent clients (memory only when null)
+     * @param {string} [options.storageKey] - Key the recent clients are stored under
+     * @param {number} [options.recentLimit] - Number of recent clients to keep
+     */
+    constructor({ storage = window.localStorage, storageKey = 'webmotion.recentClients', recentLimit = 5 } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.recentLimit = recentLimit;
+        this.clients = [];
+        this.recentIds = this.readRecent();
+    }
+
+    /**
+     * Replace the directory
+     * @param {Array<Object>} entries - Directory entries ({ id, name, summary })
+     */
+    setClients(entries = []) {
+        this.clients = entries.map(entry => ({
+            id: String(entry.id),
+            name: String(entry.name),
+            summary: entry.summary ? String(entry.summary) : ''
+        }));
+    }
+
+    /**
+     * @param {string} clientId - Client ID
+     * @returns {Object|null} - Directory entry, or null for an unknown client
+     */
+    get(clientId) {
+        const entry = this.clients.find(client => client.id === String(clientId));
+        return entry ? { ...entry } : null;
+    }
+
+    /**
+     * Find clients by name or reference number
+     * Matches at the start of the name, a word or the reference number come first
+     * @param {string} query - Search text
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit] - Maximum number of results
+     * @returns {Array<Object>} - Matching directory entries
+     */
+    search(query, { limit = 8 } = {}) {
+        const text = String(query || '').trim().toLowerCase();
+        if (!text) return [];
+
+        const reference = ClientDirectory.toReference(text);
+
+        return this.clients
+            .map(client => {
+                const name = client.name.toLowerCase();
+                const id = ClientDirectory.toReference(client.id);
+                const words = name.split(/\s+/);
+
+                let rank = null;
+                if (name.startsWith(text) || (reference && id.startsWith(reference))) {
+                    rank = 0;
+                } else if (words.some(word => word.startsWith(text))) {
+                    rank = 1;
+                } else if (name.includes(text) || (reference && id.includes(reference))) {
+                    rank = 2;
+                }
+
+                return { client, rank };
+            })
+            .filter(match => match.rank !== null)
+            .sort((a, b) => a.rank - b.rank || a.client.name.localeCompare(b.client.name))
+            .slice(0, limit)
+            .map(match => ({ ...match.client }));
+    }
+
+    /**
+     * Recently viewed clients that are still in the directory, most recent first
+     * @returns {Array<Object>} - Directory entries
+     */
+    getRecent() {
+        return this.recentIds.map(id => this.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Move a client to the top of the recent clients
+     * @param {string} clientId - Client ID
+     */
+    recordVisit(clientId) {
+        const id = String(clientId);
+        this.recentIds = [id, ...this.recentIds.filter(recentId => recentId !== id)].slice(0, this.recentLimit);
+        this.writeRecent();
+    }
+
+    /**
+     * Forget the recent clients (e.g. when signing out)
+     */
+    clear() {
+        this.recentIds = [];
+
+        try {
+            this.storage?.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Unable to clear recent clients:', error);
+        }
+    }
+
+    /**
+     * Read the persisted recent client IDs
+     * @returns {Array<string>} - Client IDs
+     */
+    readRecent() {
+        try {
+            const stored = JSON.parse(this.storage?.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored.map(String).slice(0, this.recentLimit) : [];
+        } catch (error) {
+            console.warn('Unable to read recent clients from storage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the recent client IDs
+     */
+    writeRecent() {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.recentIds));
+        } catch (error) {
+            console.warn('Unable to persist recent clients:', error);
+        }
+    }
+
+    /**
+     * Reduce a reference number to letters and digits for matching
+     * @param {string} value - Reference number or search text
+     * @returns {string} - Lower-case letters and digits
+     */
+    static toReference(value) {
+        return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Client Record
+ * ==========================================================================
+ * Description: The client shown in the profile card, from the "client"
+ * section of the dashboard data.
+ *
+ * Record shape:
+ * {
+ *   id, name,
+ *   dateOfBirth,                      // ISO date, the age is computed from it
+ *   photo,                            // Image URL (defaults to the avatar icon)
+ *   summary: { label, value },        // Line under the name
+ *   details: [{ label, value, type }],// Info rows, formatted by field type
+ *   document: {
+ *     title,
+ *     number: { label, value },
+ *     status, statusLabel,            // status picks the tag colour
+ *     type: { label, value },
+ *     milestones: [{ label, value, type }],
+ *     usersLabel,
+ *     users: ['Ethan Roberts', ...]   // Associated users
+ *   }
+ * }
+ *
+ * Every change is reported to onChange with the names of the changed
+ * top-level fields, so the card can be re-rendered.
+ * ==========================================================================
+ */
+
+class ClientRecord {
+    /**
+     * @param {Object} [options] - Record options
+     * @param {Function} [options.onChange] - Called with (action, record, changedKeys) after every change
+     */
+    constructor({ onChange = () => {} } = {}) {
+        this.onChange = onChange;
+        this.record = null;
+    }
+
+    /**
+     * Replace the record (e.g. when another client is opened)
+     * @param {Object|null} data - Client data, or null when no client is shown
+     * @returns {Object|null} - Copy of the new record
+     */
+    set(data) {
+        const previous = this.record || {};
+        const next = data ? ClientRecord.normalize(data) : null;
+
+        // Setting the same record again (e.g. on reload) is not a change
+        const changedKeys = [...new Set([...Object.keys(previous), ...Object.keys(next || {})])]
+            .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(next?.[key]));
+
+        this.record = next;
+        if (changedKeys.length > 0) {
+            this.onChange('set', this.get(), changedKeys);
+        }
+
+        return this.get();
+    }
+
+    /**
+     * Change fields of the record
+     * The document is merged, so { document: { status: 'approved' } } keeps its other fields
+     * @param {Object} changes - Fields to change
+     * @returns {Object} - Copy of the updated record
+     */
+    update(changes) {
+        if (!this.record) {
+            throw new Error('No client record to update');
+        }
+        if ('id' in changes && changes.id !== this.record.id) {
+            throw new Error('The client ID cannot be changed; use set() to show another client');
+        }
+
+        const next = ClientRecord.normalize({
+            ...this.record,
+            ...changes,
+            document: changes.document ? { ...this.record.document, ...changes.document } : this.record.document
+        });
+
+        const changedKeys = Object.keys(next).filter(key =>
+            JSON.stringify(next[key]) !== JSON.stringify(this.record[key])
+        );
+        if (changedKeys.length === 0) return this.get();
+
+        this.record = next;
+        this.onChange('updated', this.get(), changedKeys);
+
+        return this.get();
+    }
+
+    /**
+     * @returns {Object|null} - Copy of the record, or null when no client is shown
+     */
+    get() {
+        return this.record ? JSON.parse(JSON.stringify(this.record)) : null;
+    }
+
+    /**
+     * @returns {string|number|null} - ID of the client, or null when no client is shown
+     */
+    getId() {
+        return this.record?.id ?? null;
+    }
+
+    /**
+     * Age in whole years from the date of birth
+     * @param {Date} [now] - Reference date
+     * @returns {number|null} - Age, or null without a valid date of birth
+     */
+    getAge(now = new Date()) {
+        // Compare calendar dates: new Date('1993-05-14') is midnight UTC, which is
+        // still the 13th in local time west of UTC
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(this.record?.dateOfBirth || '');
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const birth = new Date(Date.UTC(year, month - 1, day));
+        if (birth.getUTCMonth() !== month - 1 || birth.getUTCDate() !== day) return null;
+
+        let age = now.getFullYear() - year;
+        const hadBirthday = now.getMonth() + 1 > month ||
+            (now.getMonth() + 1 === month && now.getDate() >= day);
+        if (!hadBirthday) age -= 1;
+
+        return age >= 0 ? age : null;
+    }
+
+    /**
+     * Fill in missing fields and validate the record
+     * @param {Object} data - Client data
+     * @returns {Object} - Normalized record
+     */
+    static normalize(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('A client record must be an object');
+        }
+        if (data.id === undefined || data.id === null || !data.name) {
+            throw new Error('A client record must include id and name');
+        }
+
+        const labelled = (item) => item && typeof item === 'object'
+            ? { ...item, label: String(item.label || ''), value: item.value ?? null }
+            : { label: '', value: item ?? null };
+
+        const document = data.document && typeof data.document === 'object' ? data.document : {};
+
+        return {
+            ...data,
+            id: data.id,
+            name: String(data.name),
+            dateOfBirth: data.dateOfBirth || null,
+            photo: data.photo || null,
+            summary: data.summary ? labelled(data.summary) : null,
+            details: (Array.isArray(data.details) ? data.details : []).map(labelled),
+            document: {
+                ...document,
+                title: String(document.title || ''),
+                number: document.number ? labelled(document.number) : null,
+                status: document.status ? String(document.status) : null,
+                statusLabel: document.statusLabel || null,
+                type: document.type ? labelled(document.type) : null,
+                milestones: (Array.isArray(document.milestones) ? document.milestones : []).map(labelled),
+                usersLabel: String(document.usersLabel || 'Associated Users'),
+                users: (Array.isArray(document.users) ? document.users : []).map(String)
+            }
+        };
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Command History
+ * ==========================================================================
+ * Description: Undo/redo stack of reversible operations.
+ *
+ * Every mutation is recorded after it has been applied, as a command:
+ * { label, undo, redo, ...metadata }
+ *   label : Shown to the user (e.g. 'Edit "Personal Details"')
+ *   undo  : Reverts the mutation (may return a Promise)
+ *   redo  : Applies the mutation again (may return a Promise)
+ *
+ * undo and redo report a failure by returning false or throwing; the
+ * command then stays on its stack, so it can be tried again.
+ *
+ * Mutations made while a command is being undone or redone are not
+ * recorded, so undo() and redo() can reuse the regular mutation methods.
+ * Recording a new command clears the redo stack. The oldest commands are
+ * dropped once the limit is reached.
+ * ==========================================================================
+ */
+
+class CommandHistory {
+    /**
+     * @param {Object} [options] - History options
+     * @param {number} [options.limit] - Maximum number of undoable commands
+     * @param {Function} [options.onChange] - Called with (action, state) after every change
+     */
+    constructor({ limit = 50, onChange = () => {} } = {}) {
+        this.limit = limit;
+        this.onChange = onChange;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false;
+        this.isPaused = false;
+    }
+
+    /**
+     * Record a mutation that has just been applied
+     * @param {Object} command - { label, undo, redo }
+     * @returns {boolean} - False when ignored (while undoing, redoing or paused)
+     */
+    record(command) {
+        if (this.isApplying || this.isPaused) return false;
+
+        if (typeof command?.undo !== 'function' || typeof command?.redo !== 'function') {
+            throw new Error('A command needs undo() and redo() functions');
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.limit);
+        }
+        this.redoStack = [];
+
+        this.onChange('record', this.getState());
+        return true;
+    }
+
+    /**
+     * Revert the most recent command
+     * @returns {Promise<Object|null>} - The undone command, or null when there is nothing to undo or it failed
+     */
+    async undo() {
+        return this.apply(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Apply the most recently undone command again
+     * @returns {Promise<Object|null>} - The redone command, or null when there is nothing to redo or it failed
+     */
+    async redo() {
+        return this.apply(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * Move a command between the stacks while running it
+     * @param {Array<Object>} from - Stack to take the command from
+     * @param {Array<Object>} to - Stack to push the command onto
+     * @param {string} action - 'undo' or 'redo'
+     * @returns {Promise<Object|null>} - The command, or null when the stack is empty, busy or the command failed
+     * @throws {Error} When the command throws (it stays on its stack)
+     */
+    async apply(from, to, action) {
+        if (this.isApplying || from.length === 0) return null;
+
+        const command = from.pop();
+        this.isApplying = true;
+
+        // A failed command goes back where it was, so the stacks still match the data
+        let succeeded = false;
+        try {
+            succeeded = (await command[action]()) !== false;
+        } finally {
+            (succeeded ? to : from).push(command);
+            this.isApplying = false;
+            this.onChange(action, { ...this.getState(), command, failed: !succeeded });
+        }
+
+        return succeeded ? command : null;
+    }
+
+    /**
+     * Run mutations without recording them
+     * Used when the caller records a single command for several mutations
+     * @param {Function} fn - Synchronous function making the mutations
+     * @returns {*} - Return value of fn
+     */
+    withoutRecording(fn) {
+        const wasPaused = this.isPaused;
+        this.isPaused = true;
+
+        try {
+            return fn();
+        } finally {
+            this.isPaused = wasPaused;
+        }
+    }
+
+    /**
+     * Drop commands, e.g. ones that refer to data that no longer exists
+     * @param {Function} [predicate] - Returns true for commands to drop (drops everything when omitted)
+     */
+    clear(predicate = () => true) {
+        const before = this.undoStack.length + this.redoStack.length;
+
+        this.undoStack = this.undoStack.filter(command => !predicate(command));
+        this.redoStack = this.redoStack.filter(command => !predicate(command));
+
+        if (this.undoStack.length + this.redoStack.length !== before) {
+            this.onChange('clear', this.getState());
+        }
+    }
+
+    /**
+     * @returns {boolean} - True when there is a command to undo
+     */
+    canUndo() {
+        return !this.isApplying && this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} - True when there is a command to redo
+     */
+    canRedo() {
+        return !this.isApplying && this.redoStack.length > 0;
+    }
+
+    /**
+     * Describe the history for toolbars
+     * @returns {Object} - { canUndo, canRedo, undoLabel, redoLabel, undoCount, redoCount }
+     */
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null,
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length
+        };
+    }
+}
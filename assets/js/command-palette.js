@@ -0,0 +1,148 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Command Palette
+ * ==========================================================================
+ * Description: Fuzzy search over the commands of the Ctrl+K command palette
+ * (tabs, menu items, field headings, clients and actions).
+ *
+ * Command shape:
+ * {
+ *   id,                 // Unique, e.g. 'tab:3' or 'action:start-timer'
+ *   group,              // Shown next to the label, e.g. 'Tab' or 'Action'
+ *   label,              // Text that is searched and shown
+ *   hint,               // Optional second line, e.g. the tab a field is on
+ *   keywords: [],       // Optional extra search terms (not highlighted)
+ *   run                 // Function called when the command is picked
+ * }
+ *
+ * A query matches when its letters appear in order in the label or a
+ * keyword ('opem' finds "Open email settings"). Letters at the start of
+ * words and runs of consecutive letters score higher, so 'oes' ranks
+ * "Open email settings" above labels that merely contain o, e and s.
+ * ==========================================================================
+ */
+
+class CommandPalette {
+    /**
+     * @param {Object} [options] - Palette options
+     * @param {number} [options.limit] - Maximum number of results
+     */
+    constructor({ limit = 50 } = {}) {
+        this.limit = limit;
+        this.commands = [];
+    }
+
+    /**
+     * Replace the commands that can be searched
+     * @param {Array<Object>} commands - Commands (see the shape above)
+     */
+    setCommands(commands) {
+        commands.forEach(command => {
+            if (!command.id || !command.label || typeof command.run !== 'function') {
+                throw new Error('Every command must include id, label and run');
+            }
+        });
+        this.commands = [...commands];
+    }
+
+    /**
+     * @param {string} commandId - Command ID
+     * @returns {Object|null} - The command
+     */
+    get(commandId) {
+        return this.commands.find(command => command.id === commandId) || null;
+    }
+
+    /**
+     * Find the commands matching a query, best match first
+     * Without a query every command is returned in the order it was added
+     * @param {string} query - Search text
+     * @returns {Array<Object>} - { command, score, matches } where matches are the label indices to highlight
+     */
+    search(query) {
+        const text = String(query || '').replace(/\s+/g, '').toLowerCase();
+
+        if (!text) {
+            return this.commands.slice(0, this.limit).map(command => ({ command, score: 0, matches: [] }));
+        }
+
+        return this.commands
+            .map((command, order) => {
+                const labelMatch = CommandPalette.fuzzyMatch(text, command.label);
+                const keywordScore = Math.max(-Infinity, ...(command.keywords || [])
+                    .map(keyword => CommandPalette.fuzzyMatch(text, keyword)?.score ?? -Infinity));
+
+                // Keywords count for a little less than the visible label
+                const score = Math.max(labelMatch?.score ?? -Infinity, keywordScore - 1);
+
+                return { command, order, score, matches: labelMatch?.indices || [] };
+            })
+            .filter(result => result.score > -Infinity)
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .slice(0, this.limit)
+            .map(({ command, score, matches }) => ({ command, score, matches }));
+    }
+
+    /**
+     * Match the letters of a query, in order, against a text
+     * @param {string} query - Lower-case query without spaces
+     * @param {string} text - Text to match
+     * @param {boolean} [preferWordStarts] - Jump ahead to word starts (retried without when that fails)
+     * @returns {Object|null} - { score, indices }, or null when the text does not match
+     */
+    static fuzzyMatch(query, text, preferWordStarts = true) {
+        const source = String(text);
+        const lower = source.toLowerCase();
+        const indices = [];
+        let score = 0;
+        let position = 0;
+
+        for (const char of query) {
+            // Prefer the next word start holding the letter, then its next occurrence
+            let index = -1;
+            for (let i = position; preferWordStarts && i < lower.length; i++) {
+                if (lower[i] === char && CommandPalette.isWordStart(source, i)) {
+                    index = i;
+                    break;
+                }
+            }
+            const next = lower.indexOf(char, position);
+            if (next === -1) {
+                return preferWordStarts ? CommandPalette.fuzzyMatch(query, text, false) : null;
+            }
+
+            // A consecutive letter beats jumping ahead to a word start
+            const previous = indices[indices.length - 1];
+            if (index === -1 || (previous !== undefined && next === previous + 1)) {
+                index = next;
+            }
+
+            score += 1;
+            if (CommandPalette.isWordStart(source, index)) score += 3;
+            if (previous !== undefined && index === previous + 1) score += 2;
+            if (previous !== undefined) score -= Math.min(index - previous - 1, 5) * 0.2;
+
+            indices.push(index);
+            position = index + 1;
+        }
+
+        // Earlier and shorter matches rank higher
+        score -= Math.min(indices[0], 10) * 0.1;
+        score -= source.length * 0.01;
+
+        return { score, indices };
+    }
+
+    /**
+     * @param {string} text - Text
+     * @param {number} index - Character index
+     * @returns {boolean} - True at the start of the text or of a word (after a space or punctuation, or a capital)
+     */
+    static isWordStart(text, index) {
+        if (index === 0) return true;
+
+        const previous = text[index - 1];
+        const char = text[index];
+        return /[\s\-_/.,:()›]/.test(previous) || (char !== char.toLowerCase() && previous === previous.toLowerCase());
+    }
+}
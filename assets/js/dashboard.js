@@ -15,118 +15,369 @@
  * ==========================================================================
  */
 
+/**
+ * Selectors of the dashboard regions, looked up inside the dashboard root
+ * Override them with the "selectors" constructor option
+ */
+const DASHBOARD_DEFAULT_SELECTORS = {
+    tabNavigation: '.tab-navigation',
+    tabContainer: '.tab-content-container',
+    navigation: '.dashboard-nav',
+    menu: '.dashboard-nav__menu',
+    content: '.dashboard-content',
+    menuButton: '.header-menu-btn',
+    breadcrumbs: '.dashboard-breadcrumbs__list',
+    filterSelects: '.content-frame__header .dropdown__select',
+    startTimerButton: '.btn.btn--primary',
+    autoSaveButton: '.header-icon-btn[aria-label="Auto-save notifications"]',
+    toastRegion: '#toast-region',
+    loginScreen: '#login-screen',
+    signedInRegions: '.dashboard-header, .dashboard-content'
+};
+
+/**
+ * Optional features, all enabled by default
+ * Disable them with the "features" constructor option (e.g. { router: false })
+ * The router is off for dashboards mounted inside an element unless they have a namespace
+ */
+const DASHBOARD_DEFAULT_FEATURES = {
+    router: true,
+    timer: true,
+    notifications: true,
+    emailPreferences: true,
+    breadcrumbs: true,
+    filters: true,
+    history: true,
+    trash: true,
+    idleTimeout: true,
+    clientSwitcher: true,
+    commandPalette: true
+};
+
 /**
  * Main Dashboard Application Class
  * Handles all dashboard functionality including tab management and content generation
  */
 class WebMotionDashboard {
     /**
-     * Initialize the dashboard with configuration data
+     * Initialize the dashboard inside a root element
+     * @param {Element|Document|string} [root] - Element (or selector) containing the dashboard markup
+     * @param {Object} [options] - Dashboard options
+     * @param {DashboardDataProvider} [options.dataProvider] - Source of the dashboard configuration
+     * @param {Object} [options.config] - Configuration to show instead of loading it from a data provider
+     * @param {NotificationSource|null} [options.notificationSource] - Live notification source
+     * @param {AuthSession|null} [options.session] - Sign-in session; without one there is no login screen
+     * @param {Object} [options.idle] - Automatic sign-out: { timeout, warning } in ms
+     * @param {Object} [options.selectors] - Overrides for DASHBOARD_DEFAULT_SELECTORS
+     * @param {Object} [options.features] - Overrides for DASHBOARD_DEFAULT_FEATURES
+     * @param {Object} [options.callbacks] - Functions called with the event detail, keyed by event name
+     * @param {string} [options.namespace] - Keeps the URL hash and localStorage of several dashboards on one page apart
+     * @param {boolean} [options.autoInit] - Call mount() right away (set to false to mount later)
      */
-    constructor() {
+    constructor(root = document, options = {}) {
+        // Previous signature: new WebMotionDashboard(dataProvider, { notificationSource })
+        if (root instanceof DashboardDataProvider) {
+            options = { ...options, dataProvider: root };
+            root = document;
+        }
+        
+        const {
+            dataProvider = null,
+            config = null,
+            notificationSource = null,
+            session = null,
+            idle = {},
+            selectors = {},
+            features = {},
+            callbacks = {},
+            namespace = '',
+            autoInit = true
+        } = options;
+        
+        this.root = typeof root === 'string' ? document.querySelector(root) : root;
+        if (!this.root) {
+            throw new Error(`Dashboard root not found: ${root}`);
+        }
+        
+        // Prefix of the route keys and storage keys (see getStorageKey())
+        this.namespace = namespace;
+        
+        this.selectors = { ...DASHBOARD_DEFAULT_SELECTORS, ...selectors };
+        
+        // Without a namespace the router is off by default for dashboards mounted inside an element,
+        // so they don't follow each other's tabs through the shared URL hash
+        this.features = {
+            ...DASHBOARD_DEFAULT_FEATURES,
+            router: DASHBOARD_DEFAULT_FEATURES.router && (this.root === document || Boolean(namespace)),
+            ...features
+        };
+        this.callbacks = callbacks;
+        
+        this.dataProvider = dataProvider || (config
+            ? new InMemoryDataProvider(config)
+            : createDataProvider({ trashKey: this.getStorageKey('trash') }));
+        
+        // Every listener is bound through a named group so re-binding replaces it and destroy() removes it
+        this.listeners = new ListenerRegistry();
+        this.isDestroyed = false;
+        
+        // Escape-safe DOM renderer used for all generated content
+        this.renderer = new SafeRenderer();
+        this.registerTrustedRenderers();
+        
+        // Per-type formatters for schema fields
+        this.formatters = new FieldFormatters(this.renderer);
+        
+        // Per-type form controls used by the inline edit mode
+        this.editors = new FieldEditors(this.renderer);
+        this.editSession = null;
+        
+        // State of the create-record wizard while it is open
+        this.recordWizard = null;
+        
+        // Undo/redo of configuration mutations (tabs added, removed or updated)
+        this.history = new CommandHistory({
+            limit: this.features.history ? 50 : 0,
+            onChange: (action, state) => this.handleHistoryChange(action, state)
+        });
+        
+        // Deleted records stay in the data provider's trash; deletions can be undone for a short while
+        this.trashEntries = [];
+        this.deleteUndoDuration = 8000;
+        
+        // Persistent time tracking behind the Start Timer button
+        this.timerInterval = null;
+        this.timer = new TimeTracker({
+            storageKey: this.getStorageKey('timer.sessions'),
+            onChange: (action, session) => this.handleTimerChange(action, session)
+        });
+        
+        // Toast notifications (success/info/warning/error)
+        this.toasts = new ToastManager({
+            renderer: this.renderer,
+            container: this.query(this.selectors.toastRegion)
+        });
+        
+        // Persisted email notification preferences (localStorage by default)
+        this.emailPreferences = new PreferencesStore({
+            schema: EMAIL_PREFERENCES_SCHEMA,
+            adapter: new LocalStoragePreferencesAdapter(this.getStorageKey('preferences.email'))
+        });
+        
+        // Live notification feed shown in the notification modal
+        this.notificationFeed = new NotificationFeed({
+            source: notificationSource,
+            storageKey: this.getStorageKey('notifications.read'),
+            onChange: (action, detail) => this.handleNotificationChange(action, detail)
+        });
+        
+        // Active menu item and tab are mirrored in the URL hash (#/menu-3/tab-4)
+        this.router = new HashRouter({
+            keys: ['menu', 'tab'],
+            namespace,
+            onRoute: (route) => this.applyRoute(route)
+        });
+        this.isApplyingRoute = false;
+        
+        this.timesheetExporter = new TimesheetExporter({
+            describeSession: (session) => this.describeTimerSession(session)
+        });
+        
+        // Client shown in the profile card (from config.client)
+        this.client = new ClientRecord({
+            onChange: (action, client, changedKeys) => this.handleClientChange(action, client, changedKeys)
+        });
+        
+        // Clients that can be opened from the header switcher (from config.clients), and
+        // whether a running timer keeps going when another client is opened
+        this.clientDirectory = new ClientDirectory({ storageKey: this.getStorageKey('recentClients') });
+        this.clientSwitcherPreferences = new PreferencesStore({
+            schema: CLIENT_SWITCHER_PREFERENCES_SCHEMA,
+            adapter: new LocalStoragePreferencesAdapter(this.getStorageKey('preferences.clientSwitcher'))
+        });
+        this.pendingClientId = null;
+        
+        // Ctrl+K command palette over tabs, menu items, fields, clients and actions
+        this.commandPalette = new CommandPalette();
+        this.commandPaletteReturnFocus = null;
+        
+        // Keyboard shortcuts of the whole dashboard, grouped in scopes (see registerShortcuts())
+        this.shortcuts = new ShortcutRegistry({ storageKey: this.getStorageKey('shortcuts') });
+        this.shortcutRecordingId = null;
+        this.shortcutHelpReturnFocus = null;
+        this.registerShortcuts();
+        
+        // Role-based permissions (roles come from config.permissions, the user's roles from
+        // the signed-in user or config.user)
+        this.permissions = new PermissionPolicy();
+        this.isAuthorized = false;
+        
+        // Sign-in session; the login screen is shown instead of the dashboard while signed out
+        this.session = session;
+        this.isSignedOut = false;
+        this.unsubscribeSession = session
+            ? session.subscribe((action, user) => this.handleSessionChange(action, user))
+            : null;
+        
+        // Signs the user out after a period without keyboard or pointer activity
+        this.idleMonitor = new IdleMonitor({
+            ...idle,
+            onWarn: (remaining) => this.openIdleDialog(remaining),
+            onTick: (remaining) => this.updateIdleCountdown(remaining),
+            onIdle: (lastActivity) => this.handleIdleTimeout(lastActivity)
+        });
+        
+        // Navigation menubar rendered from config.menu (created once the menu container is found)
+        this.navMenu = null;
+        
+        // Cascading filters for the content-frame dropdowns (definitions come from config)
+        this.filterEngine = new FilterEngine();
+        
+        // Configuration is populated from the data provider during init()
         this.config = {
-            // Tab configuration data
-            tabs: [
-                { 
-                    id: 1, 
-                    title: 'Lorem Ipsum', 
-                    country: { code: 'gb', name: 'United Kingdom' }, 
-                    addressType: 'Residential' 
-                },
-                { 
-                    id: 2, 
-                    title: 'Tab 2 Content', 
-                    country: { code: 'us', name: 'United States' }, 
-                    addressType: 'Commercial' 
-                },
-                { 
-                    id: 3, 
-                    title: 'Tab 3 Content', 
-                    country: { code: 'ca', name: 'Canada' }, 
-                    addressType: 'Industrial' 
-                },
-                { 
-                    id: 4, 
-                    title: 'Tab 4 Content', 
-                    country: { code: 'au', name: 'Australia' }, 
-                    addressType: 'Mixed' 
-                },
-                { 
-                    id: 5, 
-                    title: 'Tab 5 Content', 
-                    country: { code: 'de', name: 'Germany' }, 
-                    addressType: 'Rural' 
-                },
-                { 
-                    id: 6, 
-                    title: 'Tab 6 Content', 
-                    country: { code: 'fr', name: 'France' }, 
-                    addressType: 'Urban' 
-                }
-            ],
-            
-            // Content row configuration - first 5 main rows
-            contentRows: [
-                // Rows 1-3: Two columns only (third column empty)
-                [
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Dummy text', value: '-' }
-                ],
-                [
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' }
-                ],
-                [
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' }
-                ],
-                // Row 4: Three columns including country flag
-                [
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Country', value: '', isCountry: true }
-                ],
-                // Row 5: Three columns
-                [
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' }
-                ]
-            ],
-            
-            // Section rows after main content (appears after section heading)
-            sectionRows: [
-                [
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Address Type', value: '', isAddressType: true },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' }
-                ],
-                [
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' }
-                ],
-                [
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' },
-                    { heading: 'Lorem Ipsum', value: 'Simply dummy text' }
-                ]
-            ]
+            menu: [],
+            tabs: [],
+            schemas: {},
+            filters: [],
+            clients: []
         };
         
-        // Initialize the application
-        this.init();
+        // Resolves once data has been rendered (set by mount())
+        this.ready = null;
+        
+        if (autoInit) {
+            this.mount();
+        }
+    }
+    
+    /**
+     * Initialize the dashboard once; safe to call again
+     * @returns {Promise<void>} - Resolves once data has been rendered
+     */
+    mount() {
+        if (!this.ready) {
+            this.ready = this.init();
+        }
+        return this.ready;
+    }
+    
+    /**
+     * Find the first element matching a selector inside the dashboard root
+     * @param {string} selector - CSS selector
+     * @returns {Element|null} - Matching element
+     */
+    query(selector) {
+        return this.root.querySelector(selector);
+    }
+    
+    /**
+     * Find every element matching a selector inside the dashboard root
+     * @param {string} selector - CSS selector
+     * @returns {NodeList} - Matching elements
+     */
+    queryAll(selector) {
+        return this.root.querySelectorAll(selector);
+    }
+    
+    /**
+     * Find an element by ID inside the dashboard root
+     * @param {string} id - Element ID
+     * @returns {Element|null} - Matching element
+     */
+    getById(id) {
+        return this.root.querySelector(`#${id}`);
+    }
+    
+    /**
+     * Whether an event or element belongs to this dashboard
+     * Used by document-level handlers when several dashboards share a page
+     * @param {Node} target - Event target
+     * @returns {boolean} - True when the target is inside the root
+     */
+    contains(target) {
+        return this.root === document || this.root.contains(target);
+    }
+    
+    /**
+     * ID of an element generated by this dashboard (tabs, panels, fields, options)
+     * Prefixed with the namespace so dashboards on one page never share IDs
+     * @param {string} id - Element ID (e.g. 'tab-4')
+     * @returns {string} - 'tab-4', or '<namespace>-tab-4'
+     */
+    domId(id) {
+        return this.namespace ? `${this.namespace}-${id}` : id;
+    }
+    
+    /**
+     * localStorage key of this dashboard's data
+     * @param {string} name - Key name (e.g. 'timer.sessions')
+     * @returns {string} - 'webmotion.timer.sessions', or 'webmotion.<namespace>.timer.sessions'
+     */
+    getStorageKey(name) {
+        return ['webmotion', this.namespace, name].filter(Boolean).join('.');
     }
     
     /**
      * Initialize the dashboard application
-     * Sets up event listeners and generates initial content
+     * Loads data, sets up event listeners and generates initial content
+     * @returns {Promise<void>}
      */
-    init() {
+    async init() {
         try {
-            this.generateTabContent();
+            if (this.session && !(await this.session.restore())) {
+                if (!this.isDestroyed) this.showLoginScreen();
+                return;
+            }
+            
+            await this.loadData();
+            if (this.isDestroyed || this.isSignedOut) return;
+            
+            this.renderUser();
+            this.renderMenu();
+            this.renderTabs();
+            this.applyFeatureVisibility();
+            this.applyPermissionVisibility();
             this.bindEvents();
-            this.activateTab(1); // Ensure first tab is active
+            
+            // Ensure first tab is active
+            const firstTabId = this.getFirstVisibleTabId();
+            if (firstTabId !== null) {
+                this.activateTab(firstTabId);
+            }
+            
+            // Restore the menu item and tab from the URL (deep links, reloads)
+            if (this.features.router) {
+                this.router.start();
+            }
+            
+            if (this.features.breadcrumbs) this.bindBreadcrumbs();
+            if (this.features.filters) this.bindFilters();
+            this.bindRecordWizard();
+            if (this.features.trash) this.bindTrashModal();
+            this.bindShortcuts();
+            this.bindShortcutHelp();
+            if (this.features.clientSwitcher) this.bindClientSwitcher();
+            if (this.features.commandPalette) this.bindCommandPalette();
+            
+            // Pick up a timer that was running before the page was reloaded
+            if (this.features.timer) {
+                this.restoreTimer();
+            }
+            
+            if (this.features.emailPreferences) await this.loadEmailPreferences();
+            if (this.features.clientSwitcher) await this.loadClientSwitcherPreferences();
+            if (this.features.trash) await this.loadTrash();
+            if (this.isDestroyed || this.isSignedOut) return;
+            
+            // Start the live notification feed
+            if (this.features.notifications) {
+                this.renderNotifications();
+                this.notificationFeed.start();
+            }
+            
+            if (this.features.idleTimeout) {
+                this.startIdleMonitor();
+            }
             
             console.log('WebMotion Dashboard initialized successfully');
             
@@ -136,39 +387,301 @@ class WebMotionDashboard {
             });
             
         } catch (error) {
+            // A request answered with 401 has already ended the session
+            if (this.isSignedOut) return;
+            
             console.error('Failed to initialize WebMotion Dashboard:', error);
+            this.renderContainerState('error', 'Unable to load dashboard data.');
             this.handleError(error, 'initialization');
         }
     }
     
+    /**
+     * Load configuration from the data provider
+     * Shows the loading state while the request is in flight
+     * @returns {Promise<Object>} - The normalized configuration
+     */
+    async loadData() {
+        this.renderContainerState('loading', 'Loading…');
+        
+        const data = await this.dataProvider.load();
+        
+        // A reload keeps showing the client that was switched to
+        const clientId = this.getCurrentClientId();
+        if (clientId !== null && data?.client && String(data.client.id) !== String(clientId)) {
+            try {
+                Object.assign(data, await this.dataProvider.loadClient(clientId));
+            } catch (error) {
+                console.warn(`Unable to reload client ${clientId}, showing ${data.client.id} instead:`, error);
+            }
+        }
+        
+        this.config = this.normalizeConfig(data);
+        
+        // Apply locale settings from the data source to the formatters
+        this.formatters.locale = this.config.locale || this.formatters.locale;
+        this.formatters.currency = this.config.currency || this.formatters.currency;
+        
+        this.filterEngine.setDefinitions(this.config.filters);
+        this.clientDirectory.setClients(this.config.clients);
+        this.client.set(this.config.client || null);
+        
+        this.permissions.configure({
+            roles: this.config.permissions?.roles,
+            userRoles: this.session?.getUser()?.roles ?? this.config.user?.roles
+        });
+        
+        console.log(`Loaded ${this.config.tabs.length} tabs from ${this.dataProvider.constructor.name}`);
+        
+        return this.config;
+    }
+    
+    /**
+     * Validate provider data and fill in missing collections
+     * @param {Object} data - Raw data returned by the provider
+     * @returns {Object} - Configuration safe to render
+     */
+    normalizeConfig(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Data provider returned no configuration');
+        }
+        
+        const tabs = Array.isArray(data.tabs) ? data.tabs : [];
+        tabs.forEach(tab => {
+            if (tab.id === undefined || !tab.title) {
+                throw new Error('Every tab must include id and title');
+            }
+        });
+        
+        const schemas = data.schemas && typeof data.schemas === 'object' ? data.schemas : {};
+        
+        // Every field needs a key, and a type the formatters know
+        Object.entries(schemas).forEach(([name, schema]) => {
+            (schema.sections || []).forEach(section => {
+                (section.rows || []).flat().forEach(field => {
+                    if (!field.key) {
+                        throw new Error(`Schema "${name}" has a field without a key`);
+                    }
+                    if (field.type && !this.formatters.has(field.type)) {
+                        console.warn(`Schema "${name}" field "${field.key}" has unknown type "${field.type}"`);
+                    }
+                });
+            });
+        });
+        
+        const filters = Array.isArray(data.filters) ? data.filters : [];
+        
+        // Menu items need an id and a label at every level; ids must be unique
+        const menu = Array.isArray(data.menu) ? data.menu : [];
+        const menuIds = new Set();
+        const checkMenuItems = (items) => items.forEach(item => {
+            if (item.id === undefined || item.id === null || !item.label) {
+                throw new Error('Every menu item must include id and label');
+            }
+            if (menuIds.has(String(item.id))) {
+                throw new Error(`Duplicate menu item id "${item.id}"`);
+            }
+            menuIds.add(String(item.id));
+            checkMenuItems(Array.isArray(item.children) ? item.children : []);
+        });
+        checkMenuItems(menu);
+        
+        // Clients listed in the switcher need an id (reference number) and a name
+        const clients = Array.isArray(data.clients) ? data.clients : [];
+        clients.forEach(entry => {
+            if (entry.id === undefined || entry.id === null || !entry.name) {
+                throw new Error('Every client must include id and name');
+            }
+        });
+        
+        return {
+            ...data,
+            menu: menu,
+            tabs: tabs,
+            schemas: schemas,
+            filters: filters,
+            clients: clients
+        };
+    }
+    
+    /**
+     * Re-fetch data from the provider and re-render all tabs
+     * Keeps the currently active tab selected when it still exists
+     * @returns {Promise<void>}
+     */
+    async reload() {
+        const previousTabId = this.getActiveTabId();
+        
+        try {
+            await this.loadData();
+            this.renderMenu();
+            this.renderTabs();
+            this.applyPermissionVisibility();
+            this.bindTabButtons();
+            
+            // Recorded steps refer to the configuration that was just replaced
+            this.history.clear();
+            
+            const stillExists = this.config.tabs.some(tab => tab.id === previousTabId && this.canViewTab(tab));
+            const tabId = stillExists ? previousTabId : this.getFirstVisibleTabId();
+            if (tabId !== null) {
+                this.activateTab(tabId);
+            }
+            
+            console.log('Dashboard reloaded successfully');
+            
+            // Dispatch reload event
+            this.dispatchCustomEvent('dashboardReloaded', {
+                tabCount: this.config.tabs.length
+            });
+            
+        } catch (error) {
+            if (this.isSignedOut) return;
+            
+            console.error('Error reloading dashboard:', error);
+            this.renderContainerState('error', 'Unable to load dashboard data.');
+            this.handleError(error, 'reload', {
+                notify: true,
+                message: `Dashboard data could not be reloaded: ${error.message}`
+            });
+        }
+    }
+    
+    /**
+     * Render tab buttons and panels, or the empty state when there are no tabs
+     */
+    renderTabs() {
+        // Panels are rebuilt, so any open edit session is discarded
+        this.exitEditMode({ restore: false });
+        this.generateTabNavigation();
+        
+        if (this.config.tabs.length === 0) {
+            this.renderContainerState('empty', 'No records to display.');
+            return;
+        }
+        
+        this.generateTabContent();
+        this.applyFilters();
+    }
+    
+    /**
+     * Render the navigation menubar from config.menu
+     * The active menu item is kept when it still exists after a reload
+     */
+    renderMenu() {
+        const container = this.query(this.selectors.menu);
+        if (!container) {
+            console.warn('Navigation menu not found');
+            return;
+        }
+        
+        if (this.navMenu?.container !== container) {
+            this.navMenu = new NavMenu({
+                renderer: this.renderer,
+                container: container,
+                idPrefix: this.domId(''),
+                onSelect: (menuItem) => this.setActiveMenuItem(menuItem)
+            });
+        }
+        
+        this.navMenu.render(this.getVisibleMenuItems(this.config.menu));
+    }
+    
+    /**
+     * Drop the menu items the user is not allowed to see
+     * Items whose children are all dropped are dropped as well
+     * @param {Array<Object>} items - Menu item configuration
+     * @returns {Array<Object>} - Visible menu items
+     */
+    getVisibleMenuItems(items) {
+        return items
+            .filter(item => this.permissions.allows(item.requires))
+            .map(item => Array.isArray(item.children)
+                ? { ...item, children: this.getVisibleMenuItems(item.children) }
+                : item)
+            .filter(item => !Array.isArray(item.children) || item.children.length > 0);
+    }
+    
+    /**
+     * Update the count badge of a menu item
+     * @param {string|number} menuId - Menu item id (as in config.menu)
+     * @param {number|string|null} count - New count (0 or null hides the badge)
+     */
+    setMenuBadge(menuId, count) {
+        const setBadge = (items) => items.some(item => {
+            if (String(item.id) === String(menuId)) {
+                item.badge = count;
+                return true;
+            }
+            return setBadge(item.children || []);
+        });
+        
+        if (!setBadge(this.config.menu) || !this.navMenu?.setBadge(menuId, count)) {
+            console.warn(`Menu item "${menuId}" not found`);
+        }
+    }
+    
+    /**
+     * Replace the tab content container with a loading, empty or error message
+     * @param {string} state - 'loading', 'empty' or 'error'
+     * @param {string} message - Message shown to the user
+     */
+    renderContainerState(state, message) {
+        const container = this.query(this.selectors.tabContainer);
+        if (!container) return;
+        
+        const stateElement = document.createElement('div');
+        stateElement.className = `tab-content-container__state tab-content-container__state--${state}`;
+        stateElement.setAttribute('role', state === 'error' ? 'alert' : 'status');
+        stateElement.textContent = message;
+        
+        container.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+        container.replaceChildren(stateElement);
+    }
+    
+    /**
+     * Generate tab navigation buttons from configuration
+     */
+    generateTabNavigation() {
+        const tabNav = this.query(this.selectors.tabNavigation);
+        if (!tabNav) {
+            throw new Error('Tab navigation not found');
+        }
+        
+        tabNav.replaceChildren(...this.config.tabs.map(tab => this.createTabButton(tab)));
+    }
+    
+    /**
+     * Create a tab navigation button element
+     * @param {Object} tabConfig - Configuration object for the tab
+     * @returns {HTMLElement} - The created tab button element
+     */
+    createTabButton(tabConfig) {
+        const button = document.createElement('button');
+        button.className = 'tab-navigation__button';
+        button.type = 'button';
+        button.setAttribute('role', 'tab');
+        button.setAttribute('aria-selected', 'false');
+        button.setAttribute('aria-controls', this.domId(`tab-panel-${tabConfig.id}`));
+        button.id = this.domId(`tab-${tabConfig.id}`);
+        button.textContent = tabConfig.label || `Tab ${tabConfig.id}`;
+        
+        return button;
+    }
+    
     /**
      * Generate tab content dynamically from configuration
      * Creates tab panels and populates them with data
      */
     generateTabContent() {
-        const container = document.querySelector('.tab-content-container');
+        const container = this.query(this.selectors.tabContainer);
         if (!container) {
             throw new Error('Tab content container not found');
         }
         
-        // Clear existing content except first tab
-        const existingTabs = container.querySelectorAll('.tab-content:not(#tab-panel-1)');
-        existingTabs.forEach(tab => tab.remove());
-        
-        // Generate content for all tabs
-        this.config.tabs.forEach((tab, index) => {
-            if (index === 0) {
-                // First tab already exists in HTML, just populate it
-                const firstTab = document.getElementById('tab-panel-1');
-                if (firstTab) {
-                    this.populateTabContent(firstTab, tab);
-                }
-            } else {
-                // Create new tab panels for tabs 2-6
-                const tabPanel = this.createTabPanel(tab);
-                container.appendChild(tabPanel);
-            }
-        });
+        // Replace any loading/empty state or previously generated panels
+        container.setAttribute('aria-busy', 'false');
+        container.replaceChildren(...this.config.tabs.map(tab => this.createTabPanel(tab)));
         
         console.log(`Generated content for ${this.config.tabs.length} tabs`);
     }
@@ -181,9 +694,9 @@ class WebMotionDashboard {
     createTabPanel(tabConfig) {
         const panel = document.createElement('div');
         panel.className = 'tab-content';
-        panel.id = `tab-panel-${tabConfig.id}`;
+        panel.id = this.domId(`tab-panel-${tabConfig.id}`);
         panel.setAttribute('role', 'tabpanel');
-        panel.setAttribute('aria-labelledby', `tab-${tabConfig.id}`);
+        panel.setAttribute('aria-labelledby', this.domId(`tab-${tabConfig.id}`));
         
         this.populateTabContent(panel, tabConfig);
         
@@ -192,147 +705,327 @@ class WebMotionDashboard {
     
     /**
      * Populate tab content with data from configuration
+     * Builds DOM nodes directly so configuration values are always escaped
      * @param {HTMLElement} panel - The tab panel element to populate
      * @param {Object} tabConfig - Configuration object for the tab
      */
     populateTabContent(panel, tabConfig) {
-        const prefix = tabConfig.id === 1 ? '' : `Tab ${tabConfig.id} - `;
+        const r = this.renderer;
+        const schema = this.getTabSchema(tabConfig);
         
-        panel.innerHTML = `
-            <h2 class="tab-content__heading">${tabConfig.title}</h2>
-            <div class="tab-content__rows">
-                ${this.generateContentRows(tabConfig, prefix)}
-                
-                <!-- Section Heading -->
-                <div class="tab-content__section-heading">
-                    <h3 class="tab-content__section-title">${prefix}Lorem Ipsum</h3>
-                </div>
-                
-                ${this.generateSectionRows(tabConfig, prefix)}
-            </div>
-        `;
+        // Restricted records are not rendered at all (their tab is hidden by applyFilters)
+        if (!this.canViewTab(tabConfig)) {
+            panel.replaceChildren();
+            return;
+        }
+        
+        panel.replaceChildren(
+            r.el('h2', { className: 'tab-content__heading', text: tabConfig.title }),
+            r.el('div', { className: 'tab-content__rows' },
+                schema.sections.map((section, sectionIndex) => this.generateSection(tabConfig, section, sectionIndex))
+            )
+        );
     }
     
     /**
-     * Generate HTML for main content rows
+     * Resolve the field schema declared by a tab
      * @param {Object} tabConfig - Tab configuration object
-     * @param {string} prefix - Text prefix for tab-specific content
-     * @returns {string} - Generated HTML string
-     */
-    generateContentRows(tabConfig, prefix) {
-        return this.config.contentRows.map(row => {
-            const columns = row.map(item => {
-                let value = item.value;
-                let heading = prefix + item.heading;
-                
-                // Handle special country column
-                if (item.isCountry) {
-                    value = `
-                        <img src="https://flagcdn.com/w20/${tabConfig.country.code}.png" 
-                             alt="${tabConfig.country.name} Flag" 
-                             class="tab-content__country-flag"
-                             loading="lazy">
-                        ${tabConfig.country.name}
-                    `;
-                    heading = prefix + 'Country';
-                }
-                
-                return `
-                    <div class="tab-content__item">
-                        <div class="tab-content__item-heading">${heading}</div>
-                        <div class="tab-content__item-value">${value}</div>
-                    </div>
-                `;
-            }).join('');
-            
-            // Add empty columns if row has less than 3 items
-            const emptyColumns = Math.max(0, 3 - row.length);
-            const emptyColumnHTML = '<div class="tab-content__item"></div>';
-            
-            return `
-                <div class="tab-content__row">
-                    ${columns}
-                    ${emptyColumnHTML.repeat(emptyColumns)}
-                </div>
-            `;
-        }).join('');
+     * @returns {Object} - Schema with a sections array
+     */
+    getTabSchema(tabConfig) {
+        const schema = typeof tabConfig.schema === 'string'
+            ? this.config.schemas[tabConfig.schema]
+            : tabConfig.schema;
+        
+        if (!schema) {
+            console.warn(`No schema found for tab ${tabConfig.id}`);
+            return { sections: [] };
+        }
+        
+        return {
+            ...schema,
+            sections: Array.isArray(schema.sections) ? schema.sections : []
+        };
     }
     
     /**
-     * Generate HTML for section rows (after section heading)
+     * Get the value of a schema field for a tab
+     * Values are read from tabConfig.data, falling back to top-level tab properties
+     * (e.g. 'country' and 'addressType')
      * @param {Object} tabConfig - Tab configuration object
-     * @param {string} prefix - Text prefix for tab-specific content
-     * @returns {string} - Generated HTML string
-     */
-    generateSectionRows(tabConfig, prefix) {
-        return this.config.sectionRows.map(row => {
-            const columns = row.map(item => {
-                let value = item.value;
-                let heading = prefix + item.heading;
-                
-                // Handle special address type column
-                if (item.isAddressType) {
-                    value = tabConfig.addressType;
-                    heading = prefix + 'Address Type';
-                }
-                
-                return `
-                    <div class="tab-content__item">
-                        <div class="tab-content__item-heading">${heading}</div>
-                        <div class="tab-content__item-value">${value}</div>
-                    </div>
-                `;
-            }).join('');
+     * @param {Object} field - Field definition from the schema
+     * @returns {*} - Raw field value
+     */
+    getFieldValue(tabConfig, field) {
+        return tabConfig.data?.[field.key] ?? tabConfig[field.key];
+    }
+    
+    /**
+     * Generate nodes for a schema section (optional heading followed by rows)
+     * @param {Object} tabConfig - Tab configuration object
+     * @param {Object} section - Section definition with title and rows
+     * @param {number} sectionIndex - Position of the section in the schema
+     * @returns {DocumentFragment} - Generated section
+     */
+    generateSection(tabConfig, section, sectionIndex) {
+        const r = this.renderer;
+        
+        return r.fragment([
+            section.title ? r.el('div', {
+                className: 'tab-content__section-heading',
+                dataset: { section: sectionIndex }
+            }, [
+                r.el('h3', { className: 'tab-content__section-title', text: section.title })
+            ]) : null,
             
-            return `
-                <div class="tab-content__row">
-                    ${columns}
-                </div>
-            `;
-        }).join('');
+            this.generateContentRows(tabConfig, section.rows || [], sectionIndex)
+        ]);
     }
     
     /**
-     * Bind event listeners for user interactions
-     * Sets up click and keyboard event handlers for tabs
+     * Create a single heading/value item
+     * @param {Object} field - Field definition from the schema
+     * @param {Node|string} value - Formatted value (strings are rendered as text)
+     * @returns {HTMLElement} - The item element
      */
-    bindEvents() {
-        const tabButtons = document.querySelectorAll('.tab-navigation__button');
-        
-        if (tabButtons.length === 0) {
-            throw new Error('No tab buttons found');
-        }
+    createContentItem(field, value) {
+        const r = this.renderer;
+        const span = Math.min(Math.max(parseInt(field.span, 10) || 1, 1), 3);
+        
+        return r.el('div', {
+            className: `tab-content__item tab-content__item--${field.type || 'text'}${span > 1 ? ` tab-content__item--span-${span}` : ''}`,
+            dataset: { field: field.key }
+        }, [
+            r.el('div', { className: 'tab-content__item-heading', text: field.label }),
+            r.el('div', { className: 'tab-content__item-value' }, [value])
+        ]);
+    }
+    
+    /**
+     * Generate nodes for content rows from schema fields and tab data
+     * @param {Object} tabConfig - Tab configuration object
+     * @param {Array<Array<Object>>} rows - Rows of field definitions
+     * @param {number} [sectionIndex] - Section the rows belong to (used by filters)
+     * @returns {DocumentFragment} - Generated rows
+     */
+    generateContentRows(tabConfig, rows, sectionIndex = 0) {
+        const r = this.renderer;
         
-        tabButtons.forEach(button => {
-            // Click event for tab activation
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                const tabId = this.extractTabId(button.id);
-                if (tabId) {
-                    this.activateTab(tabId);
-                }
-            });
+        return r.fragment(rows.map((row, rowIndex) => {
+            const columns = row.map(field =>
+                this.createContentItem(field, this.formatters.format(this.getFieldValue(tabConfig, field), field))
+            );
             
-            // Keyboard navigation support
-            button.addEventListener('keydown', (e) => {
-                this.handleTabKeyNavigation(e, button);
-            });
+            return r.el('div', {
+                className: 'tab-content__row',
+                dataset: { section: sectionIndex, row: rowIndex }
+            }, columns);
+        }));
+    }
+    
+    /**
+     * Register renderers allowed to output markup for configuration cells
+     */
+    registerTrustedRenderers() {
+        // Country flag image followed by the country name
+        this.renderer.registerTrusted('country', (country, context, r) => {
+            if (!country) return '';
+            
+            const code = String(country.code || '').toLowerCase();
+            
+            return [
+                /^[a-z]{2}$/.test(code) ? r.el('img', {
+                    className: 'tab-content__country-flag',
+                    attrs: {
+                        src: `https://flagcdn.com/w20/${code}.png`,
+                        alt: `${country.name} Flag`,
+                        loading: 'lazy'
+                    }
+                }) : null,
+                r.toText(country.name)
+            ];
         });
+    }
+    
+    /**
+     * Hide the controls of disabled features
+     */
+    applyFeatureVisibility() {
+        const controls = {
+            timer: [this.selectors.startTimerButton, '#timer-pause-btn', '#timesheet-option-btn'],
+            notifications: ['#notification-btn'],
+            emailPreferences: ['#email-notifications-btn'],
+            breadcrumbs: ['.dashboard-breadcrumbs'],
+            filters: ['.content-frame__header', '#filter-chips'],
+            trash: ['#trash-option-btn'],
+            clientSwitcher: ['.client-switcher']
+        };
+        
+        Object.entries(controls).forEach(([feature, selectors]) => {
+            if (this.features[feature]) return;
+            
+            selectors.forEach(selector => {
+                this.queryAll(selector).forEach(element => {
+                    element.hidden = true;
+                });
+            });
+        });
+    }
+    
+    /**
+     * Show only the actions the user's roles allow
+     * Options menu items are hidden, communication buttons are disabled
+     */
+    applyPermissionVisibility() {
+        const actions = [
+            ['add-option-btn', 'records.create'],
+            ['edit-option-btn', 'records.edit'],
+            ['timesheet-option-btn', 'timesheets.view', 'timer'],
+            ['trash-option-btn', 'records.delete', 'trash'],
+            ['delete-option-btn', 'records.delete']
+        ];
+        
+        actions.forEach(([id, capability, feature]) => {
+            const button = this.getById(id);
+            if (!button) return;
+            
+            button.hidden = !this.permissions.can(capability) || (feature !== undefined && !this.features[feature]);
+        });
+        
+        // Hide the options menu when none of its actions are left
+        const optionsDropdown = this.query('.options-dropdown');
+        if (optionsDropdown) {
+            optionsDropdown.hidden = !optionsDropdown.querySelector('.options-dropdown__item:not([hidden])');
+        }
+        
+        this.queryAll('.communication-section__button[data-channel]').forEach(button => {
+            const allowed = this.permissions.can(`contact.${button.dataset.channel}`);
+            button.disabled = !allowed;
+            
+            if (allowed) {
+                button.removeAttribute('title');
+            } else {
+                button.title = 'Not available for your role';
+            }
+        });
+    }
+    
+    /**
+     * Change the roles of the current user and re-render what they can see
+     * The undo history is cleared, since it may hold actions the new roles do not allow
+     * @param {Array<string>|string} roles - Role names
+     */
+    setUserRoles(roles) {
+        const activeTabId = this.getActiveTabId();
+        
+        this.permissions.setUserRoles(roles);
+        this.history.clear();
+        
+        if (this.isRecordWizardOpen() && !this.permissions.can('records.create')) this.closeRecordWizard();
+        if (this.isTrashOpen() && !this.permissions.can('records.delete')) this.closeTrashModal();
+        if (this.isTimesheetOpen() && !this.permissions.can('timesheets.view')) this.closeTimesheetModal();
+        
+        this.renderMenu();
+        this.renderTabs();
+        this.applyPermissionVisibility();
+        this.renderTrash();
+        
+        const tabConfig = this.config.tabs.find(tab => tab.id === activeTabId);
+        const tabId = tabConfig && this.canViewTab(tabConfig) ? activeTabId : this.getFirstVisibleTabId();
+        if (tabId !== null) {
+            this.activateTab(tabId);
+        }
+        
+        console.log('User roles changed:', this.permissions.userRoles);
+        
+        this.dispatchCustomEvent('permissionsChanged', {
+            roles: [...this.permissions.userRoles],
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Check a capability before an action, telling the user when it is not allowed
+     * Public methods call this first, so unauthorized API calls are refused too
+     * @param {string} capability - Capability needed (e.g. 'records.delete')
+     * @param {string} action - Description used in the message (e.g. 'delete records')
+     * @returns {boolean} - True when the action may go ahead
+     */
+    requirePermission(capability, action) {
+        if (this.isAuthorized || this.permissions.can(capability)) return true;
+        
+        console.warn(`Permission denied: ${capability}`);
+        this.toasts.error(`You don't have permission to ${action}.`);
+        
+        this.dispatchCustomEvent('permissionDenied', {
+            capability: capability,
+            action: action,
+            timestamp: new Date().toISOString()
+        });
+        
+        return false;
+    }
+    
+    /**
+     * Run a mutation that the calling action has already authorized
+     * (e.g. restoreRecord() re-adding a tab with addTab())
+     * @param {Function} fn - Function to run; only its synchronous part is covered
+     * @returns {*} - Return value of fn
+     */
+    runAuthorized(fn) {
+        const wasAuthorized = this.isAuthorized;
+        this.isAuthorized = true;
+        
+        try {
+            return fn();
+        } finally {
+            this.isAuthorized = wasAuthorized;
+        }
+    }
+    
+    /**
+     * @param {Object} tabConfig - Tab configuration object
+     * @returns {boolean} - True when the user may see the tab (see "requires")
+     */
+    canViewTab(tabConfig) {
+        return this.permissions.allows(tabConfig.requires);
+    }
+    
+    /**
+     * @returns {number|null} - ID of the first tab the user may see and no filter hides
+     */
+    getFirstVisibleTabId() {
+        return this.config.tabs.find(tab => this.canViewTab(tab) && !this.getById(this.domId(`tab-${tab.id}`))?.hidden)?.id ?? null;
+    }
+    
+    /**
+     * Bind event listeners for user interactions
+     * Sets up click and keyboard event handlers for tabs
+     */
+    bindEvents() {
+        this.bindTabButtons();
+        
+        // Bind Start Timer button and timesheet modal functionality
+        if (this.features.timer) {
+            this.bindStartTimerButton();
+            this.bindTimesheetModal();
+        }
         
-        // Bind Start Timer button functionality
-        this.bindStartTimerButton();
-        
         // Bind auto-save button functionality
         this.bindAutoSaveButton();
         
         // Bind email modal functionality
-        this.bindEmailModal();
+        if (this.features.emailPreferences) {
+            this.bindEmailModal();
+        }
         
         // Bind user dropdown functionality
         this.bindUserDropdown();
         
         // Bind notification modal functionality
-        this.bindNotificationModal();
+        if (this.features.notifications) {
+            this.bindNotificationModal();
+        }
         
         // Bind options dropdown functionality
         this.bindOptionsDropdown();
@@ -342,981 +1035,3964 @@ class WebMotionDashboard {
         
         // Bind header menu button functionality
         this.bindHeaderMenuButton();
+    }
+    
+    /**
+     * Bind click handlers to the tab buttons (their keys are in the 'tabs' shortcut scope)
+     */
+    bindTabButtons() {
+        const signal = this.listeners.bind('tabButtons');
+        const tabButtons = this.queryAll('.tab-navigation__button');
+        
+        if (tabButtons.length === 0 && this.config.tabs.length > 0) {
+            throw new Error('No tab buttons found');
+        }
+        
+        tabButtons.forEach(button => this.bindTabButton(button, signal));
         
         console.log(`Bound events to ${tabButtons.length} tab buttons`);
     }
     
     /**
-     * Bind event listener for the Start Timer button
-     * Starts a running timer when clicked
+     * Bind the click handler of one tab button
+     * @param {HTMLElement} button - Tab button
+     * @param {AbortSignal} signal - Signal of the 'tabButtons' listener group
+     */
+    bindTabButton(button, signal) {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            const tabId = this.extractTabId(button.id);
+            if (tabId) {
+                this.activateTab(tabId);
+            }
+        }, { signal });
+    }
+    
+    /**
+     * Bind event listeners for the Start Timer and pause/resume buttons
+     * Clicking Start Timer starts a session, clicking it again stops the session
      */
     bindStartTimerButton() {
-        const startTimerButton = document.querySelector('.btn.btn--primary');
+        const signal = this.listeners.bind('timerButtons');
+        const startTimerButton = this.query(this.selectors.startTimerButton);
+        const pauseButton = this.getById('timer-pause-btn');
         
         if (startTimerButton) {
-            let timerInterval = null;
-            let startTime = null;
-            let isRunning = false;
-            
             startTimerButton.addEventListener('click', (e) => {
                 e.preventDefault();
                 
-                if (!isRunning) {
-                    // Start the timer
-                    startTime = new Date();
-                    isRunning = true;
-                    
-                    // Add visual feedback
-                    startTimerButton.classList.add('btn--active');
-                    
-                    // Start the timer interval
-                    timerInterval = setInterval(() => {
-                        const now = new Date();
-                        const elapsed = now - startTime;
-                        const seconds = Math.floor(elapsed / 1000);
-                        const minutes = Math.floor(seconds / 60);
-                        const hours = Math.floor(minutes / 60);
-                        
-                        // Format time as HH:MM:SS
-                        const formattedTime = [
-                            hours.toString().padStart(2, '0'),
-                            (minutes % 60).toString().padStart(2, '0'),
-                            (seconds % 60).toString().padStart(2, '0')
-                        ].join(':');
-                        
-                        // Update button text with running timer
-                        startTimerButton.textContent = formattedTime;
-                    }, 1000);
-                    
-                    // Dispatch custom event
-                    this.dispatchCustomEvent('timerStarted', {
-                        startTime: startTime.toISOString(),
-                        timestamp: new Date().toISOString()
-                    });
-                    
-                    console.log('Timer started');
-                    
+                if (this.timer.getActiveSession()) {
+                    this.stopTimer();
                 } else {
-                    // Stop the timer
-                    if (timerInterval) {
-                        clearInterval(timerInterval);
-                        timerInterval = null;
-                    }
-                    
-                    isRunning = false;
-                    startTimerButton.classList.remove('btn--active');
-                    startTimerButton.textContent = 'Start Timer';
-                    
-                    // Dispatch custom event
-                    this.dispatchCustomEvent('timerStopped', {
-                        startTime: startTime?.toISOString(),
-                        stopTime: new Date().toISOString()
-                    });
-                    
-                    console.log('Timer stopped');
+                    this.startTimer();
                 }
-            });
+            }, { signal });
             
             console.log('Start Timer button event bound successfully');
         } else {
             console.warn('Start Timer button not found');
         }
+        
+        if (pauseButton) {
+            pauseButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                
+                if (this.timer.isRunning()) {
+                    this.pauseTimer();
+                } else {
+                    this.resumeTimer();
+                }
+            }, { signal });
+        }
     }
     
-
-    
     /**
-     * Bind event listener for the auto-save notifications button
-     * Refreshes the entire page with animation
+     * Start a timer session for the current client and tab
      */
-    bindAutoSaveButton() {
-        const autoSaveButton = document.querySelector('.header-icon-btn[aria-label="Auto-save notifications"]');
-        
-        if (autoSaveButton) {
-            autoSaveButton.addEventListener('click', (e) => {
-                e.preventDefault();
-                
-                // Add refreshing class for animation
-                autoSaveButton.classList.add('refreshing');
-                
-                // Dispatch custom event
-                this.dispatchCustomEvent('autoSaveRefreshStarted', {
-                    timestamp: new Date().toISOString()
-                });
-                
-                console.log('Auto-save refresh initiated');
-                
-                // Wait for animation to complete then refresh
-                setTimeout(() => {
-                    window.location.reload();
-                }, 1000); // Wait 1 second for the spin animation
-                
+    startTimer() {
+        try {
+            this.timer.start({
+                clientId: this.getCurrentClientId(),
+                tabId: this.getActiveTabId()
             });
-            
-            console.log('Auto-save button event bound successfully');
-        } else {
-            console.warn('Auto-save button not found');
+        } catch (error) {
+            console.error('Error starting timer:', error);
+            this.handleError(error, 'timer-start', { notify: true });
         }
     }
     
     /**
-     * Bind event listeners for the email modal
-     * Handles opening, closing, and form interactions
+     * Pause the running timer session
      */
-    bindEmailModal() {
-        const emailButton = document.getElementById('email-notifications-btn');
-        const emailModal = document.getElementById('email-modal');
-        const modalOverlay = document.getElementById('email-modal-overlay');
-        const closeButton = document.getElementById('email-modal-close');
-        const cancelButton = document.getElementById('email-modal-cancel');
-        const saveButton = document.getElementById('email-modal-save');
-        
-        if (!emailButton || !emailModal) {
-            console.warn('Email modal elements not found');
-            return;
+    pauseTimer() {
+        try {
+            this.timer.pause();
+        } catch (error) {
+            console.error('Error pausing timer:', error);
+            this.handleError(error, 'timer-pause', { notify: true });
+        }
+    }
+    
+    /**
+     * Resume the paused timer session
+     */
+    resumeTimer() {
+        try {
+            this.timer.resume();
+        } catch (error) {
+            console.error('Error resuming timer:', error);
+            this.handleError(error, 'timer-resume', { notify: true });
+        }
+    }
+    
+    /**
+     * Stop the active timer session
+     */
+    stopTimer() {
+        try {
+            this.timer.stop();
+        } catch (error) {
+            console.error('Error stopping timer:', error);
+            this.handleError(error, 'timer-stop', { notify: true });
         }
+    }
+    
+    /**
+     * React to time tracker changes, whether made through the buttons or
+     * directly through dashboard.timer
+     * @param {string} action - 'started', 'paused', 'resumed', 'stopped' or 'restored'
+     * @param {Object} session - The changed session
+     */
+    handleTimerChange(action, session) {
+        this.updateTimerDisplay();
         
-        // Open modal
-        emailButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.openEmailModal();
-        });
+        // Keep an open timesheet in sync with recorded sessions
+        if (action !== 'restored' && this.isTimesheetOpen()) {
+            this.renderTimesheet();
+        }
         
-        // Close modal handlers
-        const closeModal = () => {
-            this.closeEmailModal();
+        const eventNames = {
+            started: 'timerStarted',
+            paused: 'timerPaused',
+            resumed: 'timerResumed',
+            stopped: 'timerStopped',
+            restored: 'timerRestored',
+            updated: 'timerSessionUpdated',
+            deleted: 'timerSessionDeleted'
         };
         
-        if (closeButton) closeButton.addEventListener('click', closeModal);
-        if (cancelButton) cancelButton.addEventListener('click', closeModal);
-        if (modalOverlay) modalOverlay.addEventListener('click', closeModal);
-        
-        // Save changes
-        if (saveButton) {
-            saveButton.addEventListener('click', () => {
-                this.saveEmailSettings();
-            });
-        }
+        if (!eventNames[action]) return;
         
-        // Keyboard support
-        document.addEventListener('keydown', (e) => {
-            if (emailModal.classList.contains('email-modal--active') && e.key === 'Escape') {
-                closeModal();
-            }
+        // Dispatch custom event
+        this.dispatchCustomEvent(eventNames[action], {
+            session: session,
+            startTime: session.startedAt,
+            stopTime: session.stoppedAt || undefined,
+            elapsedMs: session.elapsedMs,
+            timestamp: new Date().toISOString()
         });
         
-        console.log('Email modal events bound successfully');
+        console.log(`Timer ${action}`);
     }
     
     /**
-     * Open the email modal with animation
+     * Restore a timer session persisted before the page was reloaded
      */
-    openEmailModal() {
-        const emailModal = document.getElementById('email-modal');
-        if (!emailModal) return;
-        
-        // Show modal
-        emailModal.classList.add('email-modal--active');
-        emailModal.setAttribute('aria-hidden', 'false');
+    restoreTimer() {
+        const session = this.timer.getActiveSession();
         
-        // Focus management
-        const closeButton = document.getElementById('email-modal-close');
-        if (closeButton) {
-            setTimeout(() => closeButton.focus(), 100);
+        if (session) {
+            this.handleTimerChange('restored', session);
+        } else {
+            this.updateTimerDisplay();
+        }
+    }
+    
+    /**
+     * Sync the timer buttons with the active session and tick while it runs
+     */
+    updateTimerDisplay() {
+        const startTimerButton = this.query(this.selectors.startTimerButton);
+        const pauseButton = this.getById('timer-pause-btn');
+        const session = this.timer.getActiveSession();
+        const isRunning = session?.status === 'running';
+        
+        // Tick once per second only while running
+        if (isRunning && !this.timerInterval) {
+            this.timerInterval = setInterval(() => this.updateTimerDisplay(), 1000);
+        } else if (!isRunning && this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
         }
         
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
-        
-        // Dispatch event
-        this.dispatchCustomEvent('emailModalOpened', {
-            timestamp: new Date().toISOString()
-        });
+        if (startTimerButton) {
+            startTimerButton.classList.toggle('btn--active', !!session);
+            startTimerButton.classList.toggle('btn--paused', session?.status === 'paused');
+            startTimerButton.textContent = session ? TimeTracker.formatDuration(session.elapsedMs) : 'Start Timer';
+            startTimerButton.setAttribute('aria-label', session ? 'Stop timer' : 'Start timer');
+        }
         
-        console.log('Email modal opened');
+        if (pauseButton) {
+            pauseButton.hidden = !session;
+            pauseButton.setAttribute('aria-pressed', session?.status === 'paused' ? 'true' : 'false');
+            pauseButton.setAttribute('aria-label', session?.status === 'paused' ? 'Resume timer' : 'Pause timer');
+        }
     }
     
     /**
-     * Close the email modal with animation
+     * Get the ID of the client currently shown on the dashboard
+     * @returns {string|null} - Client ID or null when no client is loaded
      */
-    closeEmailModal() {
-        const emailModal = document.getElementById('email-modal');
-        if (!emailModal) return;
+    getCurrentClientId() {
+        return this.client.getId();
+    }
+    
+    /**
+     * @returns {Object|null} - Copy of the client record shown in the profile card
+     */
+    getClient() {
+        return this.client.get();
+    }
+    
+    /**
+     * Show another client in the profile card
+     * @param {Object} data - Client record (see ClientRecord)
+     * @returns {Object} - The normalized record
+     */
+    setClient(data) {
+        return this.client.set(data);
+    }
+    
+    /**
+     * Change fields of the client shown in the profile card
+     * @param {Object} changes - Fields to change (the document is merged)
+     * @returns {Object|null} - The updated record, or null when not allowed
+     */
+    updateClient(changes) {
+        if (!this.requirePermission('records.edit', 'edit client details')) return null;
         
-        // Hide modal
-        emailModal.classList.remove('email-modal--active');
-        emailModal.setAttribute('aria-hidden', 'true');
+        return this.client.update(changes);
+    }
+    
+    /**
+     * Re-render the profile card and announce the change
+     * @param {string} action - 'set' or 'updated'
+     * @param {Object|null} client - Copy of the record
+     * @param {Array<string>} changedKeys - Changed top-level fields
+     */
+    handleClientChange(action, client, changedKeys) {
+        this.renderProfileCard();
         
-        // Restore body scroll
-        document.body.style.overflow = '';
+        if (action === 'set' && client) {
+            this.clientDirectory.recordVisit(client.id);
+        }
         
-        // Return focus to trigger button
-        const emailButton = document.getElementById('email-notifications-btn');
-        if (emailButton) {
-            emailButton.focus();
+        // The client is part of the breadcrumb trail
+        if (changedKeys.includes('name') && this.navMenu) {
+            this.updateBreadcrumbs();
         }
         
-        // Dispatch event
-        this.dispatchCustomEvent('emailModalClosed', {
+        console.log(`Client ${action}:`, client?.id ?? null, changedKeys);
+        
+        this.dispatchCustomEvent('clientChanged', {
+            action: action,
+            clientId: client?.id ?? null,
+            client: client,
+            changes: changedKeys,
             timestamp: new Date().toISOString()
         });
-        
-        console.log('Email modal closed');
     }
     
     /**
-     * Save email settings and close modal
+     * Render the client record into the profile card
+     * The header controls (timer, options) are left in place
      */
-    saveEmailSettings() {
-        // Get form values
-        const checkboxes = document.querySelectorAll('.email-modal__checkbox');
-        const frequency = document.getElementById('email-frequency');
-        const time = document.getElementById('email-time');
-        
-        const settings = {
-            notifications: {
-                dailyDigest: checkboxes[0]?.checked || false,
-                importantUpdates: checkboxes[1]?.checked || false,
-                marketing: checkboxes[2]?.checked || false,
-                systemNotifications: checkboxes[3]?.checked || false
-            },
-            preferences: {
-                frequency: frequency?.value || 'weekly',
-                time: time?.value || 'afternoon'
-            }
-        };
+    renderProfileCard() {
+        const card = this.query('.profile-card');
+        if (!card) return;
+        
+        const r = this.renderer;
+        const client = this.client.get();
+        const age = this.client.getAge();
+        
+        const name = card.querySelector('.profile-card__name');
+        if (name) name.textContent = client?.name || '';
+        
+        const photo = card.querySelector('.profile-card__avatar-image');
+        if (photo) {
+            const src = client?.photo && r.isSafeUrl(client.photo) ? client.photo : 'assets/icons/Avatar.svg';
+            photo.setAttribute('src', src);
+            photo.setAttribute('alt', client ? `Profile photo of ${client.name}` : '');
+        }
         
-        // Dispatch save event
-        this.dispatchCustomEvent('emailSettingsSaved', {
-            settings: settings,
-            timestamp: new Date().toISOString()
-        });
+        const ageTag = card.querySelector('.profile-card__age-tag');
+        if (ageTag) {
+            ageTag.textContent = age === null ? '' : `${age} ${age === 1 ? 'Year' : 'Years'}`;
+            ageTag.hidden = age === null;
+        }
         
-        console.log('Email settings saved:', settings);
+        const summary = card.querySelector('.profile-card__subtitle');
+        if (summary) {
+            summary.replaceChildren(...(client?.summary ? [
+                r.el('span', { className: 'profile-card__subtitle-label', text: `${client.summary.label}:` }),
+                this.formatters.format(client.summary.value, client.summary)
+            ] : []));
+            summary.hidden = !client?.summary;
+        }
         
-        // Close modal
-        this.closeEmailModal();
+        const info = card.querySelector('.profile-info-section');
+        if (info) {
+            const details = client?.details || [];
+            info.replaceChildren(...details.map(detail => r.el('div', { className: 'profile-info-section__row' }, [
+                r.el('span', { className: 'profile-info-section__label', text: `${detail.label}:` }),
+                r.el('span', { className: 'profile-info-section__value' }, [this.formatters.format(detail.value, detail)])
+            ])));
+            info.hidden = details.length === 0;
+        }
         
-        // Show success feedback (you could add a toast notification here)
-        this.showSuccessMessage('Email settings saved successfully!');
+        const documentSection = card.querySelector('.document-section');
+        if (documentSection) {
+            const clientDocument = client?.document;
+            const hasDocument = !!clientDocument && !!(clientDocument.title || clientDocument.number ||
+                clientDocument.status || clientDocument.type ||
+                clientDocument.milestones.length > 0 || clientDocument.users.length > 0);
+            
+            documentSection.replaceChildren(...(hasDocument ? this.createDocumentSection(clientDocument) : []));
+            documentSection.hidden = !hasDocument;
+        }
     }
     
     /**
-     * Show success message (placeholder for future toast implementation)
-     * @param {string} message - Success message to display
+     * Build the document part of the profile card
+     * @param {Object} clientDocument - Normalized document of the client record
+     * @returns {Array<HTMLElement>} - Header, number and status, type, milestones and associated users
      */
-    showSuccessMessage(message) {
-        // This could be replaced with a proper toast notification system
-        console.log('Success:', message);
-        
-        // For now, just log the message
-        // In a real implementation, you might show a toast notification
+    createDocumentSection(clientDocument) {
+        const r = this.renderer;
+        const infoGroup = (item) => r.el('div', { className: 'document-section__info-group' }, [
+            r.el('h4', { text: item.label }),
+            r.el('p', {}, [this.formatters.format(item.value, item)])
+        ]);
+        
+        // Status names become modifier classes (e.g. 'in-progress')
+        const status = clientDocument.status
+            ? clientDocument.status.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+            : null;
+        const statusLabel = clientDocument.statusLabel ||
+            (status ? status.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ') : '');
+        
+        return [
+            r.el('header', { className: 'document-section__header' }, [
+                r.el('div', { className: 'document-section__icon' }, [
+                    r.el('img', { className: 'document-section__icon-image', attrs: { src: 'assets/icons/Case.svg', alt: '' } })
+                ]),
+                r.el('h3', { className: 'document-section__title', text: clientDocument.title })
+            ]),
+            (clientDocument.number || status) && r.el('div', { className: 'document-section__main-info' }, [
+                clientDocument.number && infoGroup(clientDocument.number),
+                status && r.el('div', {
+                    className: `document-section__status-tag document-section__status-tag--${status}`,
+                    text: statusLabel
+                })
+            ]),
+            clientDocument.type && r.el('div', { className: 'document-section__type' }, [infoGroup(clientDocument.type)]),
+            clientDocument.milestones.length > 0 && r.el('div', { className: 'document-section__workflow-grid' },
+                clientDocument.milestones.map(milestone => r.el('div', { className: 'document-section__workflow-item' }, [
+                    r.el('h4', { text: milestone.label }),
+                    r.el('p', {}, [this.formatters.format(milestone.value, milestone)])
+                ]))
+            ),
+            clientDocument.users.length > 0 && r.el('div', { className: 'document-section__users' }, [
+                r.el('h4', { className: 'document-section__users-title', text: clientDocument.usersLabel }),
+                r.el('div', { className: 'document-section__user-tags' },
+                    clientDocument.users.map(user => r.el('span', { className: 'document-section__user-tag', text: user }))
+                )
+            ])
+        ].filter(Boolean);
     }
     
     /**
-     * Bind event listeners for the notification modal
+     * Bind the client switcher in the header
+     * Typing searches the client directory; an empty field lists the recent clients
      */
-    bindNotificationModal() {
-        const notificationBtn = document.getElementById('notification-btn');
-        const notificationModal = document.getElementById('notification-modal');
-        const notificationCloseBtn = document.getElementById('notification-close-btn');
-        
-        if (!notificationBtn || !notificationModal || !notificationCloseBtn) {
-            console.warn('Notification modal elements not found');
+    bindClientSwitcher() {
+        const signal = this.listeners.bind('clientSwitcher');
+        const switcher = this.query('.client-switcher');
+        const input = this.getById('client-search');
+        const list = this.getById('client-switcher-list');
+        const keepTimerCheckbox = this.getById('client-switcher-keep-timer');
+        
+        if (!switcher || !input || !list) {
+            console.warn('Client switcher elements not found');
             return;
         }
         
-        // Toggle notification modal
-        notificationBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.toggleNotificationModal();
-        });
+        input.addEventListener('focus', () => this.openClientSwitcher(), { signal });
+        input.addEventListener('input', () => this.openClientSwitcher(), { signal });
         
-        // Close modal when clicking close button
-        notificationCloseBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.closeNotificationModal();
-        });
+        input.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.openClientSwitcher();
+                    this.moveClientSwitcherSelection(e.key === 'ArrowDown' ? 1 : -1);
+                    break;
+                    
+                case 'Enter': {
+                    const activeId = input.getAttribute('aria-activedescendant');
+                    const option = activeId ? this.getById(activeId) : list.querySelector('[role="option"]');
+                    if (this.isClientSwitcherOpen() && option) {
+                        e.preventDefault();
+                        this.pickClientSwitcherOption(option);
+                    }
+                    break;
+                }
+                    
+                case 'Escape':
+                    if (this.isClientSwitcherOpen()) {
+                        e.preventDefault();
+                        this.closeClientSwitcher();
+                    } else if (input.value) {
+                        input.value = '';
+                    }
+                    break;
+            }
+        }, { signal });
+        
+        // Keep the focus in the search field while an option is clicked
+        list.addEventListener('mousedown', (e) => e.preventDefault(), { signal });
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.pickClientSwitcherOption(option);
+        }, { signal });
+        
+        if (keepTimerCheckbox) {
+            keepTimerCheckbox.addEventListener('change', () => {
+                this.saveClientSwitcherPreferences({ keepTimerOnSwitch: keepTimerCheckbox.checked });
+            }, { signal });
+        }
         
-        // Close modal when clicking outside
+        // Close when clicking or tabbing out of the switcher
         document.addEventListener('click', (e) => {
-            // Only close if notification modal is active and click is outside
-            if (notificationModal.classList.contains('notification-modal--active') && 
-                !notificationModal.contains(e.target) && 
-                !notificationBtn.contains(e.target)) {
-                this.closeNotificationModal();
+            if (this.isClientSwitcherOpen() && !switcher.contains(e.target)) {
+                this.closeClientSwitcher();
             }
-        });
+        }, { signal });
         
-        // Keyboard support
-        notificationBtn.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                this.toggleNotificationModal();
+        switcher.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && !switcher.contains(e.relatedTarget)) {
+                this.closeClientSwitcher();
             }
-        });
+        }, { signal });
         
-        console.log('Notification modal events bound successfully');
+        console.log('Client switcher events bound successfully');
     }
     
     /**
-     * Toggle the notification modal
+     * @returns {boolean} - True while the client switcher panel is shown
      */
-    toggleNotificationModal() {
-        const notificationModal = document.getElementById('notification-modal');
-        const isActive = notificationModal.classList.contains('notification-modal--active');
-        
-        if (isActive) {
-            this.closeNotificationModal();
-        } else {
-            this.openNotificationModal();
-        }
+    isClientSwitcherOpen() {
+        const panel = this.getById('client-switcher-panel');
+        return !!panel && !panel.hidden;
     }
     
     /**
-     * Open the notification modal
+     * Show the client switcher panel with results for the current search
      */
-    openNotificationModal() {
-        const notificationModal = document.getElementById('notification-modal');
-        
-        if (!notificationModal) return;
+    openClientSwitcher() {
+        const panel = this.getById('client-switcher-panel');
+        const input = this.getById('client-search');
+        if (!panel || !input) return;
         
-        // Add active class
-        notificationModal.classList.add('notification-modal--active');
-        notificationModal.setAttribute('aria-hidden', 'false');
+        this.renderClientSwitcher();
+        if (!panel.hidden) return;
         
-        // Dispatch event
-        this.dispatchCustomEvent('notificationModalOpened', {
-            timestamp: new Date().toISOString()
-        });
+        panel.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
         
-        console.log('Notification modal opened');
+        console.log('Client switcher opened');
     }
     
     /**
-     * Close the notification modal
+     * Hide the client switcher panel
+     * @param {Object} [options] - Close options
+     * @param {boolean} [options.clear] - Empty the search field as well
      */
-    closeNotificationModal() {
-        const notificationModal = document.getElementById('notification-modal');
-        
-        if (!notificationModal) return;
+    closeClientSwitcher({ clear = false } = {}) {
+        const panel = this.getById('client-switcher-panel');
+        const input = this.getById('client-search');
+        if (!panel || !input) return;
         
-        // Remove active class
-        notificationModal.classList.remove('notification-modal--active');
-        notificationModal.setAttribute('aria-hidden', 'true');
+        panel.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+        if (clear) input.value = '';
         
-        // Return focus to trigger
-        const notificationBtn = document.getElementById('notification-btn');
-        if (notificationBtn) {
-            notificationBtn.focus();
+        console.log('Client switcher closed');
+    }
+    
+    /**
+     * Render the search results, or the recent clients while the search field is empty
+     * The client already shown is marked in the results and left out of the recent clients
+     */
+    renderClientSwitcher() {
+        const input = this.getById('client-search');
+        const list = this.getById('client-switcher-list');
+        const heading = this.getById('client-switcher-heading');
+        const empty = this.getById('client-switcher-empty');
+        const keepTimerCheckbox = this.getById('client-switcher-keep-timer');
+        if (!input || !list) return;
+        
+        const r = this.renderer;
+        const query = input.value.trim();
+        const currentId = this.getCurrentClientId();
+        const clients = query
+            ? this.clientDirectory.search(query)
+            : this.clientDirectory.getRecent().filter(client => client.id !== currentId);
+        
+        list.replaceChildren(...clients.map((client, index) => {
+            const isCurrent = client.id === currentId;
+            
+            return r.el('li', {
+                className: `client-switcher__option${isCurrent ? ' client-switcher__option--current' : ''}`,
+                attrs: { id: this.domId(`client-switcher-option-${index}`), role: 'option', 'aria-selected': 'false' },
+                dataset: { clientId: client.id }
+            }, [
+                r.el('span', { className: 'client-switcher__name', text: client.name }),
+                r.el('span', { className: 'client-switcher__reference', text: client.id }),
+                client.summary && r.el('span', { className: 'client-switcher__summary', text: client.summary }),
+                isCurrent && r.el('span', { className: 'client-switcher__current', text: 'Current' })
+            ]);
+        }));
+        list.hidden = clients.length === 0;
+        input.removeAttribute('aria-activedescendant');
+        
+        if (heading) heading.textContent = query ? 'Search results' : 'Recent clients';
+        if (empty) {
+            empty.textContent = query ? `No clients match "${query}"` : 'No recently viewed clients';
+            empty.hidden = clients.length > 0;
         }
-        
-        // Dispatch event
-        this.dispatchCustomEvent('notificationModalClosed', {
-            timestamp: new Date().toISOString()
+        if (keepTimerCheckbox) {
+            keepTimerCheckbox.checked = this.clientSwitcherPreferences.get().keepTimerOnSwitch;
+        }
+    }
+    
+    /**
+     * Move the highlighted option of the client switcher
+     * @param {number} step - 1 for the next option, -1 for the previous one (wraps around)
+     */
+    moveClientSwitcherSelection(step) {
+        const input = this.getById('client-search');
+        const options = [...this.queryAll('#client-switcher-list [role="option"]')];
+        if (!input || options.length === 0) return;
+        
+        const current = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+        const next = current === -1
+            ? (step > 0 ? 0 : options.length - 1)
+            : (current + step + options.length) % options.length;
+        
+        options.forEach((option, index) => {
+            option.setAttribute('aria-selected', index === next ? 'true' : 'false');
+            option.classList.toggle('client-switcher__option--active', index === next);
         });
-        
-        console.log('Notification modal closed');
+        input.setAttribute('aria-activedescendant', options[next].id);
+        options[next].scrollIntoView?.({ block: 'nearest' });
     }
     
     /**
-     * Bind event listeners for the user dropdown
-     * Handles opening, closing, and menu interactions
+     * Open the client of a switcher option
+     * @param {HTMLElement} option - Option element (data-client-id)
      */
-    bindUserDropdown() {
-        const dropdownTrigger = document.getElementById('user-dropdown-trigger');
-        const dropdownMenu = document.getElementById('user-dropdown-menu');
-        const userDropdown = document.querySelector('.user-dropdown');
-        const profileSettingsBtn = document.getElementById('profile-settings-btn');
-        const logoutBtn = document.getElementById('logout-btn');
+    pickClientSwitcherOption(option) {
+        this.closeClientSwitcher({ clear: true });
+        this.switchClient(option.dataset.clientId);
+    }
+    
+    /**
+     * Load the saved client switcher setting
+     * @returns {Promise<void>}
+     */
+    async loadClientSwitcherPreferences() {
+        try {
+            await this.clientSwitcherPreferences.load();
+        } catch (error) {
+            console.warn('Unable to load client switcher preferences, using defaults:', error);
+        }
+    }
+    
+    /**
+     * Save the client switcher setting
+     * @param {Object} values - { keepTimerOnSwitch }
+     * @returns {Promise<boolean>} - True when the setting was saved
+     */
+    async saveClientSwitcherPreferences(values) {
+        try {
+            await this.clientSwitcherPreferences.save({ ...this.clientSwitcherPreferences.get(), ...values });
+            console.log('Client switcher preferences saved:', this.clientSwitcherPreferences.get());
+            return true;
+        } catch (error) {
+            console.error('Error saving client switcher preferences:', error);
+            this.handleError(error, 'client-switcher-preferences', {
+                notify: true,
+                message: 'The timer setting could not be saved.'
+            });
+            this.renderClientSwitcher();
+            return false;
+        }
+    }
+    
+    /**
+     * Open another client, replacing the profile card and every tab panel in one step
+     * A running timer is stopped first, unless the "keep the timer running" setting is on
+     * @param {string} clientId - Client ID (reference number)
+     * @returns {Promise<boolean>} - True when the client is shown
+     */
+    async switchClient(clientId) {
+        const id = String(clientId);
+        const previousClientId = this.getCurrentClientId();
+        if (id === String(previousClientId)) return true;
         
-        if (!dropdownTrigger || !dropdownMenu || !userDropdown) {
-            console.warn('User dropdown elements not found');
-            return;
+        if (this.hasUnsavedEdits() && !confirm('You have unsaved changes. Discard them?')) {
+            return false;
         }
         
-        // Toggle dropdown
-        dropdownTrigger.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.toggleUserDropdown();
-        });
+        // Only the client picked last is shown when several are picked in a row
+        this.pendingClientId = id;
+        this.query('.client-switcher')?.classList.add('client-switcher--loading');
         
-        // Close dropdown when clicking outside
-        document.addEventListener('click', (e) => {
-            // Only close if user dropdown is active and click is outside
-            if (userDropdown.classList.contains('user-dropdown--active') && !userDropdown.contains(e.target)) {
-                this.closeUserDropdown();
+        try {
+            const data = await this.dataProvider.loadClient(id);
+            if (this.pendingClientId !== id || this.isDestroyed || this.isSignedOut) return false;
+            
+            if (String(data?.client?.id) !== id) {
+                throw new Error(`Client ${id} not found`);
             }
-        });
-        
-        // Profile settings
-        if (profileSettingsBtn) {
-            profileSettingsBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleProfileSettings();
+            
+            // Validate before anything on screen changes
+            const config = this.normalizeConfig({ ...this.config, client: data.client, tabs: data.tabs });
+            
+            this.closeOverlays();
+            
+            const session = this.timer.getActiveSession();
+            const timerClientName = session ? this.clientDirectory.get(session.clientId)?.name : null;
+            let timer = null;
+            if (session) {
+                timer = this.clientSwitcherPreferences.get().keepTimerOnSwitch ? 'kept' : 'stopped';
+                if (timer === 'stopped') this.stopTimer();
+            }
+            
+            this.config = config;
+            this.history.clear();
+            this.filterEngine.clear();
+            this.client.set(config.client);
+            this.renderTabs();
+            this.applyPermissionVisibility();
+            this.bindTabButtons();
+            
+            const tabId = this.getFirstVisibleTabId();
+            if (tabId !== null) {
+                this.activateTab(tabId);
+            }
+            
+            if (timer === 'stopped') {
+                this.toasts.info(`Timer stopped for ${timerClientName || 'the previous client'}.`);
+            } else if (timer === 'kept') {
+                this.toasts.info(`The timer is still running for ${timerClientName || 'the previous client'}.`);
+            }
+            
+            console.log(`Switched to client ${id}`);
+            
+            this.dispatchCustomEvent('clientSwitched', {
+                previousClientId: previousClientId,
+                clientId: id,
+                timer: timer,
+                timestamp: new Date().toISOString()
             });
-        }
-        
-        // Logout
-        if (logoutBtn) {
-            logoutBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleLogout();
+            
+            return true;
+            
+        } catch (error) {
+            if (this.isSignedOut) return false;
+            
+            console.error('Error switching client:', error);
+            this.handleError(error, 'client-switch', {
+                notify: true,
+                message: `Unable to open the client: ${error.message}`
             });
+            return false;
+            
+        } finally {
+            if (this.pendingClientId === id) {
+                this.pendingClientId = null;
+                this.query('.client-switcher')?.classList.remove('client-switcher--loading');
+            }
         }
+    }
+    
+    /**
+     * Bind event listener for the auto-save notifications button
+     * Refreshes the entire page with animation
+     */
+    bindAutoSaveButton() {
+        const signal = this.listeners.bind('autoSave');
+        const autoSaveButton = this.query(this.selectors.autoSaveButton);
         
-        // Keyboard support
-        dropdownTrigger.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
+        if (autoSaveButton) {
+            autoSaveButton.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.toggleUserDropdown();
-            }
-        });
-        
-        console.log('User dropdown events bound successfully');
+                
+                // Add refreshing class for animation
+                autoSaveButton.classList.add('refreshing');
+                
+                // Dispatch custom event
+                this.dispatchCustomEvent('autoSaveRefreshStarted', {
+                    timestamp: new Date().toISOString()
+                });
+                
+                console.log('Auto-save refresh initiated');
+                
+                // Wait for animation to complete then refresh
+                setTimeout(() => {
+                    window.location.reload();
+                }, 1000); // Wait 1 second for the spin animation
+                
+            }, { signal });
+            
+            console.log('Auto-save button event bound successfully');
+        } else {
+            console.warn('Auto-save button not found');
+        }
     }
     
     /**
-     * Toggle the user dropdown menu
+     * Bind event listeners for the email modal
+     * Handles opening, closing, and form interactions
      */
-    toggleUserDropdown() {
-        const userDropdown = document.querySelector('.user-dropdown');
-        const isActive = userDropdown.classList.contains('user-dropdown--active');
+    bindEmailModal() {
+        const signal = this.listeners.bind('emailModal');
+        const emailButton = this.getById('email-notifications-btn');
+        const emailModal = this.getById('email-modal');
+        const modalOverlay = this.getById('email-modal-overlay');
+        const closeButton = this.getById('email-modal-close');
+        const cancelButton = this.getById('email-modal-cancel');
+        const saveButton = this.getById('email-modal-save');
         
-        if (isActive) {
-            this.closeUserDropdown();
-        } else {
-            this.openUserDropdown();
+        if (!emailButton || !emailModal) {
+            console.warn('Email modal elements not found');
+            return;
+        }
+        
+        // Open modal
+        emailButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openEmailModal();
+        }, { signal });
+        
+        // Close modal handlers (warn before discarding unsaved changes)
+        const closeModal = () => {
+            this.cancelEmailModal();
+        };
+        
+        if (closeButton) closeButton.addEventListener('click', closeModal, { signal });
+        if (cancelButton) cancelButton.addEventListener('click', closeModal, { signal });
+        if (modalOverlay) modalOverlay.addEventListener('click', closeModal, { signal });
+        
+        // Track unsaved changes
+        emailModal.addEventListener('change', (e) => {
+            if (e.target.matches('[data-setting]')) {
+                this.updateEmailModalDirtyState();
+            }
+        }, { signal });
+        
+        // Save changes
+        if (saveButton) {
+            saveButton.addEventListener('click', () => {
+                this.saveEmailSettings();
+            }, { signal });
         }
+        
+        console.log('Email modal events bound successfully');
     }
     
     /**
-     * Open the user dropdown menu
+     * Open the email modal with animation
      */
-    openUserDropdown() {
-        const userDropdown = document.querySelector('.user-dropdown');
-        const dropdownMenu = document.getElementById('user-dropdown-menu');
+    openEmailModal() {
+        const emailModal = this.getById('email-modal');
+        if (!emailModal) return;
         
-        if (!userDropdown || !dropdownMenu) return;
+        // Populate the form from the saved preferences
+        this.populateEmailSettingsForm(this.emailPreferences.get());
+        this.updateEmailModalDirtyState();
         
-        // Add active class
-        userDropdown.classList.add('user-dropdown--active');
-        dropdownMenu.setAttribute('aria-hidden', 'false');
+        // Show modal
+        emailModal.classList.add('email-modal--active');
+        emailModal.setAttribute('aria-hidden', 'false');
         
         // Focus management
-        const firstMenuItem = dropdownMenu.querySelector('.user-dropdown__item');
-        if (firstMenuItem) {
-            setTimeout(() => firstMenuItem.focus(), 100);
+        const closeButton = this.getById('email-modal-close');
+        if (closeButton) {
+            setTimeout(() => closeButton.focus(), 100);
         }
         
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+        
         // Dispatch event
-        this.dispatchCustomEvent('userDropdownOpened', {
+        this.dispatchCustomEvent('emailModalOpened', {
             timestamp: new Date().toISOString()
         });
         
-        console.log('User dropdown opened');
+        console.log('Email modal opened');
     }
     
     /**
-     * Close the user dropdown menu
+     * Close the email modal with animation
      */
-    closeUserDropdown() {
-        const userDropdown = document.querySelector('.user-dropdown');
-        const dropdownMenu = document.getElementById('user-dropdown-menu');
+    closeEmailModal() {
+        const emailModal = this.getById('email-modal');
+        if (!emailModal) return;
         
-        if (!userDropdown || !dropdownMenu) return;
+        // Hide modal
+        emailModal.classList.remove('email-modal--active');
+        emailModal.setAttribute('aria-hidden', 'true');
         
-        // Remove active class
-        userDropdown.classList.remove('user-dropdown--active');
-        dropdownMenu.setAttribute('aria-hidden', 'true');
+        // Restore body scroll
+        document.body.style.overflow = '';
         
-        // Return focus to trigger
-        const dropdownTrigger = document.getElementById('user-dropdown-trigger');
-        if (dropdownTrigger) {
-            dropdownTrigger.focus();
+        // Return focus to trigger button
+        const emailButton = this.getById('email-notifications-btn');
+        if (emailButton) {
+            emailButton.focus();
         }
         
         // Dispatch event
-        this.dispatchCustomEvent('userDropdownClosed', {
+        this.dispatchCustomEvent('emailModalClosed', {
             timestamp: new Date().toISOString()
         });
         
-        console.log('User dropdown closed');
+        console.log('Email modal closed');
     }
     
     /**
-     * Handle profile settings button click
+     * Close the email modal from Cancel, the close button, the overlay or Escape
+     * Asks for confirmation first when there are unsaved changes
+     * @returns {boolean} - True when the modal was closed
      */
-    handleProfileSettings() {
-        // Close dropdown
-        this.closeUserDropdown();
-        
-        // Dispatch event
-        this.dispatchCustomEvent('profileSettingsClicked', {
-            timestamp: new Date().toISOString()
-        });
-        
-        console.log('Profile settings clicked');
+    cancelEmailModal() {
+        if (this.hasUnsavedEmailChanges() && !confirm('You have unsaved changes. Discard them?')) {
+            return false;
+        }
         
-        // You could open a profile settings modal here
-        // this.openProfileSettingsModal();
+        this.closeEmailModal();
+        return true;
     }
     
     /**
-     * Handle logout button click
+     * Load saved email preferences, falling back to defaults when the backend fails
+     * @returns {Promise<void>}
      */
-    handleLogout() {
-        // Close dropdown
-        this.closeUserDropdown();
+    async loadEmailPreferences() {
+        try {
+            await this.emailPreferences.load();
+            console.log('Email preferences loaded');
+        } catch (error) {
+            console.warn('Unable to load email preferences, using defaults:', error);
+        }
+    }
+    
+    /**
+     * Read the email modal inputs, keyed by their data-setting attribute
+     * @returns {Object} - Current form values
+     */
+    readEmailSettingsForm() {
+        const values = {};
         
-        // Dispatch event
-        this.dispatchCustomEvent('logoutClicked', {
-            timestamp: new Date().toISOString()
+        this.queryAll('#email-modal [data-setting]').forEach(input => {
+            values[input.dataset.setting] = input.type === 'checkbox' ? input.checked : input.value;
         });
         
-        console.log('Logout clicked');
-        
-        // Show confirmation dialog
-        if (confirm('Are you sure you want to logout?')) {
-            // Perform logout action
-            this.performLogout();
-        }
+        return values;
     }
     
     /**
-     * Perform the actual logout action
+     * Set the email modal inputs from preference values
+     * @param {Object} values - Preference values keyed by setting
      */
-    performLogout() {
-        // Dispatch logout event
-        this.dispatchCustomEvent('logoutConfirmed', {
-            timestamp: new Date().toISOString()
+    populateEmailSettingsForm(values) {
+        this.queryAll('#email-modal [data-setting]').forEach(input => {
+            const value = values[input.dataset.setting];
+            if (value === undefined) return;
+            
+            if (input.type === 'checkbox') {
+                input.checked = !!value;
+            } else {
+                input.value = value;
+            }
         });
+    }
+    
+    /**
+     * Check whether the email modal has unsaved changes
+     * @returns {boolean} - True when the form differs from the saved preferences
+     */
+    hasUnsavedEmailChanges() {
+        const emailModal = this.getById('email-modal');
+        if (!emailModal?.classList.contains('email-modal--active')) return false;
         
-        console.log('Logout confirmed - redirecting to login page');
+        return this.emailPreferences.isDirty(this.readEmailSettingsForm());
+    }
+    
+    /**
+     * Flag the email modal when the form differs from the saved preferences
+     */
+    updateEmailModalDirtyState() {
+        const emailModal = this.getById('email-modal');
+        const isDirty = this.emailPreferences.isDirty(this.readEmailSettingsForm());
         
-        // In a real application, you would:
-        // 1. Clear authentication tokens
-        // 2. Clear user session
-        // 3. Redirect to login page
+        emailModal?.classList.toggle('email-modal--dirty', isDirty);
+    }
+    
+    /**
+     * Validate and persist email settings, then close modal
+     * @returns {Promise<void>}
+     */
+    async saveEmailSettings() {
+        const saveButton = this.getById('email-modal-save');
         
-        // For demo purposes, just reload the page
-        setTimeout(() => {
-            window.location.reload();
-        }, 1000);
+        try {
+            if (saveButton) saveButton.disabled = true;
+            
+            const values = await this.emailPreferences.save(this.readEmailSettingsForm());
+            
+            const settings = {
+                notifications: {
+                    dailyDigest: values.dailyDigest,
+                    importantUpdates: values.importantUpdates,
+                    marketing: values.marketing,
+                    systemNotifications: values.systemNotifications
+                },
+                preferences: {
+                    frequency: values.frequency,
+                    time: values.time
+                }
+            };
+            
+            // Dispatch save event
+            this.dispatchCustomEvent('emailSettingsSaved', {
+                settings: settings,
+                timestamp: new Date().toISOString()
+            });
+            
+            console.log('Email settings saved:', settings);
+            
+            // Close modal
+            this.closeEmailModal();
+            
+            this.showSuccessMessage('Email settings saved successfully!');
+            
+        } catch (error) {
+            console.error('Error saving email settings:', error);
+            this.handleError(error, 'email-settings-save', {
+                notify: true,
+                message: `Email settings could not be saved: ${error.message}`
+            });
+        } finally {
+            if (saveButton) saveButton.disabled = false;
+        }
     }
     
     /**
-     * Bind event listeners for the options dropdown
-     * Handles opening, closing, and menu interactions
+     * Show a success toast
+     * @param {string} message - Success message to display
+     * @param {Object} [options] - Toast options, e.g. { action: { label: 'Undo', onClick } }
+     * @returns {number} - Toast ID
      */
-    bindOptionsDropdown() {
-        const optionsDropdownTrigger = document.getElementById('options-dropdown-trigger');
-        const optionsDropdownMenu = document.getElementById('options-dropdown-menu');
-        const optionsDropdown = document.querySelector('.options-dropdown');
-        const addOptionBtn = document.getElementById('add-option-btn');
-        const editOptionBtn = document.getElementById('edit-option-btn');
-        const deleteOptionBtn = document.getElementById('delete-option-btn');
+    showSuccessMessage(message, options = {}) {
+        console.log('Success:', message);
+        return this.toasts.success(message, options);
+    }
+    
+    /**
+     * Bind event listeners for the timesheet modal
+     * Handles opening, closing, inline edits and exports
+     */
+    bindTimesheetModal() {
+        const signal = this.listeners.bind('timesheetModal');
+        const timesheetModal = this.getById('timesheet-modal');
+        const entries = this.getById('timesheet-entries');
         
-        if (!optionsDropdownTrigger || !optionsDropdownMenu || !optionsDropdown) {
-            console.warn('Options dropdown elements not found');
+        if (!timesheetModal || !entries) {
+            console.warn('Timesheet modal elements not found');
             return;
         }
         
-        // Toggle dropdown
-        optionsDropdownTrigger.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.toggleOptionsDropdown();
-        });
+        // Close modal handlers
+        const closeModal = () => {
+            this.closeTimesheetModal();
+        };
         
-        // Close dropdown when clicking outside
-        document.addEventListener('click', (e) => {
-            // Only close if options dropdown is active and click is outside
-            if (optionsDropdown.classList.contains('options-dropdown--active') && 
-                !optionsDropdown.contains(e.target)) {
-                this.closeOptionsDropdown();
-            }
+        ['timesheet-modal-close', 'timesheet-modal-done', 'timesheet-modal-overlay'].forEach(id => {
+            this.getById(id)?.addEventListener('click', closeModal, { signal });
         });
         
-        // Add option handler
-        if (addOptionBtn) {
-            addOptionBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleAddOption();
-            });
-        }
-        
-        // Edit option handler
-        if (editOptionBtn) {
-            editOptionBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleEditOption();
-            });
-        }
-        
-        // Delete option handler
-        if (deleteOptionBtn) {
-            deleteOptionBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleDeleteOption();
-            });
-        }
-        
-        // Keyboard support
-        optionsDropdownTrigger.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                this.toggleOptionsDropdown();
+        // Export handlers
+        this.getById('timesheet-export-csv')?.addEventListener('click', () => {
+            this.exportTimesheet('csv');
+        }, { signal });
+        this.getById('timesheet-export-ics')?.addEventListener('click', () => {
+            this.exportTimesheet('ics');
+        }, { signal });
+        
+        // Inline edits (delegated, rows are re-rendered on every change)
+        entries.addEventListener('change', (e) => {
+            if (e.target.matches('[data-session-field]')) {
+                this.handleTimesheetEdit(e.target);
             }
-        });
+        }, { signal });
         
-        // Close dropdown on Escape key
-        document.addEventListener('keydown', (e) => {
-            if (optionsDropdown.classList.contains('options-dropdown--active') && e.key === 'Escape') {
-                this.closeOptionsDropdown();
+        entries.addEventListener('click', (e) => {
+            const deleteButton = e.target.closest('[data-session-delete]');
+            if (deleteButton) {
+                this.deleteTimesheetEntry(deleteButton.dataset.sessionDelete);
             }
-        });
+        }, { signal });
         
-        console.log('Options dropdown events bound successfully');
+        console.log('Timesheet modal events bound successfully');
     }
     
     /**
-     * Toggle the options dropdown menu
+     * Handle timesheet option button click
      */
-    toggleOptionsDropdown() {
-        const optionsDropdown = document.querySelector('.options-dropdown');
-        const isActive = optionsDropdown.classList.contains('options-dropdown--active');
+    handleTimesheetOption() {
+        // Close dropdown
+        this.closeOptionsDropdown();
         
-        if (isActive) {
-            this.closeOptionsDropdown();
-        } else {
-            this.openOptionsDropdown();
-        }
+        this.openTimesheetModal();
     }
     
     /**
-     * Open the options dropdown menu
+     * Check whether the timesheet modal is open
+     * @returns {boolean} - True when the modal is visible
      */
-    openOptionsDropdown() {
-        const optionsDropdown = document.querySelector('.options-dropdown');
-        const optionsDropdownMenu = document.getElementById('options-dropdown-menu');
+    isTimesheetOpen() {
+        return !!this.getById('timesheet-modal')?.classList.contains('timesheet-modal--active');
+    }
+    
+    /**
+     * Open the timesheet modal
+     */
+    openTimesheetModal() {
+        if (!this.requirePermission('timesheets.view', 'view timesheets')) return;
         
-        if (!optionsDropdown || !optionsDropdownMenu) return;
+        const timesheetModal = this.getById('timesheet-modal');
+        if (!timesheetModal) return;
         
-        // Close other dropdowns first
-        this.closeUserDropdown();
-        this.closeNotificationModal();
+        this.renderTimesheet();
         
-        // Add active class
-        optionsDropdown.classList.add('options-dropdown--active');
-        optionsDropdownMenu.setAttribute('aria-hidden', 'false');
+        // Show modal
+        timesheetModal.classList.add('timesheet-modal--active');
+        timesheetModal.setAttribute('aria-hidden', 'false');
         
         // Focus management
-        const firstMenuItem = optionsDropdownMenu.querySelector('.options-dropdown__item');
-        if (firstMenuItem) {
-            setTimeout(() => firstMenuItem.focus(), 100);
+        const closeButton = this.getById('timesheet-modal-close');
+        if (closeButton) {
+            setTimeout(() => closeButton.focus(), 100);
         }
         
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+        
         // Dispatch event
-        this.dispatchCustomEvent('optionsDropdownOpened', {
+        this.dispatchCustomEvent('timesheetOpened', {
+            sessionCount: this.timer.getSessions({ status: 'stopped' }).length,
             timestamp: new Date().toISOString()
         });
         
-        console.log('Options dropdown opened');
+        console.log('Timesheet modal opened');
     }
     
     /**
-     * Close the options dropdown menu
+     * Close the timesheet modal
      */
-    closeOptionsDropdown() {
-        const optionsDropdown = document.querySelector('.options-dropdown');
-        const optionsDropdownMenu = document.getElementById('options-dropdown-menu');
+    closeTimesheetModal() {
+        const timesheetModal = this.getById('timesheet-modal');
+        if (!timesheetModal) return;
         
-        if (!optionsDropdown || !optionsDropdownMenu) return;
+        // Hide modal
+        timesheetModal.classList.remove('timesheet-modal--active');
+        timesheetModal.setAttribute('aria-hidden', 'true');
         
-        // Remove active class
-        optionsDropdown.classList.remove('options-dropdown--active');
-        optionsDropdownMenu.setAttribute('aria-hidden', 'true');
+        // Restore body scroll
+        document.body.style.overflow = '';
         
-        // Return focus to trigger
-        const optionsDropdownTrigger = document.getElementById('options-dropdown-trigger');
+        // Return focus to the options trigger the modal was opened from
+        const optionsDropdownTrigger = this.getById('options-dropdown-trigger');
         if (optionsDropdownTrigger) {
             optionsDropdownTrigger.focus();
         }
         
         // Dispatch event
-        this.dispatchCustomEvent('optionsDropdownClosed', {
+        this.dispatchCustomEvent('timesheetClosed', {
             timestamp: new Date().toISOString()
         });
         
-        console.log('Options dropdown closed');
+        console.log('Timesheet modal closed');
     }
     
     /**
-     * Handle add option button click
+     * Render recorded (stopped) sessions into the timesheet table, newest first
      */
-    handleAddOption() {
-        // Close dropdown
-        this.closeOptionsDropdown();
-        
-        // Dispatch event
-        this.dispatchCustomEvent('addOptionClicked', {
-            timestamp: new Date().toISOString()
-        });
+    renderTimesheet() {
+        const entries = this.getById('timesheet-entries');
+        const emptyState = this.getById('timesheet-empty');
+        const summary = this.getById('timesheet-summary');
+        if (!entries) return;
         
-        console.log('Add option clicked');
+        const r = this.renderer;
+        const sessions = this.getTimesheetSessions();
         
-        // Show success message or open add modal
-        this.showSuccessMessage('Add option selected');
+        entries.replaceChildren(...sessions.map(session => {
+            const { client, tab } = this.describeTimerSession(session);
+            
+            return r.el('tr', { className: 'timesheet-modal__row', dataset: { sessionId: session.id } }, [
+                r.el('td', { text: client }),
+                r.el('td', { text: tab }),
+                r.el('td', {}, [this.createTimesheetInput(session, 'startedAt', 'datetime-local', 'Start time')]),
+                r.el('td', {}, [this.createTimesheetInput(session, 'stoppedAt', 'datetime-local', 'End time')]),
+                r.el('td', { className: 'timesheet-modal__duration', text: TimeTracker.formatDuration(session.elapsedMs) }),
+                r.el('td', {}, [this.createTimesheetInput(session, 'note', 'text', 'Note')]),
+                r.el('td', {}, [
+                    r.el('button', {
+                        className: 'timesheet-modal__delete',
+                        attrs: { type: 'button', 'aria-label': `Delete session started ${this.toDateTimeLocal(session.startedAt).replace('T', ' ')}` },
+                        dataset: { sessionDelete: session.id },
+                        text: 'Delete'
+                    })
+                ])
+            ]);
+        }));
+        
+        if (emptyState) {
+            emptyState.hidden = sessions.length > 0;
+        }
         
-        // In a real application, you might:
-        // - Open an add item modal
-        // - Navigate to an add page
-        // - Show an inline form
+        if (summary) {
+            const totalMs = sessions.reduce((total, session) => total + session.elapsedMs, 0);
+            const runningNote = this.timer.getActiveSession() ? ' A timer is still running and will appear here once stopped.' : '';
+            summary.textContent = `${sessions.length} session${sessions.length === 1 ? '' : 's'}, ${TimeTracker.formatDuration(totalMs)} recorded.${runningNote}`;
+        }
     }
     
     /**
-     * Handle edit option button click
+     * Create an editable timesheet input
+     * @param {Object} session - Session the input belongs to
+     * @param {string} field - Session field ('startedAt', 'stoppedAt' or 'note')
+     * @param {string} type - Input type
+     * @param {string} label - Accessible label
+     * @returns {HTMLElement} - The input element
      */
-    handleEditOption() {
-        // Close dropdown
-        this.closeOptionsDropdown();
-        
-        // Dispatch event
-        this.dispatchCustomEvent('editOptionClicked', {
-            timestamp: new Date().toISOString()
+    createTimesheetInput(session, field, type, label) {
+        const input = this.renderer.el('input', {
+            className: 'timesheet-modal__input',
+            attrs: {
+                type: type,
+                'aria-label': label,
+                placeholder: type === 'text' ? 'Add a note' : null
+            },
+            dataset: { sessionField: field }
         });
         
-        console.log('Edit option clicked');
-        
-        // Show success message or open edit modal
-        this.showSuccessMessage('Edit option selected');
+        input.value = type === 'datetime-local' ? this.toDateTimeLocal(session[field]) : (session[field] || '');
         
-        // In a real application, you might:
-        // - Open an edit item modal
-        // - Navigate to an edit page
-        // - Enable inline editing mode
+        return input;
     }
     
     /**
-     * Handle delete option button click
+     * Save a timesheet edit, reverting the input when the value is invalid
+     * @param {HTMLInputElement} input - The edited input
      */
-    handleDeleteOption() {
-        // Close dropdown
-        this.closeOptionsDropdown();
-        
-        // Dispatch event
-        this.dispatchCustomEvent('deleteOptionClicked', {
-            timestamp: new Date().toISOString()
-        });
-        
-        console.log('Delete option clicked');
+    handleTimesheetEdit(input) {
+        const sessionId = input.closest('[data-session-id]')?.dataset.sessionId;
+        const field = input.dataset.sessionField;
         
-        // Show confirmation dialog
-        if (confirm('Are you sure you want to delete this item?')) {
-            this.performDeleteAction();
+        try {
+            let value = input.value;
+            
+            // datetime-local values are in local time, sessions store UTC ISO strings
+            if (input.type === 'datetime-local') {
+                const date = new Date(input.value);
+                if (Number.isNaN(date.getTime())) {
+                    throw new Error('Enter a valid date and time');
+                }
+                value = date.toISOString();
+            }
+            
+            input.setCustomValidity('');
+            this.timer.updateSession(sessionId, { [field]: value });
+            
+        } catch (error) {
+            // Show the validation message on the input and restore the saved value
+            input.setCustomValidity(error.message);
+            input.reportValidity();
+            
+            const session = this.timer.getSession(sessionId);
+            if (session) {
+                input.value = input.type === 'datetime-local' ? this.toDateTimeLocal(session[field]) : (session[field] || '');
+            }
+            
+            console.warn('Timesheet edit rejected:', error.message);
         }
     }
     
     /**
-     * Perform the actual delete action
+     * Delete a recorded session from the timesheet
+     * @param {string} sessionId - Session ID
      */
-    performDeleteAction() {
-        // Dispatch delete event
-        this.dispatchCustomEvent('deleteActionConfirmed', {
-            timestamp: new Date().toISOString()
-        });
+    deleteTimesheetEntry(sessionId) {
+        if (!confirm('Delete this time entry?')) return;
         
-        console.log('Delete action confirmed');
-        
-        // Show success message
-        this.showSuccessMessage('Item deleted successfully');
-        
-        // In a real application, you might:
-        // - Make an API call to delete the item
-        // - Remove the item from the UI
-        // - Refresh the data
+        try {
+            this.timer.deleteSession(sessionId);
+            this.showSuccessMessage('Time entry deleted');
+        } catch (error) {
+            console.error('Error deleting timesheet entry:', error);
+            this.handleError(error, 'timesheet-delete', { notify: true });
+        }
     }
     
     /**
-     * Bind event listeners for the dashboard navigation menu
-     * Handles menu item clicks and active state management
+     * Export the recorded sessions as a downloadable file
+     * @param {string} format - 'csv' or 'ics'
      */
-    bindDashboardNavigation() {
-        const menuItems = document.querySelectorAll('.dashboard-nav__item');
+    exportTimesheet(format) {
+        try {
+            const sessions = this.getTimesheetSessions();
+            const date = new Date().toISOString().slice(0, 10);
+            
+            if (format === 'csv') {
+                this.timesheetExporter.download(`timesheet-${date}.csv`, this.timesheetExporter.toCSV(sessions), 'text/csv;charset=utf-8');
+            } else if (format === 'ics') {
+                this.timesheetExporter.download(`timesheet-${date}.ics`, this.timesheetExporter.toICS(sessions), 'text/calendar;charset=utf-8');
+            } else {
+                throw new Error(`Unknown timesheet export format: ${format}`);
+            }
+            
+            // Dispatch event
+            this.dispatchCustomEvent('timesheetExported', {
+                format: format,
+                sessionCount: sessions.length,
+                timestamp: new Date().toISOString()
+            });
+            
+            console.log(`Timesheet exported as ${format}`);
+            this.showSuccessMessage(`Timesheet exported (${sessions.length} ${sessions.length === 1 ? 'entry' : 'entries'})`);
+            
+        } catch (error) {
+            console.error('Error exporting timesheet:', error);
+            this.handleError(error, 'timesheet-export', {
+                notify: true,
+                message: `Timesheet export failed: ${error.message}`
+            });
+        }
+    }
+    
+    /**
+     * Get stopped sessions in timesheet order (newest first)
+     * @returns {Array<Object>} - Sessions
+     */
+    getTimesheetSessions() {
+        return this.timer.getSessions({ status: 'stopped' })
+            .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    }
+    
+    /**
+     * Resolve display names for the client and tab a session was recorded against
+     * @param {Object} session - Timer session
+     * @returns {Object} - { client, tab } display names
+     */
+    describeTimerSession(session) {
+        const currentClient = this.client.get();
+        const client = currentClient?.id === session.clientId
+            ? currentClient.name
+            : session.clientId;
+        const tab = this.config.tabs.find(item => item.id === session.tabId);
+        
+        return {
+            client: client || '',
+            tab: tab ? tab.title : (session.tabId ? `Tab ${session.tabId}` : '')
+        };
+    }
+    
+    /**
+     * Convert an ISO date to a datetime-local input value in local time
+     * @param {string} isoDate - ISO date string
+     * @returns {string} - Value formatted as YYYY-MM-DDTHH:MM
+     */
+    toDateTimeLocal(isoDate) {
+        if (!isoDate) return '';
+        
+        const date = new Date(isoDate);
+        const offsetMs = date.getTimezoneOffset() * 60000;
+        
+        return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+    }
+    
+    /**
+     * Bind event listeners for the notification modal
+     */
+    bindNotificationModal() {
+        const signal = this.listeners.bind('notificationModal');
+        const notificationBtn = this.getById('notification-btn');
+        const notificationModal = this.getById('notification-modal');
+        const notificationCloseBtn = this.getById('notification-close-btn');
         
-        if (menuItems.length === 0) {
-            console.warn('Dashboard navigation menu items not found');
+        if (!notificationBtn || !notificationModal || !notificationCloseBtn) {
+            console.warn('Notification modal elements not found');
             return;
         }
         
-        menuItems.forEach(menuItem => {
-            menuItem.addEventListener('click', (e) => {
+        // Toggle notification modal
+        notificationBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleNotificationModal();
+        }, { signal });
+        
+        // Close modal when clicking close button
+        notificationCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.closeNotificationModal();
+        }, { signal });
+        
+        // Close modal when clicking outside
+        document.addEventListener('click', (e) => {
+            // Only close if notification modal is active and click is outside
+            if (notificationModal.classList.contains('notification-modal--active') && 
+                !notificationModal.contains(e.target) && 
+                !notificationBtn.contains(e.target)) {
+                this.closeNotificationModal();
+            }
+        }, { signal });
+        
+        // Keyboard support
+        notificationBtn.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                this.setActiveMenuItem(menuItem);
-            });
-            
-            // Keyboard support
-            menuItem.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.setActiveMenuItem(menuItem);
+                this.toggleNotificationModal();
+            }
+        }, { signal });
+        
+        // Mark all as read
+        const markAllButton = this.getById('notification-mark-all-btn');
+        if (markAllButton) {
+            markAllButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.notificationFeed.markAllAsRead();
+            }, { signal });
+        }
+        
+        // Mark a single notification as read (delegated, the list is re-rendered)
+        const notificationList = this.getById('notification-list');
+        if (notificationList) {
+            notificationList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-notification-id]');
+                if (item) {
+                    this.notificationFeed.markAsRead(item.dataset.notificationId);
                 }
-            });
+            }, { signal });
+        }
+        
+        console.log('Notification modal events bound successfully');
+    }
+    
+    /**
+     * Toggle the notification modal
+     */
+    toggleNotificationModal() {
+        const notificationModal = this.getById('notification-modal');
+        const isActive = notificationModal.classList.contains('notification-modal--active');
+        
+        if (isActive) {
+            this.closeNotificationModal();
+        } else {
+            this.openNotificationModal();
+        }
+    }
+    
+    /**
+     * Open the notification modal
+     */
+    openNotificationModal() {
+        const notificationModal = this.getById('notification-modal');
+        
+        if (!notificationModal) return;
+        
+        // Add active class
+        notificationModal.classList.add('notification-modal--active');
+        notificationModal.setAttribute('aria-hidden', 'false');
+        this.getById('notification-btn')?.setAttribute('aria-expanded', 'true');
+        
+        // Dispatch event
+        this.dispatchCustomEvent('notificationModalOpened', {
+            timestamp: new Date().toISOString()
         });
         
-        console.log(`Dashboard navigation events bound to ${menuItems.length} menu items`);
+        console.log('Notification modal opened');
     }
     
     /**
-     * Set the active menu item and update UI states
-     * @param {HTMLElement} clickedMenuItem - The menu item that was clicked
+     * Close the notification modal
      */
-    setActiveMenuItem(clickedMenuItem) {
-        try {
-            const menuItems = document.querySelectorAll('.dashboard-nav__item');
-            
-            // Remove active class from all menu items
-            menuItems.forEach(item => {
-                item.classList.remove('dashboard-nav__item--active');
-                item.setAttribute('aria-selected', 'false');
-            });
-            
-            // Add active class to clicked menu item
-            clickedMenuItem.classList.add('dashboard-nav__item--active');
-            clickedMenuItem.setAttribute('aria-selected', 'true');
-            
-            // Focus management for accessibility
-            clickedMenuItem.focus();
-            
-            // Get menu item text and data for event dispatching
-            const menuText = clickedMenuItem.textContent.trim();
-            const menuNumber = clickedMenuItem.getAttribute('data-menu');
-            const menuId = clickedMenuItem.id;
-            
-            console.log(`Menu item "${menuText}" (${menuId}) activated`);
-            
-            // Dispatch custom event for menu change
-            this.dispatchCustomEvent('menuChanged', {
-                menuItem: menuText,
-                menuNumber: menuNumber,
-                menuId: menuId,
-                element: clickedMenuItem,
-                timestamp: new Date().toISOString()
-            });
-            
-        } catch (error) {
-            console.error('Error setting active menu item:', error);
-            this.handleError(error, 'menu-activation');
+    closeNotificationModal() {
+        const notificationModal = this.getById('notification-modal');
+        
+        if (!notificationModal) return;
+        
+        // Remove active class
+        notificationModal.classList.remove('notification-modal--active');
+        notificationModal.setAttribute('aria-hidden', 'true');
+        
+        // Return focus to trigger
+        const notificationBtn = this.getById('notification-btn');
+        if (notificationBtn) {
+            notificationBtn.setAttribute('aria-expanded', 'false');
+            notificationBtn.focus();
         }
+        
+        // Dispatch event
+        this.dispatchCustomEvent('notificationModalClosed', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Notification modal closed');
     }
     
     /**
-     * Get the currently active menu item
-     * @returns {HTMLElement|null} - Active menu item or null if none found
+     * React to notification feed changes
+     * @param {string} action - loaded, received, read or allRead
+     * @param {Object} detail - Change details from the feed
      */
-    getActiveMenuItem() {
-        return document.querySelector('.dashboard-nav__item--active');
+    handleNotificationChange(action, detail) {
+        const eventNames = {
+            loaded: 'notificationsLoaded',
+            received: 'notificationReceived',
+            read: 'notificationRead',
+            allRead: 'notificationsAllRead'
+        };
+        
+        this.renderNotifications();
+        
+        // Announce live notifications while the modal is closed
+        const notificationModal = this.getById('notification-modal');
+        if (action === 'received' && !notificationModal?.classList.contains('notification-modal--active')) {
+            const [first] = detail.notifications;
+            this.toasts.info(detail.notifications.length === 1
+                ? first.title || first.message
+                : `${detail.notifications.length} new notifications`);
+        }
+        
+        this.dispatchCustomEvent(eventNames[action], {
+            ...detail,
+            unreadCount: this.notificationFeed.getUnreadCount(),
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log(`Notifications ${action}`, detail);
     }
     
     /**
-     * Set active menu item by menu text
-     * @param {string} menuText - Text of the menu item to activate
+     * Render the notification list grouped by day and update the unread badge
      */
-    setActiveMenuByText(menuText) {
-        const menuItems = document.querySelectorAll('.dashboard-nav__item');
-        const targetMenuItem = Array.from(menuItems).find(item => 
-            item.textContent.trim() === menuText
-        );
+    renderNotifications() {
+        const list = this.getById('notification-list');
+        const emptyState = this.getById('notification-empty');
+        const body = this.getById('notification-body');
+        const markAllButton = this.getById('notification-mark-all-btn');
+        
+        if (!list) return;
+        
+        const r = this.renderer;
+        const groups = this.notificationFeed.groupByDay(this.formatters.locale);
+        const timeFormatter = new Intl.DateTimeFormat(this.formatters.locale, { timeStyle: 'short' });
+        
+        list.replaceChildren(...groups.map(group =>
+            r.el('section', { className: 'notification-modal__group' }, [
+                r.el('h4', { className: 'notification-modal__group-title', text: group.label }),
+                r.el('ul', { className: 'notification-modal__items' }, group.notifications.map(notification =>
+                    r.el('li', {
+                        className: `notification-modal__item notification-modal__item--${notification.severity}` +
+                            (notification.read ? '' : ' notification-modal__item--unread')
+                    }, [
+                        r.el('button', {
+                            className: 'notification-modal__item-button',
+                            attrs: {
+                                type: 'button',
+                                'aria-label': `${notification.read ? '' : 'Unread: '}${notification.title} ${notification.message}`.trim()
+                            },
+                            dataset: { notificationId: notification.id }
+                        }, [
+                            r.el('span', { className: 'notification-modal__item-title', text: notification.title }),
+                            notification.message
+                                ? r.el('span', { className: 'notification-modal__item-message', text: notification.message })
+                                : null,
+                            r.el('time', {
+                                className: 'notification-modal__item-time',
+                                attrs: { datetime: notification.createdAt },
+                                text: timeFormatter.format(new Date(notification.createdAt))
+                            })
+                        ])
+                    ])
+                ))
+            ])
+        ));
+        
+        const hasItems = groups.length > 0;
+        list.hidden = !hasItems;
+        if (emptyState) emptyState.hidden = hasItems;
+        body?.classList.toggle('notification-modal__body--has-items', hasItems);
+        
+        const unreadCount = this.notificationFeed.getUnreadCount();
+        if (markAllButton) markAllButton.hidden = unreadCount === 0;
+        
+        this.updateNotificationBadge(unreadCount);
+    }
+    
+    /**
+     * Show the unread count on the notification button
+     * @param {number} unreadCount - Number of unread notifications
+     */
+    updateNotificationBadge(unreadCount) {
+        const notificationBtn = this.getById('notification-btn');
+        const badge = this.getById('notification-badge');
         
-        if (targetMenuItem) {
-            this.setActiveMenuItem(targetMenuItem);
-        } else {
-            console.warn(`Menu item with text "${menuText}" not found`);
+        if (badge) {
+            badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+            badge.hidden = unreadCount === 0;
         }
+        
+        notificationBtn?.setAttribute('aria-label', unreadCount > 0
+            ? `Notifications (${unreadCount} unread)`
+            : 'Notifications');
     }
     
     /**
-     * Set active menu item by menu ID
-     * @param {string} menuId - ID of the menu item to activate (e.g., 'menu-1')
+     * Bind event listeners for the user dropdown
+     * Handles opening, closing, and menu interactions
      */
-    setActiveMenuById(menuId) {
-        const targetMenuItem = document.getElementById(menuId);
+    bindUserDropdown() {
+        const signal = this.listeners.bind('userDropdown');
+        const dropdownTrigger = this.getById('user-dropdown-trigger');
+        const dropdownMenu = this.getById('user-dropdown-menu');
+        const userDropdown = this.query('.user-dropdown');
+        const profileSettingsBtn = this.getById('profile-settings-btn');
+        const logoutBtn = this.getById('logout-btn');
         
-        if (targetMenuItem) {
-            this.setActiveMenuItem(targetMenuItem);
+        if (!dropdownTrigger || !dropdownMenu || !userDropdown) {
+            console.warn('User dropdown elements not found');
+            return;
+        }
+        
+        // Toggle dropdown
+        dropdownTrigger.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleUserDropdown();
+        }, { signal });
+        
+        // Close dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            // Only close if user dropdown is active and click is outside
+            if (userDropdown.classList.contains('user-dropdown--active') && !userDropdown.contains(e.target)) {
+                this.closeUserDropdown();
+            }
+        }, { signal });
+        
+        // Profile settings
+        if (profileSettingsBtn) {
+            profileSettingsBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleProfileSettings();
+            }, { signal });
+        }
+        
+        // Logout
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleLogout();
+            }, { signal });
+        }
+        
+        // Keyboard support
+        dropdownTrigger.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.toggleUserDropdown();
+            }
+        }, { signal });
+        
+        console.log('User dropdown events bound successfully');
+    }
+    
+    /**
+     * Toggle the user dropdown menu
+     */
+    toggleUserDropdown() {
+        const userDropdown = this.query('.user-dropdown');
+        const isActive = userDropdown.classList.contains('user-dropdown--active');
+        
+        if (isActive) {
+            this.closeUserDropdown();
         } else {
-            console.warn(`Menu item with ID "${menuId}" not found`);
+            this.openUserDropdown();
         }
     }
     
     /**
-     * Set active menu item by data-menu attribute
-     * @param {string|number} menuNumber - Menu number (e.g., 1, 2, 3)
+     * Open the user dropdown menu
      */
-    setActiveMenuByNumber(menuNumber) {
-        const targetMenuItem = document.querySelector(`[data-menu="${menuNumber}"]`);
+    openUserDropdown() {
+        const userDropdown = this.query('.user-dropdown');
+        const dropdownMenu = this.getById('user-dropdown-menu');
         
-        if (targetMenuItem) {
-            this.setActiveMenuItem(targetMenuItem);
-                 } else {
-             console.warn(`Menu item with number "${menuNumber}" not found`);
-         }
-     }
-     
-     /**
-      * Bind event listeners for the header menu button
-      * Handles menu toggle functionality and mobile navigation
-      */
-     bindHeaderMenuButton() {
-         const headerMenuBtn = document.querySelector('.header-menu-btn');
-         const dashboardNav = document.querySelector('.dashboard-nav');
-         const dashboardContent = document.querySelector('.dashboard-content');
-         
-         if (!headerMenuBtn) {
-             console.warn('Header menu button not found');
-             return;
-         }
-         
-         // Initialize menu state
-         let isMenuOpen = false;
-         
-         // Click handler
+        if (!userDropdown || !dropdownMenu) return;
+        
+        // Add active class
+        userDropdown.classList.add('user-dropdown--active');
+        dropdownMenu.setAttribute('aria-hidden', 'false');
+        
+        // Focus management
+        const firstMenuItem = dropdownMenu.querySelector('.user-dropdown__item');
+        if (firstMenuItem) {
+            setTimeout(() => firstMenuItem.focus(), 100);
+        }
+        
+        // Dispatch event
+        this.dispatchCustomEvent('userDropdownOpened', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('User dropdown opened');
+    }
+    
+    /**
+     * Close the user dropdown menu
+     */
+    closeUserDropdown() {
+        const userDropdown = this.query('.user-dropdown');
+        const dropdownMenu = this.getById('user-dropdown-menu');
+        
+        if (!userDropdown || !dropdownMenu) return;
+        
+        // Remove active class
+        userDropdown.classList.remove('user-dropdown--active');
+        dropdownMenu.setAttribute('aria-hidden', 'true');
+        
+        // Return focus to trigger
+        const dropdownTrigger = this.getById('user-dropdown-trigger');
+        if (dropdownTrigger) {
+            dropdownTrigger.focus();
+        }
+        
+        // Dispatch event
+        this.dispatchCustomEvent('userDropdownClosed', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('User dropdown closed');
+    }
+    
+    /**
+     * Handle profile settings button click
+     */
+    handleProfileSettings() {
+        // Close dropdown
+        this.closeUserDropdown();
+        
+        // Dispatch event
+        this.dispatchCustomEvent('profileSettingsClicked', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Profile settings clicked');
+        
+        // You could open a profile settings modal here
+        // this.openProfileSettingsModal();
+    }
+    
+    /**
+     * Handle logout button click
+     */
+    handleLogout() {
+        // Close dropdown
+        this.closeUserDropdown();
+        
+        // Dispatch event
+        this.dispatchCustomEvent('logoutClicked', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Logout clicked');
+        
+        // Show confirmation dialog
+        if (confirm('Are you sure you want to logout?')) {
+            // Perform logout action
+            this.performLogout();
+        }
+    }
+    
+    /**
+     * Perform the actual logout action
+     * Ends the session on the server; the session change then clears the
+     * dashboard and shows the login screen (see endSession())
+     * @returns {Promise<void>}
+     */
+    async performLogout() {
+        // Dispatch logout event
+        this.dispatchCustomEvent('logoutConfirmed', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Logout confirmed');
+        
+        if (this.session) {
+            await this.session.logout();
+            return;
+        }
+        
+        // Without a session there is no login screen to return to; start over instead
+        await this.endSession('logout');
+        window.location.reload();
+    }
+    
+    /**
+     * React to sign-in and sign-out, including ones made by other dashboards sharing the session
+     * @param {string} action - 'login', 'logout' or 'expired'
+     * @param {Object|null} user - User the change applies to
+     */
+    handleSessionChange(action, user) {
+        if (this.isDestroyed) return;
+        
+        if (action === 'login') {
+            if (this.isSignedOut) {
+                this.isSignedOut = false;
+                this.hideLoginScreen();
+                this.ready = this.init();
+            }
+            return;
+        }
+        
+        this.endSession(action).then(() => {
+            if (action === 'expired') {
+                this.toasts.warning('Your session has expired. Please sign in again.');
+            }
+        });
+    }
+    
+    /**
+     * Clear everything the signed-in user left behind and show the login screen
+     * Timer sessions are kept: a running timer is stopped so its time is recorded
+     * @param {string} reason - 'logout' or 'expired'
+     * @returns {Promise<void>}
+     */
+    async endSession(reason) {
+        if (this.isSignedOut) return;
+        this.isSignedOut = true;
+        
+        this.closeOverlays();
+        this.toasts.clear();
+        
+        // Stop live updates and intervals
+        this.stopIdleMonitor();
+        this.notificationFeed.stop();
+        this.router.stop();
+        if (this.timer.isRunning()) this.timer.stop();
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
+        
+        this.clearCachedData();
+        await this.clearPersistedState();
+        
+        this.showLoginScreen();
+        
+        console.log(`Session ended (${reason})`);
+        
+        this.dispatchCustomEvent('sessionEnded', {
+            reason: reason,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Drop the loaded configuration and everything rendered from it
+     */
+    clearCachedData() {
+        this.history.clear();
+        this.trashEntries = [];
+        this.config = {
+            menu: [],
+            tabs: [],
+            schemas: {},
+            filters: [],
+            clients: []
+        };
+        this.filterEngine.setDefinitions([]);
+        this.clientDirectory.setClients([]);
+        this.client.set(null);
+        this.permissions.configure();
+        
+        this.renderMenu();
+        this.query(this.selectors.tabNavigation)?.replaceChildren();
+        this.query(this.selectors.tabContainer)?.replaceChildren();
+        this.breadcrumbs?.render([]);
+        this.renderTrash();
+        
+        this.notificationFeed.clear();
+        this.renderNotifications();
+    }
+    
+    /**
+     * Remove state kept on this device: email and client switcher preferences,
+     * recent clients, changed shortcuts, the copies of deleted records and the route in the URL
+     * @returns {Promise<void>}
+     */
+    async clearPersistedState() {
+        try {
+            await this.emailPreferences.clear();
+        } catch (error) {
+            console.warn('Unable to clear email preferences:', error);
+        }
+        
+        try {
+            await this.clientSwitcherPreferences.clear();
+        } catch (error) {
+            console.warn('Unable to clear client switcher preferences:', error);
+        }
+        this.clientDirectory.clear();
+        
+        this.shortcutRecordingId = null;
+        this.shortcuts.resetAll();
+        
+        // A local trash holds full copies of the deleted records
+        try {
+            this.dataProvider.clearLocalTrash();
+        } catch (error) {
+            console.warn('Unable to clear the trash:', error);
+        }
+        
+        if (this.features.router) {
+            this.router.clear();
+        }
+    }
+    
+    /**
+     * Show the login screen in place of the dashboard
+     */
+    showLoginScreen() {
+        const loginScreen = this.query(this.selectors.loginScreen);
+        if (!loginScreen) {
+            console.warn('Login screen not found');
+            return;
+        }
+        
+        this.isSignedOut = true;
+        this.queryAll(this.selectors.signedInRegions).forEach(region => {
+            region.hidden = true;
+        });
+        loginScreen.hidden = false;
+        
+        this.bindLoginForm();
+        this.showLoginError(null);
+        this.getById('login-username')?.focus();
+    }
+    
+    /**
+     * Hide the login screen and show the dashboard again
+     */
+    hideLoginScreen() {
+        const loginScreen = this.query(this.selectors.loginScreen);
+        if (loginScreen) loginScreen.hidden = true;
+        
+        this.queryAll(this.selectors.signedInRegions).forEach(region => {
+            region.hidden = false;
+        });
+        
+        this.listeners.release('loginForm');
+    }
+    
+    /**
+     * Bind the sign-in form of the login screen
+     */
+    bindLoginForm() {
+        const signal = this.listeners.bind('loginForm');
+        const form = this.getById('login-form');
+        
+        form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLoginSubmit(form);
+        }, { signal });
+    }
+    
+    /**
+     * Sign in with the values of the login form
+     * The session change then loads the dashboard (see handleSessionChange())
+     * @param {HTMLFormElement} form - Login form
+     * @returns {Promise<void>}
+     */
+    async handleLoginSubmit(form) {
+        const username = form.elements.username.value.trim();
+        const password = form.elements.password.value;
+        const submitButton = this.getById('login-submit');
+        
+        if (!username || !password) {
+            this.showLoginError('Enter your username and password.');
+            return;
+        }
+        
+        this.showLoginError(null);
+        if (submitButton) submitButton.disabled = true;
+        
+        try {
+            await this.session.login(username, password);
+            form.reset();
+            console.log(`Signed in as ${username}`);
+        } catch (error) {
+            console.warn('Sign-in failed:', error);
+            this.showLoginError(error.message);
+            form.elements.password.value = '';
+            form.elements.password.focus();
+        } finally {
+            if (submitButton) submitButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Show or clear the error message of the login form
+     * @param {string|null} message - Message, or null to hide it
+     */
+    showLoginError(message) {
+        const error = this.getById('login-error');
+        if (!error) return;
+        
+        error.textContent = message || '';
+        error.hidden = !message;
+        
+        ['login-username', 'login-password'].forEach(id => {
+            this.getById(id)?.classList.toggle('form-input--error', !!message);
+        });
+    }
+    
+    /**
+     * Watch for keyboard and pointer activity anywhere in the dashboard
+     */
+    startIdleMonitor() {
+        const signal = this.listeners.bind('idleMonitor');
+        const recordActivity = () => this.idleMonitor.recordActivity();
+        
+        ['keydown', 'mousedown', 'mousemove', 'wheel', 'touchstart'].forEach(type => {
+            this.root.addEventListener(type, recordActivity, { signal, passive: true });
+        });
+        
+        // Scroll events do not bubble; scrolling any region counts
+        this.root.addEventListener('scroll', recordActivity, { signal, passive: true, capture: true });
+        
+        this.bindIdleDialog();
+        this.idleMonitor.start();
+        
+        console.log(`Idle monitor started (${Math.round(this.idleMonitor.timeout / 60000)} min)`);
+    }
+    
+    /**
+     * Stop watching for inactivity and close the warning
+     */
+    stopIdleMonitor() {
+        this.idleMonitor.stop();
+        if (this.isIdleDialogOpen()) this.closeIdleDialog();
+        
+        this.listeners.release('idleMonitor');
+        this.listeners.release('idleDialog');
+    }
+    
+    /**
+     * Change the idle period
+     * @param {Object} options - { timeout, warning } in ms
+     */
+    setIdleTimeout(options) {
+        this.idleMonitor.configure(options);
+    }
+    
+    /**
+     * Bind the buttons of the idle warning dialog
+     */
+    bindIdleDialog() {
+        const signal = this.listeners.bind('idleDialog');
+        
+        this.getById('idle-dialog-stay')?.addEventListener('click', () => this.stayActive(), { signal });
+        this.getById('idle-dialog-logout')?.addEventListener('click', () => {
+            this.closeIdleDialog();
+            this.performLogout();
+        }, { signal });
+    }
+    
+    /**
+     * Show the countdown before the automatic sign-out
+     * @param {number} remaining - Milliseconds until the user is signed out
+     */
+    openIdleDialog(remaining) {
+        const idleDialog = this.getById('idle-dialog');
+        if (!idleDialog) return;
+        
+        this.idleDialogReturnFocus = document.activeElement;
+        this.updateIdleCountdown(remaining);
+        
+        idleDialog.classList.add('idle-dialog--active');
+        idleDialog.setAttribute('aria-hidden', 'false');
+        this.getById('idle-dialog-stay')?.focus();
+        
+        this.dispatchCustomEvent('idleWarning', {
+            remainingMs: remaining,
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Idle warning shown');
+    }
+    
+    /**
+     * Hide the idle warning
+     */
+    closeIdleDialog() {
+        const idleDialog = this.getById('idle-dialog');
+        if (!idleDialog) return;
+        
+        idleDialog.classList.remove('idle-dialog--active');
+        idleDialog.setAttribute('aria-hidden', 'true');
+        
+        if (this.idleDialogReturnFocus && this.contains(this.idleDialogReturnFocus)) {
+            this.idleDialogReturnFocus.focus();
+        }
+        this.idleDialogReturnFocus = null;
+    }
+    
+    /**
+     * @returns {boolean} - True when the idle warning is shown
+     */
+    isIdleDialogOpen() {
+        return !!this.getById('idle-dialog')?.classList.contains('idle-dialog--active');
+    }
+    
+    /**
+     * Show the seconds left in the idle warning
+     * @param {number} remaining - Milliseconds until the user is signed out
+     */
+    updateIdleCountdown(remaining) {
+        const countdown = this.getById('idle-dialog-countdown');
+        if (!countdown) return;
+        
+        const seconds = Math.ceil(remaining / 1000);
+        countdown.textContent = `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+    }
+    
+    /**
+     * Keep the user signed in from the idle warning
+     */
+    stayActive() {
+        this.idleMonitor.stayActive();
+        this.closeIdleDialog();
+        
+        console.log('Idle warning dismissed');
+    }
+    
+    /**
+     * Sign out after the idle countdown has run out
+     * A running timer is stopped as of the last activity, so the time away is not billed
+     * @param {number} lastActivity - Time of the last keyboard or pointer activity (ms)
+     * @returns {Promise<void>}
+     */
+    async handleIdleTimeout(lastActivity) {
+        this.closeIdleDialog();
+        
+        const timerStopped = this.timer.isRunning();
+        if (timerStopped) {
+            this.timer.stop({ at: lastActivity });
+        }
+        
+        this.dispatchCustomEvent('idleTimeout', {
+            lastActivity: new Date(lastActivity).toISOString(),
+            timerStopped: timerStopped,
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Signing out after inactivity');
+        
+        await this.performLogout();
+        this.toasts.info('You were signed out after a period of inactivity.');
+    }
+    
+    /**
+     * Show the signed-in user's name in the header
+     * Falls back to config.user when there is no session
+     */
+    renderUser() {
+        const user = this.session?.getUser() || this.config.user;
+        if (!user?.name) return;
+        
+        this.queryAll('.dashboard-header__user-name, .user-dropdown__name').forEach(element => {
+            element.textContent = user.name;
+        });
+        this.query('.user-dropdown__avatar-image')?.setAttribute('alt', user.name);
+        
+        const email = this.query('.user-dropdown__email');
+        if (email && user.email) email.textContent = user.email;
+    }
+    
+    /**
+     * Bind event listeners for the options dropdown
+     * Handles opening, closing, and menu interactions
+     */
+    bindOptionsDropdown() {
+        const signal = this.listeners.bind('optionsDropdown');
+        const optionsDropdownTrigger = this.getById('options-dropdown-trigger');
+        const optionsDropdownMenu = this.getById('options-dropdown-menu');
+        const optionsDropdown = this.query('.options-dropdown');
+        const addOptionBtn = this.getById('add-option-btn');
+        const editOptionBtn = this.getById('edit-option-btn');
+        const deleteOptionBtn = this.getById('delete-option-btn');
+        const timesheetOptionBtn = this.getById('timesheet-option-btn');
+        const trashOptionBtn = this.getById('trash-option-btn');
+        
+        if (!optionsDropdownTrigger || !optionsDropdownMenu || !optionsDropdown) {
+            console.warn('Options dropdown elements not found');
+            return;
+        }
+        
+        // Toggle dropdown
+        optionsDropdownTrigger.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleOptionsDropdown();
+        }, { signal });
+        
+        // Close dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            // Only close if options dropdown is active and click is outside
+            if (optionsDropdown.classList.contains('options-dropdown--active') && 
+                !optionsDropdown.contains(e.target)) {
+                this.closeOptionsDropdown();
+            }
+        }, { signal });
+        
+        // Add option handler
+        if (addOptionBtn) {
+            addOptionBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleAddOption();
+            }, { signal });
+        }
+        
+        // Edit option handler
+        if (editOptionBtn) {
+            editOptionBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleEditOption();
+            }, { signal });
+        }
+        
+        // Timesheet option handler
+        if (timesheetOptionBtn) {
+            timesheetOptionBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleTimesheetOption();
+            }, { signal });
+        }
+        
+        // Trash option handler
+        if (trashOptionBtn) {
+            trashOptionBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleTrashOption();
+            }, { signal });
+        }
+        
+        // Delete option handler
+        if (deleteOptionBtn) {
+            deleteOptionBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleDeleteOption();
+            }, { signal });
+        }
+        
+        // Keyboard support
+        optionsDropdownTrigger.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.toggleOptionsDropdown();
+            }
+        }, { signal });
+        
+        console.log('Options dropdown events bound successfully');
+    }
+    
+    /**
+     * Toggle the options dropdown menu
+     */
+    toggleOptionsDropdown() {
+        const optionsDropdown = this.query('.options-dropdown');
+        const isActive = optionsDropdown.classList.contains('options-dropdown--active');
+        
+        if (isActive) {
+            this.closeOptionsDropdown();
+        } else {
+            this.openOptionsDropdown();
+        }
+    }
+    
+    /**
+     * Open the options dropdown menu
+     */
+    openOptionsDropdown() {
+        const optionsDropdown = this.query('.options-dropdown');
+        const optionsDropdownMenu = this.getById('options-dropdown-menu');
+        
+        if (!optionsDropdown || !optionsDropdownMenu) return;
+        
+        // Close other dropdowns first
+        this.closeUserDropdown();
+        this.closeNotificationModal();
+        
+        // Add active class
+        optionsDropdown.classList.add('options-dropdown--active');
+        optionsDropdownMenu.setAttribute('aria-hidden', 'false');
+        
+        // Focus management
+        const firstMenuItem = optionsDropdownMenu.querySelector('.options-dropdown__item:not([hidden])');
+        if (firstMenuItem) {
+            setTimeout(() => firstMenuItem.focus(), 100);
+        }
+        
+        // Dispatch event
+        this.dispatchCustomEvent('optionsDropdownOpened', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Options dropdown opened');
+    }
+    
+    /**
+     * Close the options dropdown menu
+     */
+    closeOptionsDropdown() {
+        const optionsDropdown = this.query('.options-dropdown');
+        const optionsDropdownMenu = this.getById('options-dropdown-menu');
+        
+        if (!optionsDropdown || !optionsDropdownMenu) return;
+        
+        // Remove active class
+        optionsDropdown.classList.remove('options-dropdown--active');
+        optionsDropdownMenu.setAttribute('aria-hidden', 'true');
+        
+        // Return focus to trigger
+        const optionsDropdownTrigger = this.getById('options-dropdown-trigger');
+        if (optionsDropdownTrigger) {
+            optionsDropdownTrigger.focus();
+        }
+        
+        // Dispatch event
+        this.dispatchCustomEvent('optionsDropdownClosed', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Options dropdown closed');
+    }
+    
+    /**
+     * Handle add option button click
+     * Opens the create-record wizard
+     */
+    handleAddOption() {
+        // Close dropdown
+        this.closeOptionsDropdown();
+        
+        // Dispatch event
+        this.dispatchCustomEvent('addOptionClicked', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Add option clicked');
+        
+        this.openRecordWizard();
+    }
+    
+    /**
+     * Handle edit option button click
+     * Switches the active tab panel into inline edit mode
+     */
+    handleEditOption() {
+        // Close dropdown
+        this.closeOptionsDropdown();
+        
+        // Dispatch event
+        this.dispatchCustomEvent('editOptionClicked', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Edit option clicked');
+        
+        this.enterEditMode(this.getActiveTabId());
+    }
+    
+    /**
+     * Handle delete option button click
+     * Deleting moves the record to the trash, so it can be undone instead of confirmed
+     */
+    handleDeleteOption() {
+        // Close dropdown
+        this.closeOptionsDropdown();
+        
+        // Dispatch event
+        this.dispatchCustomEvent('deleteOptionClicked', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Delete option clicked');
+        
+        this.performDeleteAction();
+    }
+    
+    /**
+     * Perform the actual delete action on the active record
+     * @returns {Promise<Object|null>} - Trash entry, or null when nothing was deleted
+     */
+    performDeleteAction() {
+        if (!this.requirePermission('records.delete', 'delete records')) return Promise.resolve(null);
+        
+        // Dispatch delete event
+        this.dispatchCustomEvent('deleteActionConfirmed', {
+            tabId: this.getActiveTabId(),
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Delete action confirmed');
+        
+        return this.deleteRecord(this.getActiveTabId());
+    }
+    
+    /**
+     * Soft-delete a record: move it to the data provider's trash and remove its tab
+     * A toast offers to undo the deletion for deleteUndoDuration ms
+     * @param {number} tabId - ID of the record (tab) to delete
+     * @returns {Promise<Object|null>} - Trash entry, or null when nothing was deleted
+     */
+    async deleteRecord(tabId) {
+        if (!this.requirePermission('records.delete', 'delete records')) return null;
+        
+        try {
+            const position = this.config.tabs.findIndex(tab => tab.id === tabId);
+            if (position === -1) {
+                throw new Error(`Record ${tabId} not found`);
+            }
+            if (this.config.tabs.length <= 1) {
+                throw new Error('Cannot remove the last remaining tab');
+            }
+            
+            const tabConfig = this.config.tabs[position];
+            const entry = await this.dataProvider.deleteRecord(tabConfig, { position, clientId: this.getCurrentClientId() });
+            
+            this.history.withoutRecording(() => this.removeTab(tabId));
+            this.trashEntries = [entry, ...this.trashEntries.filter(item => !RecordTrash.matches(item, entry.id, entry.clientId))];
+            this.renderTrash();
+            
+            const name = tabConfig.title || tabConfig.label || `Tab ${tabId}`;
+            
+            // Undoing goes back through the trash so the data provider stays in sync
+            this.history.record({
+                label: `Delete "${name}"`,
+                tabId: tabId,
+                recordId: entry.id,
+                undo: async () => (await this.restoreRecord(tabId, { clientId: entry.clientId })) !== null,
+                redo: async () => (await this.deleteRecord(tabId)) !== null
+            });
+            this.toasts.success(`"${name}" moved to trash`, {
+                duration: this.deleteUndoDuration,
+                action: { label: 'Undo', onClick: () => this.restoreRecord(tabId, { clientId: entry.clientId }) }
+            });
+            
+            this.dispatchCustomEvent('recordDeleted', {
+                tabId: tabId,
+                entry: entry,
+                timestamp: new Date().toISOString()
+            });
+            
+            console.log(`Moved record ${tabId} to trash`);
+            return entry;
+            
+        } catch (error) {
+            console.error('Error deleting record:', error);
+            this.handleError(error, 'record-delete', { notify: true, message: `Unable to delete the record: ${error.message}` });
+            return null;
+        }
+    }
+    
+    /**
+     * Restore a record from the trash into its original position
+     * @param {string|number} recordId - Record ID
+     * @param {Object} [options] - Restore options
+     * @param {string|null} [options.clientId] - Client the record belongs to (defaults to the current client)
+     * @returns {Promise<Object|null>} - Restored tab configuration, or null on failure
+     */
+    async restoreRecord(recordId, { clientId = this.getCurrentClientId() } = {}) {
+        if (!this.requirePermission('records.delete', 'restore records')) return null;
+        
+        // A record of another client goes back to that client, which is not on screen
+        const isOtherClient = clientId !== null && String(clientId) !== String(this.getCurrentClientId());
+        
+        try {
+            if (!isOtherClient && this.config.tabs.some(tab => String(tab.id) === String(recordId))) {
+                throw new Error(`A record with ID ${recordId} already exists`);
+            }
+            
+            const entry = await this.dataProvider.restoreRecord(recordId, { clientId });
+            const tabConfig = entry.record;
+            
+            if (!isOtherClient) {
+                // Restoring was authorized above, even for users who may not add new records
+                this.history.withoutRecording(() => this.runAuthorized(() => this.addTab(tabConfig, { position: entry.position })));
+                this.activateTab(tabConfig.id);
+            }
+            
+            this.trashEntries = this.trashEntries.filter(item => !RecordTrash.matches(item, recordId, clientId));
+            this.renderTrash();
+            
+            if (!isOtherClient) {
+                this.history.record({
+                    label: `Restore "${tabConfig.title || tabConfig.label}"`,
+                    tabId: tabConfig.id,
+                    recordId: entry.id,
+                    undo: async () => (await this.deleteRecord(tabConfig.id)) !== null,
+                    redo: async () => (await this.restoreRecord(tabConfig.id)) !== null
+                });
+            }
+            
+            this.showSuccessMessage(isOtherClient
+                ? `"${tabConfig.title || tabConfig.label}" restored to ${this.clientDirectory.get(clientId)?.name || clientId}`
+                : `"${tabConfig.title || tabConfig.label}" restored`);
+            
+            this.dispatchCustomEvent('recordRestored', {
+                tabId: tabConfig.id,
+                clientId: clientId,
+                timestamp: new Date().toISOString()
+            });
+            
+            console.log(`Restored record ${recordId}`);
+            return tabConfig;
+            
+        } catch (error) {
+            console.error('Error restoring record:', error);
+            this.handleError(error, 'record-restore', { notify: true, message: `Unable to restore the record: ${error.message}` });
+            return null;
+        }
+    }
+    
+    /**
+     * Permanently delete a trashed record, asking first
+     * @param {string|number} recordId - Record ID
+     * @param {Object} [options] - Purge options
+     * @param {string|null} [options.clientId] - Client the record belongs to (defaults to the current client)
+     * @returns {Promise<boolean>} - True when the record was purged
+     */
+    async purgeRecord(recordId, { clientId = this.getCurrentClientId() } = {}) {
+        if (!this.requirePermission('records.purge', 'permanently delete records')) return false;
+        
+        const entry = this.trashEntries.find(item => RecordTrash.matches(item, recordId, clientId));
+        const name = entry ? (entry.record.title || entry.record.label) : `record ${recordId}`;
+        
+        if (!confirm(`Permanently delete "${name}"? This cannot be undone.`)) return false;
+        
+        try {
+            await this.dataProvider.purgeRecord(recordId, { clientId });
+            
+            // A purged record can no longer be restored, so its delete/restore steps are dropped
+            // (the history only holds steps of the current client)
+            if (String(clientId ?? '') === String(this.getCurrentClientId() ?? '')) {
+                this.history.clear(command => command.recordId === String(recordId));
+            }
+            
+            this.trashEntries = this.trashEntries.filter(item => !RecordTrash.matches(item, recordId, clientId));
+            this.renderTrash();
+            
+            this.showSuccessMessage(`"${name}" permanently deleted`);
+            
+            this.dispatchCustomEvent('recordPurged', {
+                recordId: String(recordId),
+                clientId: clientId,
+                timestamp: new Date().toISOString()
+            });
+            
+            console.log(`Purged record ${recordId}`);
+            return true;
+            
+        } catch (error) {
+            console.error('Error purging record:', error);
+            this.handleError(error, 'record-purge', { notify: true, message: `Unable to delete the record: ${error.message}` });
+            return false;
+        }
+    }
+    
+    /**
+     * Load the trash from the data provider
+     * @returns {Promise<void>}
+     */
+    async loadTrash() {
+        try {
+            this.trashEntries = await this.dataProvider.listTrash();
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.handleError(error, 'trash-load');
+            this.trashEntries = [];
+        }
+        
+        this.renderTrash();
+    }
+    
+    /**
+     * Bind the trash modal controls
+     */
+    bindTrashModal() {
+        const signal = this.listeners.bind('trashModal');
+        const trashModal = this.getById('trash-modal');
+        const list = this.getById('trash-list');
+        
+        if (!trashModal || !list) {
+            console.warn('Trash modal elements not found');
+            return;
+        }
+        
+        ['trash-modal-close', 'trash-modal-done', 'trash-modal-overlay'].forEach(id => {
+            this.getById(id)?.addEventListener('click', () => this.closeTrashModal(), { signal });
+        });
+        
+        // Restore / purge buttons (delegated, the list is re-rendered on every change)
+        list.addEventListener('click', (e) => {
+            const restoreButton = e.target.closest('[data-trash-restore]');
+            const purgeButton = e.target.closest('[data-trash-purge]');
+            
+            // Entries of every client are listed, so the buttons carry the client as well
+            const clientId = e.target.closest('[data-record-id]')?.dataset.clientId || null;
+            
+            if (restoreButton) {
+                this.restoreRecord(restoreButton.dataset.trashRestore, { clientId });
+            } else if (purgeButton) {
+                this.purgeRecord(purgeButton.dataset.trashPurge, { clientId });
+            }
+        }, { signal });
+        
+        console.log('Trash modal events bound successfully');
+    }
+    
+    /**
+     * Handle trash option button click
+     */
+    handleTrashOption() {
+        // Close dropdown
+        this.closeOptionsDropdown();
+        
+        this.openTrashModal();
+    }
+    
+    /**
+     * Check whether the trash modal is open
+     * @returns {boolean} - True when the modal is visible
+     */
+    isTrashOpen() {
+        return !!this.getById('trash-modal')?.classList.contains('trash-modal--active');
+    }
+    
+    /**
+     * Open the trash modal
+     */
+    openTrashModal() {
+        if (!this.requirePermission('records.delete', 'restore deleted records')) return;
+        
+        const trashModal = this.getById('trash-modal');
+        if (!trashModal) return;
+        
+        this.renderTrash();
+        
+        // Show modal
+        trashModal.classList.add('trash-modal--active');
+        trashModal.setAttribute('aria-hidden', 'false');
+        
+        // Focus management
+        const closeButton = this.getById('trash-modal-close');
+        if (closeButton) {
+            setTimeout(() => closeButton.focus(), 100);
+        }
+        
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+        
+        // Dispatch event
+        this.dispatchCustomEvent('trashOpened', {
+            recordCount: this.trashEntries.length,
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Trash modal opened');
+        
+        // Pick up changes made elsewhere (e.g. another browser tab)
+        this.loadTrash();
+    }
+    
+    /**
+     * Close the trash modal
+     */
+    closeTrashModal() {
+        const trashModal = this.getById('trash-modal');
+        if (!trashModal) return;
+        
+        // Hide modal
+        trashModal.classList.remove('trash-modal--active');
+        trashModal.setAttribute('aria-hidden', 'true');
+        
+        // Restore body scroll
+        document.body.style.overflow = '';
+        
+        // Return focus to the options trigger the modal was opened from
+        const optionsDropdownTrigger = this.getById('options-dropdown-trigger');
+        if (optionsDropdownTrigger) {
+            optionsDropdownTrigger.focus();
+        }
+        
+        // Dispatch event
+        this.dispatchCustomEvent('trashClosed', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Trash modal closed');
+    }
+    
+    /**
+     * Render the trashed records into the trash modal, most recently deleted first
+     */
+    renderTrash() {
+        const list = this.getById('trash-list');
+        const empty = this.getById('trash-empty');
+        const summary = this.getById('trash-summary');
+        if (!list) return;
+        
+        const r = this.renderer;
+        const formatter = new Intl.DateTimeFormat(this.formatters.locale, { dateStyle: 'medium', timeStyle: 'short' });
+        const currentClientId = this.getCurrentClientId();
+        
+        list.replaceChildren(...this.trashEntries.map(entry => {
+            const record = entry.record || {};
+            const name = record.title || record.label || `Record ${entry.id}`;
+            
+            // Records of other clients are labelled with the client's name
+            const clientName = entry.clientId != null && String(entry.clientId) !== String(currentClientId)
+                ? this.clientDirectory.get(entry.clientId)?.name || entry.clientId
+                : null;
+            
+            return r.el('li', { className: 'trash-modal__item', dataset: { recordId: entry.id, clientId: entry.clientId ?? '' } }, [
+                r.el('div', { className: 'trash-modal__details' }, [
+                    r.el('span', { className: 'trash-modal__name', text: name }),
+                    r.el('span', { className: 'trash-modal__meta' }, [
+                        clientName ? `${clientName} · ` : '',
+                        record.label && record.label !== name ? `${record.label} · ` : '',
+                        'Deleted ',
+                        r.el('time', { attrs: { datetime: entry.deletedAt }, text: formatter.format(new Date(entry.deletedAt)) })
+                    ])
+                ]),
+                r.el('button', {
+                    className: 'trash-modal__action',
+                    attrs: { type: 'button', 'aria-label': `Restore ${name}` },
+                    dataset: { trashRestore: entry.id },
+                    text: 'Restore'
+                }),
+                this.permissions.can('records.purge') && r.el('button', {
+                    className: 'trash-modal__action trash-modal__action--danger',
+                    attrs: { type: 'button', 'aria-label': `Permanently delete ${name}` },
+                    dataset: { trashPurge: entry.id },
+                    text: 'Delete permanently'
+                })
+            ]);
+        }));
+        
+        list.hidden = this.trashEntries.length === 0;
+        if (empty) empty.hidden = this.trashEntries.length > 0;
+        if (summary) {
+            summary.textContent = this.trashEntries.length === 0
+                ? ''
+                : `${this.trashEntries.length} deleted ${this.trashEntries.length === 1 ? 'record' : 'records'}`;
+        }
+    }
+    
+    /**
+     * Switch a tab panel into inline edit mode
+     * Every field value is replaced with a control matching its field type
+     * @param {number} tabId - Tab ID to edit
+     * @returns {boolean} - True when the panel is in edit mode
+     */
+    enterEditMode(tabId) {
+        if (!this.requirePermission('records.edit', 'edit records')) return false;
+        
+        if (this.editSession) {
+            if (this.editSession.tabId === tabId) {
+                this.focusEditControl(this.editSession.fields[0]?.control);
+                return true;
+            }
+            
+            // Only one panel is edited at a time
+            if (!this.cancelEdits()) return false;
+        }
+        
+        const tabConfig = this.config.tabs.find(tab => tab.id === tabId);
+        const panel = this.getById(this.domId(`tab-panel-${tabId}`));
+        
+        if (!tabConfig || !panel) {
+            this.toasts.info('Select a record to edit');
+            return false;
+        }
+        
+        const r = this.renderer;
+        const schemaFields = this.getTabSchema(tabConfig).sections.flatMap(section => (section.rows || []).flat());
+        const items = [...panel.querySelectorAll('.tab-content__item[data-field]')];
+        const context = { countries: this.getCountryOptions() };
+        
+        if (schemaFields.length === 0 || items.length !== schemaFields.length) {
+            this.toasts.info('This record has no editable fields');
+            return false;
+        }
+        
+        const fields = items.map((item, index) => {
+            const field = schemaFields[index];
+            const value = this.getFieldValue(tabConfig, field);
+            const control = this.editors.create(value, field, context);
+            const headingId = this.domId(`tab-${tabId}-field-${index}-label`);
+            const error = r.el('div', {
+                className: 'form-error tab-content__item-error',
+                attrs: { id: this.domId(`tab-${tabId}-field-${index}-error`), hidden: true }
+            });
+            
+            item.querySelector('.tab-content__item-heading').id = headingId;
+            control.setAttribute('aria-labelledby', headingId);
+            control.setAttribute('aria-describedby', error.id);
+            
+            item.querySelector('.tab-content__item-value').replaceChildren(control, error);
+            
+            return { field, value, control, error };
+        });
+        
+        const cancelButton = r.el('button', { className: 'btn btn--secondary btn--small', attrs: { type: 'button' }, text: 'Cancel' });
+        const saveButton = r.el('button', { className: 'btn btn--primary btn--small', attrs: { type: 'button' }, text: 'Save' });
+        
+        cancelButton.addEventListener('click', () => this.cancelEdits());
+        saveButton.addEventListener('click', () => this.saveEdits());
+        
+        panel.querySelector('.tab-content__heading').after(r.el('div', {
+            className: 'tab-content__edit-actions',
+            attrs: { role: 'group', 'aria-label': 'Edit actions' }
+        }, [
+            r.el('span', { className: 'tab-content__edit-hint', text: 'Ctrl+Enter to save, Escape to cancel' }),
+            cancelButton,
+            saveButton
+        ]));
+        
+        panel.addEventListener('keydown', (e) => this.handleEditKeydown(e), {
+            signal: this.listeners.bind('editMode')
+        });
+        panel.classList.add('tab-content--editing');
+        
+        this.editSession = { tabId, panel, fields };
+        this.editSession.snapshot = this.getEditSnapshot();
+        
+        this.focusEditControl(fields[0].control);
+        
+        this.dispatchCustomEvent('editModeChanged', {
+            tabId: tabId,
+            editing: true,
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log(`Editing tab ${tabId}`);
+        return true;
+    }
+    
+    /**
+     * Keyboard support while editing
+     * Escape cancels, Ctrl/Cmd+Enter (or Enter in a single-line input) saves
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleEditKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.cancelEdits();
+            return;
+        }
+        
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey || e.target.tagName === 'INPUT')) {
+            e.preventDefault();
+            this.saveEdits();
+        }
+    }
+    
+    /**
+     * Validate and save the edited fields through updateTabContent()
+     * @returns {boolean} - True when the edits were saved (or there was nothing to save)
+     */
+    saveEdits() {
+        const session = this.editSession;
+        if (!session) return false;
+        
+        const changes = {};
+        let firstInvalid = null;
+        
+        session.fields.forEach(entry => {
+            try {
+                const value = this.editors.read(entry.control, entry.field, entry.value);
+                this.setEditError(entry, null);
+                
+                if (JSON.stringify(value ?? null) !== JSON.stringify(entry.value ?? null)) {
+                    changes[entry.field.key] = value;
+                }
+            } catch (error) {
+                this.setEditError(entry, error.message);
+                firstInvalid = firstInvalid || entry.control;
+            }
+        });
+        
+        if (firstInvalid) {
+            this.focusEditControl(firstInvalid);
+            this.toasts.warning('Please correct the highlighted fields');
+            return false;
+        }
+        
+        const tabId = session.tabId;
+        const tabConfig = this.config.tabs.find(tab => tab.id === tabId);
+        
+        if (Object.keys(changes).length === 0) {
+            this.exitEditMode();
+            this.toasts.info('No changes to save');
+            return true;
+        }
+        
+        // Values live in tabConfig.data unless the field maps to a top-level tab property
+        const newConfig = { data: { ...tabConfig.data } };
+        Object.entries(changes).forEach(([key, value]) => {
+            if (tabConfig.data?.[key] === undefined && tabConfig[key] !== undefined) {
+                newConfig[key] = value;
+            } else {
+                newConfig.data[key] = value;
+            }
+        });
+        
+        this.exitEditMode({ restore: false, saved: true });
+        this.updateTabContent(tabId, newConfig);
+        this.showSuccessMessage('Changes saved');
+        
+        console.log(`Saved ${Object.keys(changes).length} field(s) on tab ${tabId}`);
+        return true;
+    }
+    
+    /**
+     * Leave edit mode without saving, asking first when there are unsaved changes
+     * @returns {boolean} - True when edit mode was left
+     */
+    cancelEdits() {
+        if (!this.editSession) return true;
+        
+        if (this.hasUnsavedEdits() && !confirm('You have unsaved changes. Discard them?')) {
+            return false;
+        }
+        
+        this.exitEditMode();
+        return true;
+    }
+    
+    /**
+     * Leave edit mode
+     * @param {Object} [options] - Exit options
+     * @param {boolean} [options.restore] - Re-render the panel from the saved configuration
+     * @param {boolean} [options.saved] - Whether the edits were saved (reported in the event)
+     */
+    exitEditMode({ restore = true, saved = false } = {}) {
+        const session = this.editSession;
+        if (!session) return;
+        
+        this.editSession = null;
+        this.listeners.release('editMode');
+        session.panel.classList.remove('tab-content--editing');
+        
+        const tabConfig = this.config.tabs.find(tab => tab.id === session.tabId);
+        if (restore && tabConfig && session.panel.isConnected) {
+            this.populateTabContent(session.panel, tabConfig);
+            this.applyFilters();
+        }
+        
+        this.dispatchCustomEvent('editModeChanged', {
+            tabId: session.tabId,
+            editing: false,
+            saved: saved,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Check whether a tab panel is in edit mode
+     * @param {number} [tabId] - Tab ID (any tab when omitted)
+     * @returns {boolean} - True when editing
+     */
+    isEditing(tabId) {
+        return !!this.editSession && (tabId === undefined || this.editSession.tabId === tabId);
+    }
+    
+    /**
+     * Check whether any control differs from the value it was opened with
+     * @returns {boolean} - True when there are unsaved edits
+     */
+    hasUnsavedEdits() {
+        return !!this.editSession && this.getEditSnapshot() !== this.editSession.snapshot;
+    }
+    
+    /**
+     * Serialize the raw values of every edit control
+     * @returns {string} - Snapshot used for dirty checking
+     */
+    getEditSnapshot() {
+        return JSON.stringify(this.editSession.fields.map(({ control }) =>
+            this.getEditInputs(control).map(element => element.value)
+        ));
+    }
+    
+    /**
+     * Show or clear the validation message of an edited field
+     * @param {Object} entry - Edit session field
+     * @param {string|null} message - Error message, or null to clear it
+     */
+    setEditError(entry, message) {
+        this.getEditInputs(entry.control).forEach(element => {
+            element.classList.toggle('form-input--error', !!message);
+            if (message) {
+                element.setAttribute('aria-invalid', 'true');
+            } else {
+                element.removeAttribute('aria-invalid');
+            }
+        });
+        
+        entry.error.textContent = message || '';
+        entry.error.hidden = !message;
+    }
+    
+    /**
+     * Get the inputs of an edit control (grouped controls such as addresses have several)
+     * @param {HTMLElement} control - Control built by the field editors
+     * @returns {Array<HTMLElement>} - Inputs and selects
+     */
+    getEditInputs(control) {
+        return control.matches('input, select') ? [control] : [...control.querySelectorAll('input, select')];
+    }
+    
+    /**
+     * Focus an edit control (the first input of grouped controls)
+     * @param {HTMLElement} control - Control to focus
+     */
+    focusEditControl(control) {
+        const target = control ? this.getEditInputs(control)[0] : null;
+        if (target) setTimeout(() => target.focus(), 100);
+    }
+    
+    /**
+     * Countries offered by the country editor (every country used in the records)
+     * @returns {Array<Object>} - [{ code, name }] sorted by name
+     */
+    getCountryOptions() {
+        const countries = new Map();
+        
+        this.config.tabs.forEach(tab => {
+            [tab.country, ...Object.values(tab.data || {})].forEach(value => {
+                if (value && typeof value === 'object' && /^[a-z]{2}$/i.test(value.code || '') && value.name) {
+                    countries.set(value.code.toLowerCase(), { code: value.code, name: value.name });
+                }
+            });
+        });
+        
+        return [...countries.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * Bind the create-record wizard controls
+     */
+    bindRecordWizard() {
+        const signal = this.listeners.bind('recordWizard');
+        const wizard = this.getById('record-wizard');
+        const body = this.getById('record-wizard-body');
+        
+        if (!wizard || !body) {
+            console.warn('Record wizard elements not found');
+            return;
+        }
+        
+        ['record-wizard-close', 'record-wizard-cancel', 'record-wizard-overlay'].forEach(id => {
+            this.getById(id)?.addEventListener('click', () => this.cancelRecordWizard(), { signal });
+        });
+        
+        this.getById('record-wizard-back')?.addEventListener('click', () => this.previousRecordWizardStep(), { signal });
+        this.getById('record-wizard-next')?.addEventListener('click', () => this.nextRecordWizardStep(), { signal });
+        this.getById('record-wizard-create')?.addEventListener('click', () => this.createRecordFromWizard(), { signal });
+        
+        // Enter in a single-line input moves on (or creates the record on the last step)
+        body.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+                e.preventDefault();
+                this.nextRecordWizardStep();
+            }
+        }, { signal });
+        
+        console.log('Record wizard events bound successfully');
+    }
+    
+    /**
+     * Check whether the create-record wizard is open
+     * @returns {boolean} - True when the wizard is visible
+     */
+    isRecordWizardOpen() {
+        return !!this.getById('record-wizard')?.classList.contains('record-wizard--active');
+    }
+    
+    /**
+     * Open the create-record wizard on its first step
+     */
+    openRecordWizard() {
+        if (!this.requirePermission('records.create', 'add records')) return;
+        
+        const wizard = this.getById('record-wizard');
+        if (!wizard) return;
+        
+        this.recordWizard = { step: 0, values: {}, fields: [] };
+        this.renderRecordWizardStep();
+        
+        // Show modal
+        wizard.classList.add('record-wizard--active');
+        wizard.setAttribute('aria-hidden', 'false');
+        
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+        
+        this.dispatchCustomEvent('recordWizardOpened', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Record wizard opened');
+    }
+    
+    /**
+     * Close the create-record wizard
+     */
+    closeRecordWizard() {
+        const wizard = this.getById('record-wizard');
+        if (!wizard) return;
+        
+        wizard.classList.remove('record-wizard--active');
+        wizard.setAttribute('aria-hidden', 'true');
+        
+        // Restore body scroll
+        document.body.style.overflow = '';
+        
+        this.recordWizard = null;
+        
+        // Return focus to the options trigger the wizard was opened from
+        const optionsDropdownTrigger = this.getById('options-dropdown-trigger');
+        if (optionsDropdownTrigger) {
+            optionsDropdownTrigger.focus();
+        }
+        
+        this.dispatchCustomEvent('recordWizardClosed', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Record wizard closed');
+    }
+    
+    /**
+     * Close the wizard, asking first when something was entered
+     */
+    cancelRecordWizard() {
+        if (!this.recordWizard) return;
+        
+        this.readRecordWizardStep({ validate: false });
+        const hasInput = Object.values(this.recordWizard.values).some(value => !this.editors.isEmpty(value));
+        
+        if (hasInput && !confirm('Discard this new record?')) return;
+        
+        this.closeRecordWizard();
+    }
+    
+    /**
+     * Get the wizard steps
+     * The details step lists the fields of the schema chosen on the first step
+     * @returns {Array<Object>} - [{ id, title, fields }]
+     */
+    getRecordWizardSteps() {
+        const schemaName = this.recordWizard?.values.schema;
+        const topLevelKeys = ['country', 'addressType'];
+        const detailFields = schemaName
+            ? this.getTabSchema({ schema: schemaName }).sections
+                .flatMap(section => (section.rows || []).flat())
+                .filter(field => !topLevelKeys.includes(field.key))
+            : [];
+        
+        return [
+            {
+                id: 'record',
+                title: 'Record',
+                fields: [
+                    { key: 'title', label: 'Title', type: 'text', required: true, maxLength: 60, span: 2 },
+                    { key: 'label', label: 'Tab Label', type: 'text', required: true, maxLength: 20 },
+                    { key: 'schema', label: 'Record Type', type: 'enum', required: true, options: this.getSchemaOptions() }
+                ]
+            },
+            {
+                id: 'location',
+                title: 'Location',
+                fields: [
+                    { key: 'country', label: 'Country', type: 'country', required: true },
+                    { key: 'addressType', label: 'Address Type', type: 'enum', required: true, options: this.getAddressTypeOptions() }
+                ]
+            },
+            { id: 'details', title: 'Details', fields: detailFields },
+            { id: 'review', title: 'Review', fields: [] }
+        ];
+    }
+    
+    /**
+     * Render the current wizard step
+     */
+    renderRecordWizardStep() {
+        const r = this.renderer;
+        const wizard = this.recordWizard;
+        const steps = this.getRecordWizardSteps();
+        const step = steps[wizard.step];
+        const isLast = wizard.step === steps.length - 1;
+        const context = { countries: this.getCountryOptions() };
+        
+        this.getById('record-wizard-steps').replaceChildren(...steps.map((item, index) => r.el('li', {
+            className: `record-wizard__step${index < wizard.step ? ' record-wizard__step--complete' : ''}${index === wizard.step ? ' record-wizard__step--current' : ''}`,
+            attrs: { 'aria-current': index === wizard.step ? 'step' : null }
+        }, [item.title])));
+        
+        wizard.fields = step.fields.map((field, index) => {
+            const control = this.editors.create(wizard.values[field.key], field, context);
+            const error = r.el('div', {
+                className: 'form-error',
+                attrs: { id: this.domId(`record-wizard-error-${index}`), hidden: true }
+            });
+            
+            control.id = this.domId(`record-wizard-field-${index}`);
+            control.setAttribute('aria-describedby', error.id);
+            if (field.required) control.setAttribute('aria-required', 'true');
+            
+            return { field, value: wizard.values[field.key], control, error };
+        });
+        
+        const content = step.id === 'review'
+            ? this.createRecordWizardSummary(steps)
+            : r.el('div', { className: 'record-wizard__fields' }, wizard.fields.length > 0
+                ? wizard.fields.map(({ field, control, error }) => r.el('div', {
+                    className: `form-group record-wizard__field${field.span > 1 || field.type === 'address' ? ' record-wizard__field--wide' : ''}`
+                }, [
+                    r.el('label', {
+                        className: `form-label${field.required ? ' form-label--required' : ''}`,
+                        attrs: { for: control.id },
+                        text: field.label
+                    }),
+                    control,
+                    error
+                ]))
+                : [r.el('p', { className: 'form-help', text: 'This record type has no additional fields.' })]);
+        
+        this.getById('record-wizard-body').replaceChildren(
+            r.el('h3', { className: 'record-wizard__step-title', text: `Step ${wizard.step + 1} of ${steps.length}: ${step.title}` }),
+            content
+        );
+        
+        this.getById('record-wizard-back').hidden = wizard.step === 0;
+        this.getById('record-wizard-next').hidden = isLast;
+        this.getById('record-wizard-create').hidden = !isLast;
+        
+        const focusTarget = wizard.fields.length > 0
+            ? this.getEditInputs(wizard.fields[0].control)[0]
+            : this.getById(isLast ? 'record-wizard-create' : 'record-wizard-next');
+        if (focusTarget) setTimeout(() => focusTarget.focus(), 100);
+    }
+    
+    /**
+     * Build the review summary of the entered values
+     * @param {Array<Object>} steps - Wizard steps
+     * @returns {HTMLElement} - Definition list
+     */
+    createRecordWizardSummary(steps) {
+        const r = this.renderer;
+        const values = this.recordWizard.values;
+        
+        return r.el('dl', { className: 'record-wizard__summary' }, steps.flatMap(step => step.fields).flatMap(field => [
+            r.el('dt', { text: field.label }),
+            r.el('dd', {}, [this.formatters.format(values[field.key], field)])
+        ]));
+    }
+    
+    /**
+     * Read the controls of the current step into the wizard values
+     * @param {Object} [options] - Read options
+     * @param {boolean} [options.validate] - Show validation errors (invalid values are kept otherwise)
+     * @returns {boolean} - True when every field on the step is valid
+     */
+    readRecordWizardStep({ validate = true } = {}) {
+        const wizard = this.recordWizard;
+        if (!wizard) return false;
+        
+        let firstInvalid = null;
+        
+        wizard.fields.forEach(entry => {
+            try {
+                wizard.values[entry.field.key] = this.editors.read(entry.control, entry.field, entry.value);
+                this.setEditError(entry, null);
+            } catch (error) {
+                if (validate) this.setEditError(entry, error.message);
+                firstInvalid = firstInvalid || entry.control;
+            }
+        });
+        
+        if (firstInvalid && validate) {
+            this.focusEditControl(firstInvalid);
+        }
+        
+        return !firstInvalid;
+    }
+    
+    /**
+     * Validate the current step and move to the next one
+     */
+    nextRecordWizardStep() {
+        const wizard = this.recordWizard;
+        if (!wizard || !this.readRecordWizardStep()) return;
+        
+        const steps = this.getRecordWizardSteps();
+        if (wizard.step === steps.length - 1) {
+            this.createRecordFromWizard();
+            return;
+        }
+        
+        wizard.step += 1;
+        this.renderRecordWizardStep();
+    }
+    
+    /**
+     * Go back one step, keeping what was entered
+     */
+    previousRecordWizardStep() {
+        const wizard = this.recordWizard;
+        if (!wizard || wizard.step === 0) return;
+        
+        this.readRecordWizardStep({ validate: false });
+        wizard.step -= 1;
+        this.renderRecordWizardStep();
+    }
+    
+    /**
+     * ID for a new record, above every shown, trashed and purged record
+     * Purged IDs stay hidden by the trash, so reusing one would hide the new record
+     * @returns {number} - Record ID
+     */
+    getNextRecordId() {
+        const ids = [
+            ...this.config.tabs.map(tab => tab.id),
+            ...this.trashEntries.map(entry => entry.id),
+            ...this.dataProvider.getPurgedRecordIds()
+        ];
+        return Math.max(0, ...ids.map(id => Number(id) || 0)) + 1;
+    }
+    
+    /**
+     * Save the record through the data provider and add its tab, from the values of every step
+     * Undoing the creation moves the record to the trash, so the data provider stays in sync
+     * @returns {Promise<Object|null>} - The new tab configuration, or null when it could not be created
+     */
+    async createRecordFromWizard() {
+        const wizard = this.recordWizard;
+        if (!wizard || wizard.isSaving) return null;
+        if (!this.requirePermission('records.create', 'add records')) return null;
+        
+        // Every step was validated by Next, and Back only keeps valid values
+        const { title, label, schema, country, addressType } = wizard.values;
+        const detailFields = this.getRecordWizardSteps().find(step => step.id === 'details').fields;
+        const data = Object.fromEntries(detailFields
+            .filter(field => !this.editors.isEmpty(wizard.values[field.key]))
+            .map(field => [field.key, wizard.values[field.key]]));
+        
+        const clientId = this.getCurrentClientId();
+        let tabConfig = {
+            id: this.getNextRecordId(),
+            label: label,
+            title: title,
+            schema: schema,
+            country: country,
+            addressType: addressType,
+            data: data
+        };
+        
+        wizard.isSaving = true;
+        try {
+            tabConfig = await this.dataProvider.createRecord(tabConfig, { clientId });
+        } catch (error) {
+            console.error('Error creating record:', error);
+            this.handleError(error, 'record-create', { notify: true, message: `Unable to create the record: ${error.message}` });
+            return null;
+        } finally {
+            wizard.isSaving = false;
+        }
+        
+        // Another client was opened while saving; the record shows up with its own client
+        if (String(clientId ?? '') !== String(this.getCurrentClientId() ?? '')) return null;
+        
+        if (!this.history.withoutRecording(() => this.addTab(tabConfig))) return null;
+        
+        this.history.record({
+            label: `Add "${title}"`,
+            tabId: tabConfig.id,
+            recordId: String(tabConfig.id),
+            undo: async () => (await this.deleteRecord(tabConfig.id)) !== null,
+            redo: async () => (await this.restoreRecord(tabConfig.id, { clientId })) !== null
+        });
+        
+        if (this.recordWizard === wizard) this.closeRecordWizard();
+        this.activateTab(tabConfig.id);
+        this.showSuccessMessage(`Record "${title}" created`);
+        
+        this.dispatchCustomEvent('recordCreated', {
+            tabId: tabConfig.id,
+            tabConfig: tabConfig,
+            timestamp: new Date().toISOString()
+        });
+        
+        return tabConfig;
+    }
+    
+    /**
+     * Record types offered by the wizard (one per schema)
+     * @returns {Array<Object>} - [{ value, label }]
+     */
+    getSchemaOptions() {
+        return Object.entries(this.config.schemas).map(([name, schema]) => ({
+            value: name,
+            label: schema.label || name.charAt(0).toUpperCase() + name.slice(1)
+        }));
+    }
+    
+    /**
+     * Address types offered by the wizard
+     * Uses the options of an addressType enum field when a schema declares one
+     * @returns {Array<Object>} - [{ value, label }]
+     */
+    getAddressTypeOptions() {
+        const field = Object.values(this.config.schemas)
+            .flatMap(schema => (schema.sections || []).flatMap(section => (section.rows || []).flat()))
+            .find(item => item.key === 'addressType' && Array.isArray(item.options));
+        
+        if (field) return field.options;
+        
+        return [...new Set(this.config.tabs.map(tab => tab.addressType).filter(Boolean))]
+            .map(value => ({ value, label: value }));
+    }
+    
+    /**
+     * Bind event listeners for the dashboard navigation menu
+     * Handles menu item clicks and active state management
+     */
+    bindDashboardNavigation() {
+        const signal = this.listeners.bind('dashboardNavigation');
+        const menu = this.navMenu?.container;
+        
+        if (!menu) {
+            console.warn('Dashboard navigation menu not found');
+            return;
+        }
+        
+        // Delegated, so the menu can be re-rendered without re-binding
+        menu.addEventListener('click', (e) => this.navMenu.handleClick(e), { signal });
+        menu.addEventListener('keydown', (e) => this.navMenu.handleKeydown(e), { signal });
+        
+        // Close open sub-menus when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (this.navMenu.isExpanded() && !menu.contains(e.target)) {
+                this.navMenu.collapseAll();
+            }
+        }, { signal });
+        
+        console.log(`Dashboard navigation events bound to ${this.navMenu.getAllItems().length} menu items`);
+    }
+    
+    /**
+     * Set the active menu item and update UI states
+     * @param {HTMLElement} clickedMenuItem - The menu item that was clicked
+     * @param {Object} [options] - Activation options
+     * @param {boolean} [options.focus] - Move focus to the menu item
+     */
+    setActiveMenuItem(clickedMenuItem, { focus = true } = {}) {
+        try {
+            // Marks the item (and the items it is nested in) as the current page
+            this.navMenu.setActive(clickedMenuItem);
+            
+            // Focus management for accessibility (sub-menus are closed, so focus their menubar item)
+            if (focus) {
+                this.navMenu.getTopItem(clickedMenuItem).focus();
+            }
+            
+            // Get menu item text and data for event dispatching
+            const menuText = this.navMenu.getLabel(clickedMenuItem);
+            const menuNumber = clickedMenuItem.getAttribute('data-menu');
+            const menuId = `menu-${menuNumber}`;
+            
+            console.log(`Menu item "${menuText}" (${menuId}) activated`);
+            
+            // Dispatch custom event for menu change
+            this.dispatchCustomEvent('menuChanged', {
+                menuItem: menuText,
+                menuNumber: menuNumber,
+                menuId: menuId,
+                element: clickedMenuItem,
+                timestamp: new Date().toISOString()
+            });
+            
+            this.updateRoute();
+            
+        } catch (error) {
+            console.error('Error setting active menu item:', error);
+            this.handleError(error, 'menu-activation');
+        }
+    }
+    
+    /**
+     * Get the currently active menu item
+     * @returns {HTMLElement|null} - Active menu item or null if none found
+     */
+    getActiveMenuItem() {
+        return this.query('.dashboard-nav__item--active');
+    }
+    
+    /**
+     * Get the current navigation state as a route
+     * @returns {Object} - { menu, tab } for the active menu item and tab
+     */
+    getCurrentRoute() {
+        return {
+            menu: this.getActiveMenuItem()?.dataset.menu,
+            tab: this.getActiveTabId() ?? undefined
+        };
+    }
+    
+    /**
+     * Write the current navigation state to the URL
+     * Adds a history entry so Back returns to the previous menu item or tab
+     */
+    updateRoute() {
+        if (this.isApplyingRoute || !this.features.router) return;
+        
+        this.router.navigate(this.getCurrentRoute());
+    }
+    
+    /**
+     * Restore navigation state from a route (initial load, back/forward, breadcrumbs)
+     * Unknown menu items or tabs are ignored and the URL is corrected
+     * @param {Object} route - Parsed route ({ menu, tab })
+     * @param {Object} [options] - Routing options
+     * @param {boolean} [options.replace] - Replace the history entry instead of adding one
+     */
+    applyRoute(route, { replace = true } = {}) {
+        this.isApplyingRoute = true;
+        
+        try {
+            if (route.menu !== undefined) {
+                const menuItem = Array.from(this.queryAll('.dashboard-nav__item'))
+                    .find(item => item.dataset.menu === route.menu);
+                
+                if (!menuItem) {
+                    console.warn(`Route menu item "${route.menu}" not found`);
+                } else if (menuItem !== this.getActiveMenuItem()) {
+                    this.setActiveMenuItem(menuItem, { focus: false });
+                }
+            }
+            
+            if (route.tab !== undefined) {
+                const tabId = Number(route.tab);
+                
+                if (!this.config.tabs.some(tab => tab.id === tabId && this.canViewTab(tab))) {
+                    console.warn(`Route tab "${route.tab}" not found`);
+                } else if (tabId !== this.getActiveTabId()) {
+                    this.activateTab(tabId);
+                }
+            }
+        } finally {
+            this.isApplyingRoute = false;
+        }
+        
+        // Normalise the URL (fills in missing parts, drops unknown ones)
+        const currentRoute = this.getCurrentRoute();
+        this.router.navigate(currentRoute, { replace });
+        
+        this.dispatchCustomEvent('routeChanged', {
+            route: currentRoute,
+            hash: this.router.format(currentRoute),
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Route applied:', currentRoute);
+    }
+    
+    /**
+     * Create the breadcrumb trail and keep it in sync with navigation
+     */
+    bindBreadcrumbs() {
+        const signal = this.listeners.bind('breadcrumbs');
+        const list = this.query(this.selectors.breadcrumbs);
+        
+        if (!list) {
+            console.warn('Breadcrumb list not found');
+            return;
+        }
+        
+        // Collapse the middle of the trail sooner on small screens
+        const compactQuery = window.matchMedia?.('(max-width: 768px)');
+        const maxVisibleFor = (query) => (query?.matches ? 3 : 4);
+        
+        this.breadcrumbs?.destroy();
+        this.breadcrumbs = new Breadcrumbs({
+            renderer: this.renderer,
+            list: list,
+            maxVisible: maxVisibleFor(compactQuery)
+        });
+        
+        compactQuery?.addEventListener?.('change', (e) => {
+            this.breadcrumbs.setMaxVisible(maxVisibleFor(e));
+        }, { signal });
+        
+        ['menuChanged', 'tabChanged', 'dashboardReloaded'].forEach(eventName => {
+            this.root.addEventListener(eventName, () => this.updateBreadcrumbs(), { signal });
+        });
+        
+        this.updateBreadcrumbs();
+        
+        console.log('Breadcrumbs bound successfully');
+    }
+    
+    /**
+     * Re-render the breadcrumb trail from the current navigation state
+     */
+    updateBreadcrumbs() {
+        if (!this.breadcrumbs) return;
+        
+        this.breadcrumbs.render(this.getBreadcrumbTrail());
+    }
+    
+    /**
+     * Build the breadcrumb trail: Home > menu item > client > tab
+     * Selecting a crumb navigates back to that level
+     * @returns {Array<Object>} - Crumbs for Breadcrumbs.render()
+     */
+    getBreadcrumbTrail() {
+        const menuItem = this.getActiveMenuItem();
+        const firstMenuItem = this.navMenu?.getFirstLeaf();
+        const activeTab = this.config.tabs.find(tab => tab.id === this.getActiveTabId());
+        const client = this.client.get();
+        
+        // Looked up on selection, since permissions and filters decide which tabs can be opened
+        const firstTabId = () => this.getFirstVisibleTabId();
+        
+        const crumbs = [
+            {
+                id: 'home',
+                label: 'Home',
+                icon: 'assets/images/Home.png',
+                onSelect: () => this.navigateFromBreadcrumb({ menu: firstMenuItem?.dataset.menu, tab: firstTabId() })
+            },
+            menuItem && {
+                id: 'menu',
+                label: this.navMenu.getLabel(menuItem),
+                onSelect: () => this.navigateFromBreadcrumb({ menu: menuItem.dataset.menu, tab: firstTabId() })
+            },
+            client?.name && {
+                id: 'client',
+                label: client.name,
+                onSelect: () => this.navigateFromBreadcrumb({ tab: firstTabId() })
+            },
+            activeTab && {
+                id: 'tab',
+                label: activeTab.label || activeTab.title
+            }
+        ];
+        
+        return crumbs.filter(Boolean);
+    }
+    
+    /**
+     * Navigate to a breadcrumb level as a single history entry
+     * @param {Object} route - Target route ({ menu, tab })
+     */
+    navigateFromBreadcrumb(route) {
+        this.applyRoute(route, { replace: false });
+        
+        // The clicked crumb is re-rendered, so keep focus on the page content
+        this.getById(this.domId(`tab-${this.getActiveTabId()}`))?.focus();
+        
+        this.dispatchCustomEvent('breadcrumbNavigated', {
+            route: this.getCurrentRoute(),
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Bind the content-frame filter dropdowns and the active filter chips
+     * Dropdowns are matched to the configured filters in order
+     */
+    bindFilters() {
+        const signal = this.listeners.bind('filters');
+        const selects = this.queryAll(this.selectors.filterSelects);
+        const chips = this.getById('filter-chips');
+        
+        if (selects.length === 0) {
+            console.warn('Filter dropdowns not found');
+            return;
+        }
+        
+        selects.forEach((select, index) => {
+            select.addEventListener('change', () => {
+                const definition = this.filterEngine.definitions[index];
+                if (definition) {
+                    this.setFilter(definition.id, select.value);
+                }
+            }, { signal });
+        });
+        
+        if (chips) {
+            chips.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-filter-id]');
+                if (chip) {
+                    this.clearFilter(chip.dataset.filterId);
+                } else if (e.target.closest('.filter-chips__clear-all')) {
+                    this.clearFilters();
+                }
+            }, { signal });
+        }
+        
+        console.log(`Filter events bound to ${selects.length} dropdowns`);
+    }
+    
+    /**
+     * Set a filter value and update the visible tabs and rows
+     * @param {string} filterId - Filter ID from the configuration
+     * @param {string|null} value - Selected value (empty clears the filter)
+     */
+    setFilter(filterId, value) {
+        try {
+            this.filterEngine.setValue(filterId, value);
+            this.applyFilters();
+            this.notifyFiltersChanged();
+        } catch (error) {
+            console.error('Error setting filter:', error);
+            this.handleError(error, 'filter-change');
+        }
+    }
+    
+    /**
+     * Clear a single filter
+     * @param {string} filterId - Filter ID
+     */
+    clearFilter(filterId) {
+        this.setFilter(filterId, null);
+    }
+    
+    /**
+     * Clear every filter
+     */
+    clearFilters() {
+        this.filterEngine.clear();
+        this.applyFilters();
+        this.notifyFiltersChanged();
+    }
+    
+    /**
+     * Evaluate the filters and update dropdowns, chips, tabs and rows
+     * @returns {Object} - Filter evaluation result
+     */
+    applyFilters() {
+        // Without filters only permissions decide which tabs are shown
+        if (!this.features.filters) {
+            this.applyFilterVisibility(this.buildFilterEntries());
+            return null;
+        }
+        
+        const result = this.filterEngine.evaluate(this.buildFilterEntries());
+        
+        this.renderFilterDropdowns(result.filters);
+        this.renderFilterChips(result.filters);
+        this.applyFilterVisibility(result.entries);
+        
+        if (result.cleared.length > 0) {
+            console.log('Filters cleared by cascade:', result.cleared);
+        }
+        
+        this.lastFilterResult = result;
+        return result;
+    }
+    
+    /**
+     * Flatten the tabs into the rows the filter engine works on
+     * Tabs without rows get a single empty entry so tab filters still apply
+     * @returns {Array<Object>} - Filter entries
+     */
+    buildFilterEntries() {
+        return this.config.tabs.filter(tab => this.canViewTab(tab)).flatMap(tab => {
+            const entries = this.getTabSchema(tab).sections.flatMap((section, sectionIndex) =>
+                (section.rows || []).map((row, rowIndex) => ({
+                    tab: tab,
+                    section: section,
+                    sectionIndex: sectionIndex,
+                    rowIndex: rowIndex,
+                    fields: row.map(field => ({ field, value: this.getFieldValue(tab, field) }))
+                }))
+            );
+            
+            return entries.length > 0
+                ? entries
+                : [{ tab: tab, section: null, sectionIndex: null, rowIndex: null, fields: [] }];
+        });
+    }
+    
+    /**
+     * Fill the dropdowns with the options left by earlier filters
+     * @param {Array<Object>} filters - Evaluated filters
+     */
+    renderFilterDropdowns(filters) {
+        const r = this.renderer;
+        const selects = this.queryAll(this.selectors.filterSelects);
+        
+        selects.forEach((select, index) => {
+            const filter = filters[index];
+            if (!filter) return;
+            
+            const { definition, options, value, enabled } = filter;
+            
+            select.replaceChildren(
+                r.el('option', { attrs: { value: '' }, text: definition.placeholder || definition.label }),
+                ...options.map(option => r.el('option', { attrs: { value: option.value }, text: option.label }))
+            );
+            select.value = value ?? '';
+            select.disabled = !enabled;
+            select.setAttribute('aria-label', enabled
+                ? `Filter by ${definition.label}`
+                : `Filter by ${definition.label} (unavailable)`);
+            
+            select.closest('.dropdown')?.classList.toggle('dropdown--filtered', value !== undefined);
+        });
+    }
+    
+    /**
+     * Show a clearable chip for every active filter
+     * @param {Array<Object>} filters - Evaluated filters
+     */
+    renderFilterChips(filters) {
+        const chips = this.getById('filter-chips');
+        if (!chips) return;
+        
+        const r = this.renderer;
+        const active = filters.filter(filter => filter.value !== undefined);
+        
+        chips.replaceChildren(
+            ...active.map(({ definition, options, value }) => {
+                const label = options.find(option => option.value === value)?.label ?? value;
+                
+                return r.el('button', {
+                    className: 'filter-chips__chip',
+                    attrs: { type: 'button', 'aria-label': `Remove filter ${definition.label}: ${label}` },
+                    dataset: { filterId: definition.id }
+                }, [
+                    r.el('span', { className: 'filter-chips__chip-label', text: `${definition.label}: ${label}` }),
+                    r.el('span', { className: 'filter-chips__chip-remove', attrs: { 'aria-hidden': 'true' }, text: '×' })
+                ]);
+            }),
+            active.length > 1 ? r.el('button', {
+                className: 'filter-chips__clear-all',
+                attrs: { type: 'button' },
+                text: 'Clear all'
+            }) : null
+        );
+        
+        chips.hidden = active.length === 0;
+    }
+    
+    /**
+     * Hide tabs and rows that do not match the filters
+     * Keeps an active tab selected when the current one is filtered out
+     * @param {Array<Object>} entries - Entries that passed every filter
+     */
+    applyFilterVisibility(entries) {
+        const rowFiltered = this.filterEngine.hasRowFilters();
+        const visibleTabIds = new Set(entries.map(entry => entry.tab.id));
+        const visibleRows = new Set(entries.map(entry => `${entry.tab.id}:${entry.sectionIndex}:${entry.rowIndex}`));
+        
+        this.config.tabs.forEach(tab => {
+            const isVisible = visibleTabIds.has(tab.id);
+            const button = this.getById(this.domId(`tab-${tab.id}`));
+            const panel = this.getById(this.domId(`tab-panel-${tab.id}`));
+            
+            if (button) button.hidden = !isVisible;
+            if (!panel) return;
+            
+            panel.querySelectorAll('.tab-content__row').forEach(row => {
+                row.hidden = rowFiltered && !visibleRows.has(`${tab.id}:${row.dataset.section}:${row.dataset.row}`);
+            });
+            
+            // Hide section headings whose rows are all filtered out
+            panel.querySelectorAll('.tab-content__section-heading').forEach(heading => {
+                heading.hidden = !panel.querySelector(`.tab-content__row[data-section="${heading.dataset.section}"]:not([hidden])`);
+            });
+        });
+        
+        // Message shown when nothing matches
+        const container = this.query(this.selectors.tabContainer);
+        let noResults = container?.querySelector('.tab-content-container__state--no-results');
+        
+        if (container && this.config.tabs.length > 0 && visibleTabIds.size === 0) {
+            if (!noResults) {
+                noResults = this.renderer.el('div', {
+                    className: 'tab-content-container__state tab-content-container__state--no-results',
+                    attrs: { role: 'status' },
+                    text: 'No records match the selected filters.'
+                });
+                container.appendChild(noResults);
+            }
+        } else {
+            noResults?.remove();
+        }
+        
+        container?.querySelectorAll('.tab-content').forEach(panel => {
+            panel.hidden = visibleTabIds.size === 0;
+        });
+        
+        // Move off a tab that was filtered out
+        const activeTabId = this.getActiveTabId();
+        if (activeTabId !== null && visibleTabIds.size > 0 && !visibleTabIds.has(activeTabId)) {
+            const firstVisible = this.config.tabs.find(tab => visibleTabIds.has(tab.id));
+            if (firstVisible && this.getById(this.domId(`tab-${firstVisible.id}`))) {
+                this.activateTab(firstVisible.id);
+            }
+        }
+    }
+    
+    /**
+     * Dispatch the filtersChanged event with the current filter state
+     */
+    notifyFiltersChanged() {
+        const result = this.lastFilterResult;
+        const visibleTabIds = [...new Set(result.entries.map(entry => entry.tab.id))];
+        
+        this.dispatchCustomEvent('filtersChanged', {
+            filters: this.filterEngine.getValues(),
+            cleared: result.cleared,
+            visibleTabIds: visibleTabIds,
+            visibleRowCount: result.entries.filter(entry => entry.rowIndex !== null).length,
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Filters changed:', this.filterEngine.getValues());
+    }
+    
+    /**
+     * Set active menu item by menu text
+     * @param {string} menuText - Text of the menu item to activate
+     */
+    setActiveMenuByText(menuText) {
+        const menuItems = this.queryAll('.dashboard-nav__item');
+        const targetMenuItem = Array.from(menuItems).find(item => 
+            this.navMenu.getLabel(item) === menuText
+        );
+        
+        if (targetMenuItem) {
+            this.setActiveMenuItem(targetMenuItem);
+        } else {
+            console.warn(`Menu item with text "${menuText}" not found`);
+        }
+    }
+    
+    /**
+     * Set active menu item by menu ID
+     * @param {string} menuId - ID of the menu item to activate (e.g., 'menu-1')
+     */
+    setActiveMenuById(menuId) {
+        const targetMenuItem = this.getById(this.domId(menuId));
+        
+        if (targetMenuItem) {
+            this.setActiveMenuItem(targetMenuItem);
+        } else {
+            console.warn(`Menu item with ID "${menuId}" not found`);
+        }
+    }
+    
+    /**
+     * Set active menu item by data-menu attribute
+     * @param {string|number} menuNumber - Menu number (e.g., 1, 2, 3)
+     */
+    setActiveMenuByNumber(menuNumber) {
+        const targetMenuItem = this.query(`[data-menu="${menuNumber}"]`);
+        
+        if (targetMenuItem) {
+            this.setActiveMenuItem(targetMenuItem);
+                 } else {
+             console.warn(`Menu item with number "${menuNumber}" not found`);
+         }
+     }
+     
+     /**
+      * Bind event listeners for the header menu button
+      * Handles menu toggle functionality and mobile navigation
+      */
+     bindHeaderMenuButton() {
+         const signal = this.listeners.bind('headerMenu');
+         const headerMenuBtn = this.query(this.selectors.menuButton);
+         const dashboardNav = this.query(this.selectors.navigation);
+         const dashboardContent = this.query(this.selectors.content);
+         
+         if (!headerMenuBtn) {
+             console.warn('Header menu button not found');
+             return;
+         }
+         
+         // Menu state is read from the DOM so it survives re-binding and overlay clicks
+         const isMenuOpen = () => this.isHeaderMenuOpen();
+         
+         // Click handler
          headerMenuBtn.addEventListener('click', (e) => {
              e.preventDefault();
-             isMenuOpen = !isMenuOpen;
-             this.toggleHeaderMenu(isMenuOpen);
-         });
+             this.toggleHeaderMenu(!isMenuOpen());
+         }, { signal });
          
          // Keyboard support
          headerMenuBtn.addEventListener('keydown', (e) => {
              if (e.key === 'Enter' || e.key === ' ') {
                  e.preventDefault();
-                 isMenuOpen = !isMenuOpen;
-                 this.toggleHeaderMenu(isMenuOpen);
+                 this.toggleHeaderMenu(!isMenuOpen());
              }
-         });
+         }, { signal });
          
          // Close menu when clicking outside (on mobile)
          document.addEventListener('click', (e) => {
-             if (isMenuOpen && 
+             if (isMenuOpen() && 
                  !headerMenuBtn.contains(e.target) && 
                  !dashboardNav?.contains(e.target)) {
-                 isMenuOpen = false;
-                 this.toggleHeaderMenu(false);
-             }
-         });
-         
-         // Close menu on escape key
-         document.addEventListener('keydown', (e) => {
-             if (e.key === 'Escape' && isMenuOpen) {
-                 isMenuOpen = false;
                  this.toggleHeaderMenu(false);
-                 headerMenuBtn.focus();
              }
-         });
+         }, { signal });
          
          console.log('Header menu button events bound successfully');
      }
@@ -1326,9 +5002,9 @@ class WebMotionDashboard {
       * @param {boolean} isOpen - Whether the menu should be open
       */
      toggleHeaderMenu(isOpen) {
-         const headerMenuBtn = document.querySelector('.header-menu-btn');
-         const dashboardNav = document.querySelector('.dashboard-nav');
-         const dashboardContent = document.querySelector('.dashboard-content');
+         const headerMenuBtn = this.query(this.selectors.menuButton);
+         const dashboardNav = this.query(this.selectors.navigation);
+         const dashboardContent = this.query(this.selectors.content);
          const body = document.body;
          
          if (!headerMenuBtn || !dashboardNav) return;
@@ -1386,271 +5062,1183 @@ class WebMotionDashboard {
          });
          
          document.body.appendChild(overlay);
+         this.menuOverlay = overlay;
      }
      
      /**
       * Remove mobile menu overlay
       */
      removeMenuOverlay() {
-         const existingOverlay = document.querySelector('.header-menu-overlay');
-         if (existingOverlay) {
-             existingOverlay.remove();
+         // The overlay lives on <body>, outside the root; only remove this dashboard's one
+         if (this.menuOverlay) {
+             this.menuOverlay.remove();
+             this.menuOverlay = null;
          }
      }
+     
+     /**
+      * @returns {boolean} - True when the header menu is open
+      */
+     isHeaderMenuOpen() {
+         return this.query(this.selectors.menuButton)?.getAttribute('aria-expanded') === 'true';
+     }
+    
+    /**
+     * Move the focus between the visible tab buttons (arrow keys, Home, End)
+     * @param {HTMLElement} currentButton - Focused tab button
+     * @param {string} target - 'previous', 'next', 'first' or 'last' (previous and next wrap around)
+     */
+    focusTabButton(currentButton, target) {
+        const tabButtons = Array.from(this.queryAll('.tab-navigation__button:not([hidden])'));
+        const currentIndex = tabButtons.indexOf(currentButton);
+        const lastIndex = tabButtons.length - 1;
+        
+        const targetIndex = {
+            previous: currentIndex > 0 ? currentIndex - 1 : lastIndex,
+            next: currentIndex < lastIndex ? currentIndex + 1 : 0,
+            first: 0,
+            last: lastIndex
+        }[target];
+        
+        tabButtons[targetIndex]?.focus();
+    }
+    
+    /**
+     * Activate a specific tab and update UI states
+     * @param {number} tabId - ID of the tab to activate
+     */
+    activateTab(tabId) {
+        try {
+            const tabConfig = this.config.tabs.find(tab => tab.id === tabId);
+            if (tabConfig && !this.canViewTab(tabConfig)) {
+                console.warn(`Tab ${tabId} is not available to the current user`);
+                return;
+            }
+            
+            const tabButtons = this.queryAll('.tab-navigation__button');
+            const tabContents = this.queryAll('.tab-content');
+            
+            // Remove active states from all tabs
+            tabButtons.forEach(btn => {
+                btn.classList.remove('tab-navigation__button--active');
+                btn.setAttribute('aria-selected', 'false');
+            });
+            
+            tabContents.forEach(content => {
+                content.classList.remove('tab-content--active');
+            });
+            
+            // Add active states to target tab
+            const activeButton = this.getById(this.domId(`tab-${tabId}`));
+            const activeContent = this.getById(this.domId(`tab-panel-${tabId}`));
+            
+            if (activeButton && activeContent) {
+                activeButton.classList.add('tab-navigation__button--active');
+                activeButton.setAttribute('aria-selected', 'true');
+                activeContent.classList.add('tab-content--active');
+                
+                console.log(`Activated tab ${tabId}`);
+                
+                // Dispatch tab change event
+                this.dispatchCustomEvent('tabChanged', { 
+                    tabId: tabId,
+                    tabTitle: this.config.tabs.find(tab => tab.id === tabId)?.title
+                });
+                
+                this.updateRoute();
+                
+            } else {
+                throw new Error(`Tab elements not found for ID: ${tabId}`);
+            }
+            
+        } catch (error) {
+            console.error('Error activating tab:', error);
+            this.handleError(error, 'tab-activation');
+        }
+    }
+    
+    /**
+     * Get the currently active tab ID
+     * @returns {number|null} - Active tab ID or null if none found
+     */
+    getActiveTabId() {
+        const activeButton = this.query('.tab-navigation__button--active');
+        if (activeButton) {
+            return this.extractTabId(activeButton.id);
+        }
+        return null;
+    }
+    
+    /**
+     * Extract tab ID from element ID string
+     * @param {string} elementId - Element ID (e.g., 'tab-1', 'tab-panel-2')
+     * @returns {number|null} - Extracted tab ID or null if invalid
+     */
+    extractTabId(elementId) {
+        const match = elementId.match(/(\d+)$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+    
+    /**
+     * Update tab content dynamically
+     * @param {number} tabId - Tab ID to update
+     * @param {Object} newConfig - New configuration for the tab
+     * @returns {boolean} - True when the tab was updated
+     */
+    updateTabContent(tabId, newConfig) {
+        if (!this.requirePermission('records.edit', 'edit records')) return false;
+        
+        try {
+            const panel = this.getById(this.domId(`tab-panel-${tabId}`));
+            if (!panel) {
+                throw new Error(`Tab panel not found for ID: ${tabId}`);
+            }
+            
+            // Content is re-rendered, so an open edit session on this panel ends
+            if (this.isEditing(tabId)) {
+                this.exitEditMode({ restore: false });
+            }
+            
+            // Update configuration
+            const tabIndex = this.config.tabs.findIndex(tab => tab.id === tabId);
+            if (tabIndex === -1) {
+                throw new Error(`Tab configuration not found for ID: ${tabId}`);
+            }
+            
+            const previous = this.config.tabs[tabIndex];
+            this.config.tabs[tabIndex] = { 
+                ...previous, 
+                ...newConfig 
+            };
+            
+            // Regenerate content
+            this.populateTabContent(panel, this.config.tabs[tabIndex]);
+            this.applyFilters();
+            
+            // Undo sets every changed key back, including keys the update added
+            const revert = Object.fromEntries(
+                Object.keys({ ...previous, ...newConfig }).map(key => [key, previous[key]])
+            );
+            this.history.record({
+                label: `Edit "${previous.title || previous.label || `Tab ${tabId}`}"`,
+                tabId: tabId,
+                undo: () => {
+                    if (!this.updateTabContent(tabId, revert)) return false;
+                    this.activateTab(tabId);
+                    return true;
+                },
+                redo: () => {
+                    if (!this.updateTabContent(tabId, newConfig)) return false;
+                    this.activateTab(tabId);
+                    return true;
+                }
+            });
+            
+            console.log(`Updated content for tab ${tabId}`);
+            
+            // Dispatch update event
+            this.dispatchCustomEvent('tabContentUpdated', { 
+                tabId: tabId,
+                newConfig: newConfig
+            });
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Error updating tab content:', error);
+            this.handleError(error, 'tab-update');
+            return false;
+        }
+    }
+    
+    /**
+     * Add a new tab dynamically
+     * @param {Object} tabConfig - Configuration for the new tab
+     * @param {Object} [options] - Add options
+     * @param {number} [options.position] - Index to insert the tab at (appended when omitted)
+     * @returns {boolean} - True when the tab was added
+     */
+    addTab(tabConfig, { position = null } = {}) {
+        if (!this.requirePermission('records.create', 'add records')) return false;
+        
+        try {
+            // Validate required properties
+            if (!tabConfig.id || !tabConfig.title) {
+                throw new Error('Tab configuration must include id and title');
+            }
+            
+            // Check if tab already exists
+            const existingTab = this.config.tabs.find(tab => tab.id === tabConfig.id);
+            if (existingTab) {
+                throw new Error(`Tab with ID ${tabConfig.id} already exists`);
+            }
+            
+            // Add to configuration (at the end unless a position is given)
+            const index = Number.isInteger(position)
+                ? Math.min(Math.max(position, 0), this.config.tabs.length)
+                : this.config.tabs.length;
+            const nextTab = this.config.tabs[index];
+            this.config.tabs.splice(index, 0, tabConfig);
+            
+            // Create tab button
+            const tabNav = this.query(this.selectors.tabNavigation);
+            if (tabNav) {
+                const newButton = this.createTabButton(tabConfig);
+                tabNav.insertBefore(newButton, nextTab ? this.getById(this.domId(`tab-${nextTab.id}`)) : null);
+                this.bindTabButton(newButton, this.listeners.signal('tabButtons'));
+            }
+            
+            // Create tab panel
+            const container = this.query(this.selectors.tabContainer);
+            if (container) {
+                // Drop the empty state shown when there were no tabs
+                container.querySelector('.tab-content-container__state')?.remove();
+                
+                const tabPanel = this.createTabPanel(tabConfig);
+                container.insertBefore(tabPanel, nextTab ? this.getById(this.domId(`tab-panel-${nextTab.id}`)) : null);
+            }
+            
+            this.applyFilters();
+            
+            this.history.record({
+                label: `Add "${tabConfig.title || tabConfig.label}"`,
+                tabId: tabConfig.id,
+                undo: () => this.removeTab(tabConfig.id),
+                redo: () => {
+                    if (!this.addTab(tabConfig, { position: index })) return false;
+                    this.activateTab(tabConfig.id);
+                    return true;
+                }
+            });
+            
+            console.log(`Added new tab with ID: ${tabConfig.id}`);
+            
+            // Dispatch add event
+            this.dispatchCustomEvent('tabAdded', { 
+                tabId: tabConfig.id,
+                tabConfig: tabConfig
+            });
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Error adding tab:', error);
+            this.handleError(error, 'tab-add', { notify: true });
+            return false;
+        }
+    }
+    
+    /**
+     * Remove a tab dynamically
+     * @param {number} tabId - ID of the tab to remove
+     * @returns {boolean} - True when the tab was removed
+     */
+    removeTab(tabId) {
+        if (!this.requirePermission('records.delete', 'remove records')) return false;
+        
+        try {
+            // Don't allow removing the last tab
+            if (this.config.tabs.length <= 1) {
+                throw new Error('Cannot remove the last remaining tab');
+            }
+            
+            // Remove from configuration
+            const tabIndex = this.config.tabs.findIndex(tab => tab.id === tabId);
+            if (tabIndex === -1) {
+                throw new Error(`Tab with ID ${tabId} not found`);
+            }
+            
+            if (this.isEditing(tabId)) {
+                this.exitEditMode({ restore: false });
+            }
+            
+            const [removed] = this.config.tabs.splice(tabIndex, 1);
+            const wasActive = this.getActiveTabId() === tabId;
+            
+            // Remove DOM elements
+            const button = this.getById(this.domId(`tab-${tabId}`));
+            const panel = this.getById(this.domId(`tab-panel-${tabId}`));
+            
+            if (button) button.remove();
+            if (panel) panel.remove();
+            
+            this.applyFilters();
+            
+            // If removed tab was active, activate first available tab
+            if (wasActive) {
+                const nextTab = this.config.tabs.find(tab => !this.getById(this.domId(`tab-${tab.id}`))?.hidden);
+                this.activateTab((nextTab || this.config.tabs[0]).id);
+            }
+            
+            this.history.record({
+                label: `Remove "${removed.title || removed.label || `Tab ${tabId}`}"`,
+                tabId: tabId,
+                undo: () => {
+                    if (!this.addTab(removed, { position: tabIndex })) return false;
+                    this.activateTab(tabId);
+                    return true;
+                },
+                redo: () => this.removeTab(tabId)
+            });
+            
+            console.log(`Removed tab with ID: ${tabId}`);
+            
+            // Dispatch remove event
+            this.dispatchCustomEvent('tabRemoved', { 
+                tabId: tabId
+            });
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Error removing tab:', error);
+            this.handleError(error, 'tab-remove', { notify: true });
+            return false;
+        }
+    }
+    
+    /**
+     * Undo the most recent configuration change
+     * @returns {Promise<Object|null>} - The undone command, or null when there was nothing to undo
+     */
+    async undo() {
+        try {
+            // Users may undo and redo what they were allowed to do when it was recorded
+            const command = await this.runAuthorized(() => this.history.undo());
+            if (command) {
+                this.toasts.info(`Undone: ${command.label}`);
+                console.log(`Undone: ${command.label}`);
+            }
+            return command;
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            this.handleError(error, 'undo', { notify: true, message: `Unable to undo: ${error.message}` });
+            return null;
+        }
+    }
+    
+    /**
+     * Redo the most recently undone configuration change
+     * @returns {Promise<Object|null>} - The redone command, or null when there was nothing to redo
+     */
+    async redo() {
+        try {
+            const command = await this.runAuthorized(() => this.history.redo());
+            if (command) {
+                this.toasts.info(`Redone: ${command.label}`);
+                console.log(`Redone: ${command.label}`);
+            }
+            return command;
+        } catch (error) {
+            console.error('Error redoing change:', error);
+            this.handleError(error, 'redo', { notify: true, message: `Unable to redo: ${error.message}` });
+            return null;
+        }
+    }
+    
+    /**
+     * Define the shortcut scopes and register every keyboard shortcut of the dashboard
+     * An open dialog hides the other shortcuts; keys of the tab list apply while a tab has the focus
+     */
+    registerShortcuts() {
+        this.shortcuts.defineScope('dialog', {
+            label: 'Dialogs',
+            isActive: () => this.getOpenDialog() !== null,
+            exclusive: true
+        });
+        this.shortcuts.defineScope('tabs', {
+            label: 'Tab list',
+            isActive: (e) => !!e.target.closest?.('.tab-navigation__button')
+        });
+        this.shortcuts.defineScope('global', { label: 'General' });
+        
+        const tabButton = (e) => e.target.closest('.tab-navigation__button');
+        
+        [
+            {
+                id: 'palette.toggle',
+                keys: 'mod+k',
+                description: 'Open the command palette',
+                allowInInputs: true,
+                enabled: () => this.features.commandPalette,
+                run: () => this.openCommandPalette()
+            },
+            {
+                id: 'history.undo',
+                keys: 'mod+z',
+                description: 'Undo',
+                enabled: () => this.features.history,
+                run: () => this.undo()
+            },
+            {
+                id: 'history.redo',
+                keys: ['mod+shift+z', 'mod+y'],
+                description: 'Redo',
+                enabled: () => this.features.history,
+                run: () => this.redo()
+            },
+            {
+                id: 'menus.close',
+                keys: 'escape',
+                description: 'Close the open menu',
+                allowInInputs: true,
+                when: () => this.hasOpenMenu(),
+                run: () => this.closeMenus()
+            },
+            {
+                id: 'help.open',
+                keys: '?',
+                description: 'Show keyboard shortcuts',
+                run: () => this.openShortcutHelp()
+            },
+            {
+                id: 'dialog.close',
+                scope: 'dialog',
+                keys: 'escape',
+                description: 'Close the dialog',
+                allowInInputs: true,
+                run: () => this.dismissDialog()
+            },
+            { id: 'tabs.previous', scope: 'tabs', keys: 'arrowleft', description: 'Previous tab', run: (e) => this.focusTabButton(tabButton(e), 'previous') },
+            { id: 'tabs.next', scope: 'tabs', keys: 'arrowright', description: 'Next tab', run: (e) => this.focusTabButton(tabButton(e), 'next') },
+            { id: 'tabs.first', scope: 'tabs', keys: 'home', description: 'First tab', run: (e) => this.focusTabButton(tabButton(e), 'first') },
+            { id: 'tabs.last', scope: 'tabs', keys: 'end', description: 'Last tab', run: (e) => this.focusTabButton(tabButton(e), 'last') },
+            {
+                id: 'tabs.activate',
+                scope: 'tabs',
+                keys: ['enter', 'space'],
+                description: 'Open the focused tab',
+                run: (e) => {
+                    const tabId = this.extractTabId(tabButton(e).id);
+                    if (tabId) this.activateTab(tabId);
+                }
+            }
+        ].forEach(shortcut => this.shortcuts.register(shortcut));
+    }
+    
+    /**
+     * Send the keys pressed in the dashboard to the shortcut registry
+     */
+    bindShortcuts() {
+        const signal = this.listeners.bind('shortcuts');
+        
+        document.addEventListener('keydown', (e) => {
+            if (this.isSignedOut || !this.contains(e.target)) return;
+            this.shortcuts.handleKeydown(e);
+        }, { signal });
+        
+        console.log('Keyboard shortcuts bound successfully');
+    }
+    
+    /**
+     * Name the dialog on top, which receives Escape and hides the other shortcuts
+     * @returns {string|null} - 'idle', 'shortcutHelp', 'commandPalette', 'recordWizard', 'trash',
+     *                          'timesheet' or 'email', or null when no dialog is open
+     */
+    getOpenDialog() {
+        if (this.isIdleDialogOpen()) return 'idle';
+        if (this.isShortcutHelpOpen()) return 'shortcutHelp';
+        if (this.isCommandPaletteOpen()) return 'commandPalette';
+        if (this.isRecordWizardOpen()) return 'recordWizard';
+        if (this.isTrashOpen()) return 'trash';
+        if (this.isTimesheetOpen()) return 'timesheet';
+        if (this.getById('email-modal')?.classList.contains('email-modal--active')) return 'email';
+        return null;
+    }
+    
+    /**
+     * Close the dialog on top the way its Cancel or Close button does
+     */
+    dismissDialog() {
+        switch (this.getOpenDialog()) {
+            case 'idle':
+                // Escape keeps the user signed in, like the default button
+                this.stayActive();
+                break;
+            case 'shortcutHelp':
+                this.closeShortcutHelp();
+                break;
+            case 'commandPalette':
+                this.closeCommandPalette();
+                break;
+            case 'recordWizard':
+                this.cancelRecordWizard();
+                break;
+            case 'trash':
+                this.closeTrashModal();
+                break;
+            case 'timesheet':
+                this.closeTimesheetModal();
+                break;
+            case 'email':
+                this.cancelEmailModal();
+                break;
+        }
+    }
+    
+    /**
+     * @returns {boolean} - True while a dropdown, the notifications, the mobile header menu
+     * or the breadcrumb ellipsis menu is open
+     */
+    hasOpenMenu() {
+        return ['.user-dropdown.user-dropdown--active', '.options-dropdown.options-dropdown--active', '#notification-modal.notification-modal--active']
+            .some(selector => this.query(selector)) || this.isHeaderMenuOpen() || Boolean(this.breadcrumbs?.isOverflowMenuOpen());
+    }
+    
+    /**
+     * Close the dropdowns, the notifications, the mobile header menu and the breadcrumb ellipsis menu
+     */
+    closeMenus() {
+        if (this.breadcrumbs?.isOverflowMenuOpen()) this.breadcrumbs.closeOverflowMenu({ focusToggle: true });
+        if (this.query('.user-dropdown.user-dropdown--active')) this.closeUserDropdown();
+        if (this.query('.options-dropdown.options-dropdown--active')) this.closeOptionsDropdown();
+        if (this.query('#notification-modal.notification-modal--active')) this.closeNotificationModal();
+        if (this.isHeaderMenuOpen()) {
+            this.toggleHeaderMenu(false);
+            this.query(this.selectors.menuButton)?.focus();
+        }
+    }
+    
+    /**
+     * Bind the buttons of the shortcut help and the recording of new keys
+     */
+    bindShortcutHelp() {
+        const signal = this.listeners.bind('shortcutHelp');
+        const dialog = this.getById('shortcut-help');
+        const body = this.getById('shortcut-help-body');
+        
+        if (!dialog || !body) {
+            console.warn('Shortcut help elements not found');
+            return;
+        }
+        
+        ['shortcut-help-close', 'shortcut-help-done', 'shortcut-help-overlay'].forEach(id => {
+            this.getById(id)?.addEventListener('click', () => this.closeShortcutHelp(), { signal });
+        });
+        
+        this.getById('shortcut-help-reset')?.addEventListener('click', () => this.resetShortcuts(), { signal });
+        
+        body.addEventListener('click', (e) => {
+            const changeButton = e.target.closest('[data-shortcut-change]');
+            if (changeButton) {
+                this.startShortcutRecording(changeButton.dataset.shortcutChange);
+                return;
+            }
+            
+            const resetButton = e.target.closest('[data-shortcut-reset]');
+            if (resetButton) {
+                this.remapShortcut(resetButton.dataset.shortcutReset, null);
+            }
+        }, { signal });
+        
+        // While recording, the next keys pressed become the binding (before the registry sees them)
+        dialog.addEventListener('keydown', (e) => this.recordShortcutKeys(e), { signal });
+        
+        console.log('Shortcut help events bound successfully');
+    }
+    
+    /**
+     * @returns {boolean} - True while the shortcut help is shown
+     */
+    isShortcutHelpOpen() {
+        return !!this.getById('shortcut-help')?.classList.contains('shortcut-help--active');
+    }
+    
+    /**
+     * Show the shortcuts that are available, grouped by scope
+     */
+    openShortcutHelp() {
+        const dialog = this.getById('shortcut-help');
+        if (!dialog) return;
+        
+        this.closeMenus();
+        this.shortcutHelpReturnFocus = document.activeElement;
+        this.setShortcutHelpStatus('');
+        this.renderShortcutHelp();
+        
+        dialog.classList.add('shortcut-help--active');
+        dialog.setAttribute('aria-hidden', 'false');
+        
+        const doneButton = this.getById('shortcut-help-done');
+        if (doneButton) {
+            setTimeout(() => doneButton.focus(), 100);
+        }
+        
+        document.body.style.overflow = 'hidden';
+        
+        this.dispatchCustomEvent('shortcutHelpOpened', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Shortcut help opened');
+    }
+    
+    /**
+     * Hide the shortcut help, cancelling a recording
+     */
+    closeShortcutHelp() {
+        const dialog = this.getById('shortcut-help');
+        if (!dialog || !this.isShortcutHelpOpen()) return;
+        
+        this.shortcutRecordingId = null;
+        
+        dialog.classList.remove('shortcut-help--active');
+        dialog.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+        
+        if (this.shortcutHelpReturnFocus?.isConnected) {
+            this.shortcutHelpReturnFocus.focus();
+        }
+        this.shortcutHelpReturnFocus = null;
+        
+        console.log('Shortcut help closed');
+    }
+    
+    /**
+     * Render the shortcut list with the keys and the Change/Reset buttons of each shortcut
+     */
+    renderShortcutHelp() {
+        const body = this.getById('shortcut-help-body');
+        if (!body) return;
+        
+        const r = this.renderer;
+        
+        body.replaceChildren(...this.shortcuts.list().map(group => r.el('section', { className: 'shortcut-help__group' }, [
+            r.el('h3', { className: 'shortcut-help__group-title', text: group.label }),
+            r.el('ul', { className: 'shortcut-help__list' }, group.shortcuts.map(shortcut => {
+                const isRecording = this.shortcutRecordingId === shortcut.id;
+                
+                return r.el('li', {
+                    className: `shortcut-help__item${isRecording ? ' shortcut-help__item--recording' : ''}`,
+                    dataset: { shortcutId: shortcut.id }
+                }, [
+                    r.el('span', { className: 'shortcut-help__description', text: shortcut.description }),
+                    r.el('span', { className: 'shortcut-help__keys' }, shortcut.keys.flatMap((combo, index) => [
+                        index > 0 && r.el('span', { className: 'shortcut-help__or', text: 'or' }),
+                        r.el('kbd', { className: 'shortcut-help__key', text: this.shortcuts.format(combo) })
+                    ])),
+                    r.el('button', {
+                        className: 'shortcut-help__action',
+                        text: isRecording ? 'Press keys…' : 'Change',
+                        attrs: {
+                            type: 'button',
+                            'aria-label': isRecording
+                                ? `Press the new keys for ${shortcut.description}`
+                                : `Change the keys for ${shortcut.description}`,
+                            'aria-pressed': isRecording ? 'true' : 'false'
+                        },
+                        dataset: { shortcutChange: shortcut.id }
+                    }),
+                    this.shortcuts.isRemapped(shortcut.id) && r.el('button', {
+                        className: 'shortcut-help__action shortcut-help__action--reset',
+                        text: 'Reset',
+                        attrs: { type: 'button', 'aria-label': `Reset the keys for ${shortcut.description}` },
+                        dataset: { shortcutReset: shortcut.id }
+                    })
+                ]);
+            }))
+        ])));
+    }
+    
+    /**
+     * Wait for the next keys pressed in the shortcut help to become the binding of a shortcut
+     * @param {string} shortcutId - Shortcut ID
+     */
+    startShortcutRecording(shortcutId) {
+        const shortcut = this.shortcuts.get(shortcutId);
+        if (!shortcut) return;
+        
+        this.shortcutRecordingId = shortcutId;
+        this.renderShortcutHelp();
+        this.focusShortcutAction(shortcutId);
+        this.setShortcutHelpStatus(`Press the new keys for "${shortcut.description}", or Escape to cancel.`);
+    }
+    
+    /**
+     * Use the keys of a keydown in the shortcut help as the new binding while recording
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    recordShortcutKeys(e) {
+        const shortcutId = this.shortcutRecordingId;
+        if (!shortcutId) return;
+        
+        // Tab leaves the button as usual and ends the recording
+        if (e.key === 'Tab') {
+            this.shortcutRecordingId = null;
+            this.renderShortcutHelp();
+            this.setShortcutHelpStatus('');
+            return;
+        }
+        
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const combo = ShortcutRegistry.fromEvent(e);
+        if (!combo) return;
+        
+        this.shortcutRecordingId = null;
+        
+        if (combo === 'escape') {
+            this.renderShortcutHelp();
+            this.focusShortcutAction(shortcutId);
+            this.setShortcutHelpStatus('');
+            return;
+        }
+        
+        this.remapShortcut(shortcutId, combo);
+    }
+    
+    /**
+     * Bind a shortcut to other keys, or back to its defaults
+     * @param {string} shortcutId - Shortcut ID
+     * @param {string|null} keys - New key combination, or null for the default keys
+     * @returns {boolean} - True when the keys were changed
+     */
+    remapShortcut(shortcutId, keys) {
+        const shortcut = this.shortcuts.get(shortcutId);
+        if (!shortcut) return false;
+        
+        let changed = false;
+        try {
+            if (keys === null) {
+                this.shortcuts.reset(shortcutId);
+            } else {
+                this.shortcuts.remap(shortcutId, keys);
+            }
+            changed = true;
+            
+            this.setShortcutHelpStatus(`"${shortcut.description}" is now ${this.shortcuts.format(shortcut.keys)}.`);
+            this.dispatchCustomEvent('shortcutRemapped', {
+                shortcutId: shortcutId,
+                keys: [...shortcut.keys],
+                timestamp: new Date().toISOString()
+            });
+            
+            console.log(`Shortcut "${shortcutId}" bound to`, shortcut.keys);
+        } catch (error) {
+            this.setShortcutHelpStatus(`Unable to change "${shortcut.description}": ${error.message}.`, { isError: true });
+        }
+        
+        this.renderShortcutHelp();
+        this.focusShortcutAction(shortcutId);
+        return changed;
+    }
+    
+    /**
+     * Restore the default keys of every shortcut
+     */
+    resetShortcuts() {
+        this.shortcutRecordingId = null;
+        this.shortcuts.resetAll();
+        this.renderShortcutHelp();
+        this.setShortcutHelpStatus('All shortcuts use their default keys again.');
+        
+        this.dispatchCustomEvent('shortcutsReset', {
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Shortcuts reset');
+    }
+    
+    /**
+     * Focus the Change button of a shortcut (the list is re-rendered after every change)
+     * @param {string} shortcutId - Shortcut ID
+     */
+    focusShortcutAction(shortcutId) {
+        [...this.queryAll('#shortcut-help-body [data-shortcut-change]')]
+            .find(button => button.dataset.shortcutChange === shortcutId)
+            ?.focus();
+    }
+    
+    /**
+     * Show a message below the shortcut list (announced by screen readers)
+     * @param {string} message - Message, empty to clear it
+     * @param {Object} [options] - Message options
+     * @param {boolean} [options.isError] - Show the message as an error
+     */
+    setShortcutHelpStatus(message, { isError = false } = {}) {
+        const status = this.getById('shortcut-help-status');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.toggle('shortcut-help__status--error', isError);
+    }
     
     /**
-     * Handle keyboard navigation for tabs (arrow keys, home, end)
-     * @param {KeyboardEvent} e - The keyboard event
-     * @param {HTMLElement} currentButton - Currently focused tab button
+     * Forward history changes as an event so toolbars can enable/disable their buttons
+     * @param {string} action - 'record', 'undo', 'redo' or 'clear'
+     * @param {Object} state - History state ({ canUndo, canRedo, undoLabel, redoLabel, ... })
      */
-    handleTabKeyNavigation(e, currentButton) {
-        const tabButtons = Array.from(document.querySelectorAll('.tab-navigation__button'));
-        const currentIndex = tabButtons.indexOf(currentButton);
-        let targetIndex;
+    handleHistoryChange(action, { command, ...state }) {
+        this.dispatchCustomEvent('historyChanged', {
+            action: action,
+            label: command?.label || null,
+            ...state,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Bind the search field and results of the command palette
+     * It is opened with the 'palette.toggle' shortcut (Ctrl+K, Cmd+K on macOS)
+     */
+    bindCommandPalette() {
+        const signal = this.listeners.bind('commandPalette');
+        const palette = this.getById('command-palette');
+        const input = this.getById('command-palette-input');
+        const list = this.getById('command-palette-list');
+        
+        if (!palette || !input || !list) {
+            console.warn('Command palette elements not found');
+            return;
+        }
         
-        switch (e.key) {
-            case 'ArrowLeft':
-                e.preventDefault();
-                targetIndex = currentIndex > 0 ? currentIndex - 1 : tabButtons.length - 1;
-                tabButtons[targetIndex].focus();
-                break;
-                
-            case 'ArrowRight':
-                e.preventDefault();
-                targetIndex = currentIndex < tabButtons.length - 1 ? currentIndex + 1 : 0;
-                tabButtons[targetIndex].focus();
-                break;
-                
-            case 'Home':
-                e.preventDefault();
-                tabButtons[0].focus();
-                break;
-                
-            case 'End':
-                e.preventDefault();
-                tabButtons[tabButtons.length - 1].focus();
-                break;
-                
-            case 'Enter':
-            case ' ':
+        input.addEventListener('input', () => this.renderCommandPalette(), { signal });
+        
+        input.addEventListener('keydown', (e) => {
+            // The shortcut that opens the palette also closes it
+            if (this.shortcuts.matches('palette.toggle', e)) {
                 e.preventDefault();
-                const tabId = this.extractTabId(currentButton.id);
-                if (tabId) {
-                    this.activateTab(tabId);
+                this.closeCommandPalette();
+                return;
+            }
+            
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.moveCommandPaletteSelection(e.key === 'ArrowDown' ? 1 : -1);
+                    break;
+                    
+                case 'Enter': {
+                    e.preventDefault();
+                    const activeId = input.getAttribute('aria-activedescendant');
+                    const option = activeId ? this.getById(activeId) : null;
+                    if (option) this.runCommand(option.dataset.commandId);
+                    break;
                 }
-                break;
-        }
+                    
+                case 'Tab':
+                    // The search field is the only control; keep the focus in the dialog
+                    e.preventDefault();
+                    break;
+            }
+        }, { signal });
+        
+        // Keep the focus in the search field while an option is clicked
+        list.addEventListener('mousedown', (e) => e.preventDefault(), { signal });
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-command-id]');
+            if (option) this.runCommand(option.dataset.commandId);
+        }, { signal });
+        
+        this.getById('command-palette-overlay')?.addEventListener('click', () => this.closeCommandPalette(), { signal });
+        
+        console.log('Command palette events bound successfully');
     }
     
     /**
-     * Activate a specific tab and update UI states
-     * @param {number} tabId - ID of the tab to activate
+     * @returns {boolean} - True while the command palette is shown
      */
-    activateTab(tabId) {
-        try {
-            const tabButtons = document.querySelectorAll('.tab-navigation__button');
-            const tabContents = document.querySelectorAll('.tab-content');
-            
-            // Remove active states from all tabs
-            tabButtons.forEach(btn => {
-                btn.classList.remove('tab-navigation__button--active');
-                btn.setAttribute('aria-selected', 'false');
-            });
-            
-            tabContents.forEach(content => {
-                content.classList.remove('tab-content--active');
-            });
-            
-            // Add active states to target tab
-            const activeButton = document.getElementById(`tab-${tabId}`);
-            const activeContent = document.getElementById(`tab-panel-${tabId}`);
-            
-            if (activeButton && activeContent) {
-                activeButton.classList.add('tab-navigation__button--active');
-                activeButton.setAttribute('aria-selected', 'true');
-                activeContent.classList.add('tab-content--active');
-                
-                console.log(`Activated tab ${tabId}`);
-                
-                // Dispatch tab change event
-                this.dispatchCustomEvent('tabChanged', { 
-                    tabId: tabId,
-                    tabTitle: this.config.tabs.find(tab => tab.id === tabId)?.title
-                });
-                
-            } else {
-                throw new Error(`Tab elements not found for ID: ${tabId}`);
-            }
-            
-        } catch (error) {
-            console.error('Error activating tab:', error);
-            this.handleError(error, 'tab-activation');
-        }
+    isCommandPaletteOpen() {
+        return !!this.getById('command-palette')?.classList.contains('command-palette--active');
     }
     
     /**
-     * Get the currently active tab ID
-     * @returns {number|null} - Active tab ID or null if none found
+     * Open the command palette with the commands available right now
      */
-    getActiveTabId() {
-        const activeButton = document.querySelector('.tab-navigation__button--active');
-        if (activeButton) {
-            return this.extractTabId(activeButton.id);
+    openCommandPalette() {
+        const palette = this.getById('command-palette');
+        const input = this.getById('command-palette-input');
+        if (!palette || !input) return;
+        
+        // Commands depend on the current tabs, client, permissions and timer state
+        this.commandPalette.setCommands(this.getPaletteCommands());
+        this.commandPaletteReturnFocus = document.activeElement;
+        
+        // Dropdowns would stay open underneath the palette
+        if (this.query('.user-dropdown')?.classList.contains('user-dropdown--active')) this.closeUserDropdown();
+        if (this.query('.options-dropdown')?.classList.contains('options-dropdown--active')) this.closeOptionsDropdown();
+        if (this.isClientSwitcherOpen()) this.closeClientSwitcher();
+        
+        input.value = '';
+        this.renderCommandPalette();
+        
+        palette.classList.add('command-palette--active');
+        palette.setAttribute('aria-hidden', 'false');
+        input.focus();
+        document.body.style.overflow = 'hidden';
+        
+        this.dispatchCustomEvent('commandPaletteOpened', {
+            commandCount: this.commandPalette.commands.length,
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log('Command palette opened');
+    }
+    
+    /**
+     * Close the command palette
+     * @param {Object} [options] - Close options
+     * @param {boolean} [options.restoreFocus] - Return the focus to where it was before opening
+     */
+    closeCommandPalette({ restoreFocus = true } = {}) {
+        const palette = this.getById('command-palette');
+        const input = this.getById('command-palette-input');
+        if (!palette || !this.isCommandPaletteOpen()) return;
+        
+        palette.classList.remove('command-palette--active');
+        palette.setAttribute('aria-hidden', 'true');
+        input?.removeAttribute('aria-activedescendant');
+        document.body.style.overflow = '';
+        
+        if (restoreFocus && this.commandPaletteReturnFocus?.isConnected) {
+            this.commandPaletteReturnFocus.focus();
         }
-        return null;
+        this.commandPaletteReturnFocus = null;
+        
+        console.log('Command palette closed');
     }
     
     /**
-     * Extract tab ID from element ID string
-     * @param {string} elementId - Element ID (e.g., 'tab-1', 'tab-panel-2')
-     * @returns {number|null} - Extracted tab ID or null if invalid
+     * Render the commands matching the search field, with the matched letters highlighted
      */
-    extractTabId(elementId) {
-        const match = elementId.match(/(\d+)$/);
-        return match ? parseInt(match[1], 10) : null;
+    renderCommandPalette() {
+        const input = this.getById('command-palette-input');
+        const list = this.getById('command-palette-list');
+        const empty = this.getById('command-palette-empty');
+        if (!input || !list) return;
+        
+        const r = this.renderer;
+        const results = this.commandPalette.search(input.value);
+        
+        list.replaceChildren(...results.map(({ command, matches }, index) => {
+            const label = [...command.label].map((char, i) => matches.includes(i)
+                ? r.el('mark', { className: 'command-palette__match', text: char })
+                : char);
+            
+            return r.el('li', {
+                className: 'command-palette__option',
+                attrs: { id: this.domId(`command-palette-option-${index}`), role: 'option', 'aria-selected': 'false' },
+                dataset: { commandId: command.id }
+            }, [
+                r.el('span', { className: 'command-palette__label' }, label),
+                command.hint && r.el('span', { className: 'command-palette__hint', text: command.hint }),
+                command.group && r.el('span', { className: 'command-palette__group', text: command.group })
+            ]);
+        }));
+        
+        list.hidden = results.length === 0;
+        if (empty) empty.hidden = results.length > 0;
+        
+        input.removeAttribute('aria-activedescendant');
+        this.moveCommandPaletteSelection(1);
     }
     
     /**
-     * Update tab content dynamically
-     * @param {number} tabId - Tab ID to update
-     * @param {Object} newConfig - New configuration for the tab
+     * Move the highlighted command
+     * @param {number} step - 1 for the next command, -1 for the previous one (wraps around)
      */
-    updateTabContent(tabId, newConfig) {
+    moveCommandPaletteSelection(step) {
+        const input = this.getById('command-palette-input');
+        const options = [...this.queryAll('#command-palette-list [role="option"]')];
+        if (!input || options.length === 0) return;
+        
+        const current = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+        const next = current === -1
+            ? (step > 0 ? 0 : options.length - 1)
+            : (current + step + options.length) % options.length;
+        
+        options.forEach((option, index) => {
+            option.setAttribute('aria-selected', index === next ? 'true' : 'false');
+            option.classList.toggle('command-palette__option--active', index === next);
+        });
+        input.setAttribute('aria-activedescendant', options[next].id);
+        options[next].scrollIntoView?.({ block: 'nearest' });
+    }
+    
+    /**
+     * Close the palette and run a command
+     * @param {string} commandId - Command ID
+     * @returns {Promise<boolean>} - True when the command ran without throwing
+     */
+    async runCommand(commandId) {
+        const command = this.commandPalette.get(commandId);
+        if (!command) {
+            console.warn(`Command "${commandId}" not found`);
+            return false;
+        }
+        
+        this.closeCommandPalette({ restoreFocus: false });
+        
+        console.log(`Running command "${command.label}"`);
+        
+        this.dispatchCustomEvent('commandExecuted', {
+            commandId: command.id,
+            group: command.group,
+            label: command.label,
+            timestamp: new Date().toISOString()
+        });
+        
         try {
-            const panel = document.getElementById(`tab-panel-${tabId}`);
-            if (!panel) {
-                throw new Error(`Tab panel not found for ID: ${tabId}`);
-            }
-            
-            // Update configuration
-            const tabIndex = this.config.tabs.findIndex(tab => tab.id === tabId);
-            if (tabIndex === -1) {
-                throw new Error(`Tab configuration not found for ID: ${tabId}`);
-            }
-            
-            this.config.tabs[tabIndex] = { 
-                ...this.config.tabs[tabIndex], 
-                ...newConfig 
-            };
-            
-            // Regenerate content
-            this.populateTabContent(panel, this.config.tabs[tabIndex]);
-            
-            console.log(`Updated content for tab ${tabId}`);
-            
-            // Dispatch update event
-            this.dispatchCustomEvent('tabContentUpdated', { 
-                tabId: tabId,
-                newConfig: newConfig
-            });
-            
+            await command.run();
+            return true;
         } catch (error) {
-            console.error('Error updating tab content:', error);
-            this.handleError(error, 'tab-update');
+            console.error('Error running command:', error);
+            this.handleError(error, 'command-palette', {
+                notify: true,
+                message: `"${command.label}" failed: ${error.message}`
+            });
+            return false;
         }
     }
     
     /**
-     * Add a new tab dynamically
-     * @param {Object} tabConfig - Configuration for the new tab
+     * Collect the commands of the palette: actions, tabs, menu items, field headings and clients
+     * Only what the user can see and do right now is listed
+     * @returns {Array<Object>} - Commands (see CommandPalette)
      */
-    addTab(tabConfig) {
-        try {
-            // Validate required properties
-            if (!tabConfig.id || !tabConfig.title) {
-                throw new Error('Tab configuration must include id and title');
-            }
+    getPaletteCommands() {
+        const activeTabId = this.getActiveTabId();
+        const tabs = this.config.tabs.filter(tab => this.canViewTab(tab));
+        
+        return [
+            ...this.getPaletteActions(activeTabId),
             
-            // Check if tab already exists
-            const existingTab = this.config.tabs.find(tab => tab.id === tabConfig.id);
-            if (existingTab) {
-                throw new Error(`Tab with ID ${tabConfig.id} already exists`);
-            }
+            ...tabs.map(tab => ({
+                id: `tab:${tab.id}`,
+                group: 'Tab',
+                label: tab.title,
+                keywords: tab.label && tab.label !== tab.title ? [tab.label] : [],
+                run: () => this.revealTab(tab.id)
+            })),
             
-            // Add to configuration
-            this.config.tabs.push(tabConfig);
+            ...this.getPaletteMenuItems(this.getVisibleMenuItems(this.config.menu)),
             
-            // Create tab button
-            const tabNav = document.querySelector('.tab-navigation');
-            if (tabNav) {
-                const newButton = document.createElement('button');
-                newButton.className = 'tab-navigation__button';
-                newButton.type = 'button';
-                newButton.role = 'tab';
-                newButton.setAttribute('aria-selected', 'false');
-                newButton.setAttribute('aria-controls', `tab-panel-${tabConfig.id}`);
-                newButton.id = `tab-${tabConfig.id}`;
-                newButton.textContent = `Tab ${tabConfig.id}`;
+            ...tabs.flatMap(tab => {
+                const schemaName = typeof tab.schema === 'string' ? tab.schema : null;
+                if (!tab.schema || (schemaName && !this.config.schemas[schemaName])) return [];
                 
-                tabNav.appendChild(newButton);
-            }
-            
-            // Create tab panel
-            const container = document.querySelector('.tab-content-container');
-            if (container) {
-                const tabPanel = this.createTabPanel(tabConfig);
-                container.appendChild(tabPanel);
-            }
-            
-            // Rebind events to include new tab
-            this.bindEvents();
-            
-            console.log(`Added new tab with ID: ${tabConfig.id}`);
-            
-            // Dispatch add event
-            this.dispatchCustomEvent('tabAdded', { 
-                tabId: tabConfig.id,
-                tabConfig: tabConfig
-            });
+                return this.getTabSchema(tab).sections.flatMap(section => (section.rows || []).flat().map(field => ({
+                    id: `field:${tab.id}:${field.key}`,
+                    group: 'Field',
+                    label: field.label || field.key,
+                    hint: section.title ? `${tab.title} › ${section.title}` : tab.title,
+                    run: () => this.revealField(tab.id, field.key)
+                })));
+            }),
             
-        } catch (error) {
-            console.error('Error adding tab:', error);
-            this.handleError(error, 'tab-add');
+            ...(this.features.clientSwitcher ? this.clientDirectory.clients : [])
+                .filter(client => client.id !== this.getCurrentClientId())
+                .map(client => ({
+                    id: `client:${client.id}`,
+                    group: 'Client',
+                    label: client.name,
+                    hint: client.summary ? `${client.id} · ${client.summary}` : client.id,
+                    keywords: [client.id],
+                    run: () => this.switchClient(client.id)
+                }))
+        ];
+    }
+    
+    /**
+     * Actions of the palette, run through the same methods as the buttons and menus
+     * @param {number|null} activeTabId - ID of the active tab
+     * @returns {Array<Object>} - Commands
+     */
+    getPaletteActions(activeTabId) {
+        const can = (capability) => this.permissions.can(capability);
+        const session = this.timer.getActiveSession();
+        const history = this.history.getState();
+        const hasFilters = Object.keys(this.filterEngine.getValues()).length > 0;
+        
+        const actions = [
+            this.features.timer && !session && ['start-timer', 'Start timer', () => this.startTimer()],
+            this.features.timer && session && ['stop-timer', 'Stop timer', () => this.stopTimer()],
+            this.features.timer && session?.status === 'running' && ['pause-timer', 'Pause timer', () => this.pauseTimer()],
+            this.features.timer && session?.status === 'paused' && ['resume-timer', 'Resume timer', () => this.resumeTimer()],
+            this.features.timer && can('timesheets.view') && ['open-timesheet', 'Open timesheet', () => this.openTimesheetModal()],
+            can('records.create') && ['add-record', 'Add record', () => this.openRecordWizard()],
+            can('records.edit') && activeTabId !== null && ['edit-record', 'Edit current record', () => this.enterEditMode(activeTabId)],
+            can('records.delete') && activeTabId !== null && ['delete-record', 'Delete current record', () => this.performDeleteAction()],
+            this.features.trash && can('records.delete') && ['open-trash', 'Open trash', () => this.openTrashModal()],
+            this.features.history && history.canUndo && ['undo', `Undo ${history.undoLabel}`, () => this.undo()],
+            this.features.history && history.canRedo && ['redo', `Redo ${history.redoLabel}`, () => this.redo()],
+            this.features.filters && hasFilters && ['clear-filters', 'Clear filters', () => this.clearFilters()],
+            this.features.emailPreferences && ['email-settings', 'Open email settings', () => this.openEmailModal()],
+            this.features.notifications && ['notifications', 'Open notifications', () => this.openNotificationModal()],
+            this.features.clientSwitcher && ['find-client', 'Find a client', () => this.getById('client-search')?.focus()],
+            ['shortcuts', 'Show keyboard shortcuts', () => this.openShortcutHelp()],
+            ['reload', 'Reload data', () => this.reload()],
+            ['logout', 'Logout', () => this.handleLogout()]
+        ];
+        
+        return actions.filter(Boolean).map(([id, label, run]) => ({
+            id: `action:${id}`,
+            group: 'Action',
+            label: label,
+            run: run
+        }));
+    }
+    
+    /**
+     * Flatten the menu into palette commands; only items without a sub-menu can be selected
+     * @param {Array<Object>} items - Visible menu items
+     * @param {Array<string>} [path] - Labels of the items they are nested in
+     * @returns {Array<Object>} - Commands
+     */
+    getPaletteMenuItems(items, path = []) {
+        return items.flatMap(item => Array.isArray(item.children)
+            ? this.getPaletteMenuItems(item.children, [...path, item.label])
+            : [{
+                id: `menu:${item.id}`,
+                group: 'Menu',
+                label: item.label,
+                hint: path.length > 0 ? path.join(' › ') : undefined,
+                run: () => this.setActiveMenuById(`menu-${item.id}`)
+            }]);
+    }
+    
+    /**
+     * Show a tab, clearing the filters when they hide it
+     * @param {number} tabId - Tab ID
+     */
+    revealTab(tabId) {
+        if (this.getById(this.domId(`tab-${tabId}`))?.hidden) {
+            this.clearFilters();
         }
+        
+        this.activateTab(tabId);
+        this.getById(this.domId(`tab-${tabId}`))?.focus();
     }
     
     /**
-     * Remove a tab dynamically
-     * @param {number} tabId - ID of the tab to remove
+     * Show a field: open its tab, scroll it into view and highlight it briefly
+     * @param {number} tabId - Tab ID
+     * @param {string} fieldKey - Field key from the schema
      */
-    removeTab(tabId) {
-        try {
-            // Don't allow removing the last tab
-            if (this.config.tabs.length <= 1) {
-                throw new Error('Cannot remove the last remaining tab');
-            }
-            
-            // Remove from configuration
-            const tabIndex = this.config.tabs.findIndex(tab => tab.id === tabId);
-            if (tabIndex === -1) {
-                throw new Error(`Tab with ID ${tabId} not found`);
-            }
-            
-            this.config.tabs.splice(tabIndex, 1);
-            
-            // Remove DOM elements
-            const button = document.getElementById(`tab-${tabId}`);
-            const panel = document.getElementById(`tab-panel-${tabId}`);
-            
-            if (button) button.remove();
-            if (panel) panel.remove();
-            
-            // If removed tab was active, activate first available tab
-            if (this.getActiveTabId() === tabId) {
-                this.activateTab(this.config.tabs[0].id);
-            }
-            
-            console.log(`Removed tab with ID: ${tabId}`);
-            
-            // Dispatch remove event
-            this.dispatchCustomEvent('tabRemoved', { 
-                tabId: tabId
-            });
-            
-        } catch (error) {
-            console.error('Error removing tab:', error);
-            this.handleError(error, 'tab-remove');
+    revealField(tabId, fieldKey) {
+        const findItem = () => [...(this.getById(this.domId(`tab-panel-${tabId}`))?.querySelectorAll('[data-field]') || [])]
+            .find(element => element.dataset.field === fieldKey);
+        
+        // Filters may hide the tab or the row holding the field
+        if (this.getById(this.domId(`tab-${tabId}`))?.hidden || findItem()?.closest('[hidden]')) {
+            this.clearFilters();
+        }
+        
+        this.activateTab(tabId);
+        
+        const item = findItem();
+        if (!item) {
+            console.warn(`Field "${fieldKey}" not found in tab ${tabId}`);
+            return;
         }
+        
+        item.setAttribute('tabindex', '-1');
+        item.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+        item.focus({ preventScroll: true });
+        item.classList.add('tab-content__item--highlighted');
+        setTimeout(() => item.classList.remove('tab-content__item--highlighted'), 2000);
     }
     
     /**
@@ -1665,7 +6253,10 @@ class WebMotionDashboard {
                 bubbles: true,
                 cancelable: true
             });
-            document.dispatchEvent(event);
+            // Dispatched on the root, so listeners on document still receive it
+            this.root.dispatchEvent(event);
+            
+            this.callbacks[eventName]?.(detail, this);
         } catch (error) {
             console.error('Error dispatching custom event:', error);
         }
@@ -1675,8 +6266,11 @@ class WebMotionDashboard {
      * Handle and log errors with context
      * @param {Error} error - The error object
      * @param {string} context - Context where the error occurred
+     * @param {Object} [options] - Reporting options
+     * @param {boolean} [options.notify] - Also show an error toast to the user
+     * @param {string} [options.message] - Toast text (defaults to the error message)
      */
-    handleError(error, context) {
+    handleError(error, context, { notify = false, message } = {}) {
         const errorInfo = {
             message: error.message,
             stack: error.stack,
@@ -1689,6 +6283,10 @@ class WebMotionDashboard {
         
         // Dispatch error event for external error handling
         this.dispatchCustomEvent('dashboardError', errorInfo);
+        
+        if (notify) {
+            this.toasts.error(message || error.message);
+        }
     }
     
     /**
@@ -1705,8 +6303,9 @@ class WebMotionDashboard {
      */
     refresh() {
         try {
-            this.generateTabContent();
-            this.bindEvents();
+            this.renderMenu();
+            this.renderTabs();
+            this.bindTabButtons();
             
             // Reactivate current tab or default to first tab
             const currentTabId = this.getActiveTabId() || this.config.tabs[0]?.id;
@@ -1728,16 +6327,53 @@ class WebMotionDashboard {
     }
     
     /**
-     * Destroy the dashboard instance and clean up event listeners
+     * Close every open modal, dropdown and menu, and leave edit mode
+     */
+    closeOverlays() {
+        this.exitEditMode();
+        if (this.isRecordWizardOpen()) this.closeRecordWizard();
+        if (this.isTrashOpen()) this.closeTrashModal();
+        if (this.isTimesheetOpen()) this.closeTimesheetModal();
+        const isOpen = (selector, activeClass) => !!this.query(selector)?.classList.contains(activeClass);
+        if (isOpen('#email-modal', 'email-modal--active')) this.closeEmailModal();
+        if (isOpen('#notification-modal', 'notification-modal--active')) this.closeNotificationModal();
+        if (isOpen('.user-dropdown', 'user-dropdown--active')) this.closeUserDropdown();
+        if (isOpen('.options-dropdown', 'options-dropdown--active')) this.closeOptionsDropdown();
+        if (this.isClientSwitcherOpen()) this.closeClientSwitcher();
+        if (this.isCommandPaletteOpen()) this.closeCommandPalette({ restoreFocus: false });
+        if (this.isShortcutHelpOpen()) this.closeShortcutHelp();
+        if (this.isHeaderMenuOpen()) {
+            this.toggleHeaderMenu(false);
+        }
+        this.removeMenuOverlay();
+    }
+    
+    /**
+     * Destroy the dashboard instance
+     * Closes open overlays and removes every listener, interval and subscription,
+     * so a new instance can be mounted on the same page
      */
     destroy() {
+        if (this.isDestroyed) return;
+        
         try {
+            this.isDestroyed = true;
+            
+            // Close overlays while their listeners still exist
+            this.closeOverlays();
+            this.breadcrumbs?.destroy();
+            this.toasts.clear();
+            
             // Remove event listeners
-            const tabButtons = document.querySelectorAll('.tab-navigation__button');
-            tabButtons.forEach(button => {
-                button.removeEventListener('click', this.activateTab);
-                button.removeEventListener('keydown', this.handleTabKeyNavigation);
-            });
+            this.listeners.destroy();
+            this.router.stop();
+            this.unsubscribeSession?.();
+            
+            // Stop intervals and live updates (timer sessions stay persisted)
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+            this.notificationFeed.stop();
+            this.idleMonitor.stop();
             
             console.log('Dashboard destroyed successfully');
             
@@ -1756,13 +6392,47 @@ class WebMotionDashboard {
  * ==========================================================================
  */
 
+/**
+ * Script element that loaded the dashboard
+ * Its data-source / data-source-url attributes select the data provider, e.g.
+ * <script src="assets/js/dashboard.js" data-source="rest" data-source-url="http://localhost:3000/api">
+ * and data-notifications / data-notifications-url select the notification source
+ * ('poll', 'sse' or 'none'), e.g. data-notifications="sse" data-notifications-url="/api/notifications/stream"
+ * Set data-auto-init="false" to create the dashboards yourself instead of the page-wide instance
+ */
+const dashboardScript = document.currentScript;
+
 /**
  * Initialize dashboard when DOM is fully loaded
  */
 document.addEventListener('DOMContentLoaded', () => {
+    if (dashboardScript?.dataset.autoInit === 'false') {
+        console.log('Dashboard auto-init disabled');
+        return;
+    }
+    
     try {
+        // API requests carry the session token when sign-in is enabled
+        const session = createAuthSession({ url: dashboardScript?.dataset.authUrl });
+        
+        const dataProvider = createDataProvider({
+            type: dashboardScript?.dataset.source,
+            url: dashboardScript?.dataset.sourceUrl,
+            fetch: session?.fetch
+        });
+        
+        const notificationSource = createNotificationSource({
+            type: dashboardScript?.dataset.notifications,
+            url: dashboardScript?.dataset.notificationsUrl,
+            fetch: session?.fetch
+        });
+        
+        // Minutes without activity before the automatic sign-out
+        const idleMinutes = Number(dashboardScript?.dataset.idleTimeout);
+        const idle = idleMinutes > 0 ? { timeout: idleMinutes * 60000 } : {};
+        
         // Create global dashboard instance
-        window.webMotionDashboard = new WebMotionDashboard();
+        window.webMotionDashboard = new WebMotionDashboard(document, { dataProvider, notificationSource, session, idle });
         
         // Optional: Set up global error handling for unhandled errors
         window.addEventListener('error', (e) => {
@@ -0,0 +1,589 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Data Providers
+ * ==========================================================================
+ * Description: Pluggable data sources that supply the dashboard configuration
+ * (tabs, field schemas and record data) to WebMotionDashboard.
+ *
+ * Providers:
+ * - InMemoryDataProvider : Data passed in directly from JavaScript
+ * - JsonFileDataProvider : Static JSON file served next to the dashboard
+ * - RestDataProvider     : REST API (e.g. the local mock server in tools/)
+ *
+ * Every provider exposes an async load() method resolving to a plain
+ * configuration object that the dashboard awaits before rendering.
+ *
+ * New records are saved with createRecord(): the REST provider posts them to
+ * /records, the others leave them in the dashboard like any other edit.
+ *
+ * Records (tabs) are soft-deleted into a trash through deleteRecord(), and
+ * can be brought back with restoreRecord() or removed for good with
+ * purgeRecord(). The JSON and in-memory providers keep the trash on the
+ * client (RecordTrash) and leave trashed records out of load(); the REST
+ * provider uses the /records and /trash endpoints.
+ *
+ * Trash entry shape:
+ * { id, record, position, clientId, deletedAt }   // position is the record's index in tabs
+ *
+ * Record IDs are only unique within a client, so a local trash finds its
+ * entries (and purged records) by client and record ID together.
+ *
+ * The configuration holds one client (client and tabs) and may list others
+ * in "clients". loadClient() resolves to { client, tabs } for any of them:
+ * the JSON provider reads clients/<id>.json next to the main file, the REST
+ * provider uses /clients/:id.
+ * ==========================================================================
+ */
+
+/**
+ * Soft-deleted records kept on the client
+ * Used by providers whose source cannot be written to (static files, in-memory data)
+ */
+class RecordTrash {
+    /**
+     * @param {Object} [options] - Trash options
+     * @param {Storage|null} [options.storage] - Storage to persist the trash in (memory only when null)
+     * @param {string} [options.storageKey] - Key the trash is stored under
+     */
+    constructor({ storage = null, storageKey = 'webmotion.trash' } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.state = this.read();
+    }
+
+    /**
+     * List trashed records, most recently deleted first
+     * @returns {Array<Object>} - Trash entries
+     */
+    list() {
+        return this.clone(this.state.entries).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Move a record into the trash
+     * @param {Object} record - Record (tab configuration)
+     * @param {number} [position] - Index of the record in tabs
+     * @param {string} [clientId] - Client the record belongs to
+     * @returns {Object} - Trash entry
+     */
+    add(record, position = null, clientId = null) {
+        const id = String(record.id);
+        if (this.isHidden(id, clientId)) {
+            throw new Error(`Record ${id} is already deleted`);
+        }
+
+        const entry = { id, record: this.clone(record), position, clientId, deletedAt: new Date().toISOString() };
+        this.state.entries.push(entry);
+        this.write();
+
+        return this.clone(entry);
+    }
+
+    /**
+     * Take a record out of the trash
+     * @param {string|number} recordId - Record ID
+     * @param {string|null} [clientId] - Client the record belongs to
+     * @returns {Object} - The removed trash entry
+     */
+    take(recordId, clientId = null) {
+        const entry = this.find(recordId, clientId);
+        this.state.entries = this.state.entries.filter(item => item !== entry);
+        this.write();
+
+        return this.clone(entry);
+    }
+
+    /**
+     * Permanently delete a trashed record
+     * @param {string|number} recordId - Record ID
+     * @param {string|null} [clientId] - Client the record belongs to
+     */
+    purge(recordId, clientId = null) {
+        const entry = this.find(recordId, clientId);
+        this.state.entries = this.state.entries.filter(item => item !== entry);
+        this.state.purged.push({ id: entry.id, clientId: entry.clientId });
+        this.write();
+    }
+
+    /**
+     * Find a trash entry
+     * @param {string|number} recordId - Record ID
+     * @param {string|null} [clientId] - Client the record belongs to
+     * @returns {Object} - Trash entry
+     */
+    find(recordId, clientId = null) {
+        const entry = this.state.entries.find(item => RecordTrash.matches(item, recordId, clientId));
+        if (!entry) {
+            throw new Error(`Record ${recordId} is not in the trash`);
+        }
+        return entry;
+    }
+
+    /**
+     * Check whether a record is trashed or purged
+     * @param {string|number} recordId - Record ID
+     * @param {string|null} [clientId] - Client the record belongs to
+     * @returns {boolean} - True when the record must not be shown
+     */
+    isHidden(recordId, clientId = null) {
+        return [...this.state.purged, ...this.state.entries].some(item => RecordTrash.matches(item, recordId, clientId));
+    }
+
+    /**
+     * Leave trashed and purged records out of a configuration
+     * @param {Object} data - Dashboard configuration, or { client, tabs } of one client
+     * @param {string|null} [clientId] - Client the tabs belong to (defaults to data.client)
+     * @returns {Object} - Configuration without hidden tabs
+     */
+    apply(data, clientId = data?.client?.id ?? null) {
+        if (!Array.isArray(data?.tabs)) return data;
+        return { ...data, tabs: data.tabs.filter(tab => !this.isHidden(tab.id, clientId)) };
+    }
+
+    /**
+     * Drop the copies of trashed records (e.g. when signing out)
+     * The records stay deleted: they are purged rather than brought back
+     */
+    clear() {
+        this.state.purged.push(...this.state.entries.map(entry => ({ id: entry.id, clientId: entry.clientId })));
+        this.state.entries = [];
+        this.write();
+    }
+
+    /**
+     * List the IDs of permanently deleted records, of every client
+     * @returns {Array<string>} - Record IDs
+     */
+    listPurged() {
+        return this.state.purged.map(item => item.id);
+    }
+
+    /**
+     * Read the persisted trash
+     * @returns {Object} - { entries, purged }
+     */
+    read() {
+        try {
+            const stored = JSON.parse(this.storage?.getItem(this.storageKey) || 'null');
+            return {
+                entries: Array.isArray(stored?.entries) ? stored.entries : [],
+                purged: Array.isArray(stored?.purged) ? stored.purged : []
+            };
+        } catch (error) {
+            console.warn('Unable to read the trash from storage:', error);
+            return { entries: [], purged: [] };
+        }
+    }
+
+    /**
+     * Persist the trash
+     */
+    write() {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Unable to persist the trash:', error);
+        }
+    }
+
+    /**
+     * @param {Object} data - Data to copy
+     * @returns {Object} - Deep copy
+     */
+    clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Check whether a trash entry or purged record is the given record of the given client
+     * @param {Object} item - { id, clientId }
+     * @param {string|number} recordId - Record ID
+     * @param {string|null} clientId - Client ID (null for records without a client)
+     * @returns {boolean} - True when both IDs match
+     */
+    static matches(item, recordId, clientId) {
+        return item.id === String(recordId) && String(item.clientId ?? '') === String(clientId ?? '');
+    }
+}
+
+/**
+ * Base class for dashboard data providers
+ * Subclasses must implement load(); the trash methods use this.trash (a RecordTrash)
+ * unless overridden
+ */
+class DashboardDataProvider {
+    constructor() {
+        this.trash = new RecordTrash();
+    }
+
+    /**
+     * Load the dashboard configuration
+     * @returns {Promise<Object>} - Resolves to the configuration object
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} must implement load()`);
+    }
+
+    /**
+     * Load the profile and records of a client
+     * The client of the main configuration comes from load(), any other one from loadClientData()
+     * @param {string} clientId - Client ID (reference number)
+     * @returns {Promise<Object>} - { client, tabs } without trashed records
+     */
+    async loadClient(clientId) {
+        const data = await this.load();
+        if (data.client && String(data.client.id) === String(clientId)) {
+            return { client: data.client, tabs: data.tabs || [] };
+        }
+
+        return this.trash.apply(await this.loadClientData(clientId), clientId);
+    }
+
+    /**
+     * Load a client that is not part of the main configuration
+     * @param {string} clientId - Client ID
+     * @returns {Promise<Object>} - { client, tabs }
+     */
+    async loadClientData(clientId) {
+        throw new Error(`Client ${clientId} not found`);
+    }
+
+    /**
+     * Save a new record
+     * Static files and in-memory data are not written to, so the record only lives in the dashboard
+     * @param {Object} record - Record (tab configuration) with its ID
+     * @param {Object} [options] - Create options
+     * @param {string} [options.clientId] - Client the record belongs to
+     * @returns {Promise<Object>} - The saved record
+     */
+    async createRecord(record, { clientId = null } = {}) {
+        return this.clone(record);
+    }
+
+    /**
+     * Soft-delete a record into the trash
+     * @param {Object} record - Record (tab configuration)
+     * @param {Object} [options] - Delete options
+     * @param {number} [options.position] - Index of the record in tabs, used when restoring
+     * @param {string} [options.clientId] - Client the record belongs to
+     * @returns {Promise<Object>} - Trash entry
+     */
+    async deleteRecord(record, { position = null, clientId = null } = {}) {
+        return this.trash.add(record, position, clientId);
+    }
+
+    /**
+     * Restore a record from the trash
+     * @param {string|number} recordId - Record ID
+     * @param {Object} [options] - Restore options
+     * @param {string} [options.clientId] - Client the record belongs to
+     * @returns {Promise<Object>} - The removed trash entry (entry.record is the record)
+     */
+    async restoreRecord(recordId, { clientId = null } = {}) {
+        return this.trash.take(recordId, clientId);
+    }
+
+    /**
+     * Permanently delete a trashed record
+     * @param {string|number} recordId - Record ID
+     * @param {Object} [options] - Purge options
+     * @param {string} [options.clientId] - Client the record belongs to
+     * @returns {Promise<void>}
+     */
+    async purgeRecord(recordId, { clientId = null } = {}) {
+        this.trash.purge(recordId, clientId);
+    }
+
+    /**
+     * List trashed records, most recently deleted first
+     * @returns {Promise<Array<Object>>} - Trash entries
+     */
+    async listTrash() {
+        return this.trash.list();
+    }
+
+    /**
+     * Drop the records kept in a trash on this device (e.g. when signing out)
+     * A server-side trash is left alone
+     */
+    clearLocalTrash() {
+        this.trash.clear();
+    }
+
+    /**
+     * IDs of permanently deleted records, which new records must not reuse
+     * @returns {Array<string>} - Record IDs
+     */
+    getPurgedRecordIds() {
+        return this.trash.listPurged();
+    }
+
+    /**
+     * Create a deep copy so callers can never mutate provider state
+     * @param {Object} data - Data to copy
+     * @returns {Object} - Copied data
+     */
+    clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+}
+
+/**
+ * Provider serving configuration held in memory
+ */
+class InMemoryDataProvider extends DashboardDataProvider {
+    /**
+     * @param {Object} data - Dashboard configuration object
+     * @param {Object} [options] - Provider options
+     * @param {Object} [options.clients] - { client, tabs } of further clients, keyed by client ID
+     */
+    constructor(data = {}, { clients = {} } = {}) {
+        super();
+        this.data = this.clone(data);
+        this.clients = this.clone(clients);
+    }
+
+    /**
+     * @returns {Promise<Object>} - Copy of the in-memory configuration without trashed records
+     */
+    async load() {
+        return this.trash.apply(this.clone(this.data));
+    }
+
+    async loadClientData(clientId) {
+        if (!this.clients[clientId]) {
+            throw new Error(`Client ${clientId} not found`);
+        }
+        return this.clone(this.clients[clientId]);
+    }
+}
+
+/**
+ * Provider loading configuration from a static JSON file
+ */
+class JsonFileDataProvider extends DashboardDataProvider {
+    /**
+     * @param {string} url - URL of the JSON file
+     * @param {Object} [fetchOptions] - Extra options passed to fetch()
+     * @param {Object} [trashOptions] - Where the trash is kept, since the file is read-only
+     * @param {Storage} [trashOptions.storage] - Storage for the trash (defaults to localStorage)
+     * @param {string} [trashOptions.storageKey] - Key the trash is stored under
+     */
+    constructor(url, fetchOptions = {}, { storage = window.localStorage, storageKey = 'webmotion.trash' } = {}) {
+        super();
+
+        if (!url) {
+            throw new Error('JsonFileDataProvider requires a file URL');
+        }
+
+        this.url = url;
+        this.fetchOptions = fetchOptions;
+        this.trash = new RecordTrash({ storage, storageKey });
+
+        // Further clients are kept next to the main file ({id} is replaced with the client ID)
+        this.clientUrl = url.replace(/[^/]*$/, 'clients/{id}.json');
+    }
+
+    /**
+     * @returns {Promise<Object>} - Parsed JSON configuration without trashed records
+     */
+    async load() {
+        const response = await fetch(this.url, {
+            cache: 'no-cache',
+            ...this.fetchOptions
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to load ${this.url}: ${response.status} ${response.statusText}`);
+        }
+
+        return this.trash.apply(await response.json());
+    }
+
+    /**
+     * @returns {Promise<Object>} - Parsed client file ({ client, tabs })
+     */
+    async loadClientData(clientId) {
+        const url = this.clientUrl.replace('{id}', encodeURIComponent(clientId));
+        const response = await fetch(url, {
+            cache: 'no-cache',
+            ...this.fetchOptions
+        });
+
+        if (response.status === 404) {
+            throw new Error(`Client ${clientId} not found`);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+}
+
+/**
+ * Provider loading configuration from a REST API
+ */
+class RestDataProvider extends DashboardDataProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.baseUrl - API base URL (e.g. 'http://localhost:3000/api')
+     * @param {Object} [options.endpoints] - Endpoint paths relative to baseUrl
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {Function} [options.fetch] - fetch() implementation (e.g. AuthSession#fetch to send a token)
+     */
+    constructor({ baseUrl, endpoints = {}, headers = {}, fetch = null } = {}) {
+        super();
+
+        if (!baseUrl) {
+            throw new Error('RestDataProvider requires a baseUrl');
+        }
+
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.endpoints = {
+            dashboard: '/dashboard',
+            records: '/records',
+            trash: '/trash',
+            clients: '/clients',
+            ...endpoints
+        };
+        this.headers = headers;
+        this.fetch = fetch || ((...args) => window.fetch(...args));
+
+        // IDs purged on the server, as of the last listTrash()
+        this.purgedRecordIds = [];
+    }
+
+    /**
+     * Perform a request against the API and parse the JSON response
+     * @param {string} path - Endpoint path relative to baseUrl
+     * @param {Object} [options] - fetch() options
+     * @returns {Promise<Object>} - Parsed response body
+     */
+    async request(path, options = {}) {
+        const url = `${this.baseUrl}${path}`;
+        const response = await this.fetch(url, {
+            ...options,
+            headers: {
+                'Accept': 'application/json',
+                ...this.headers,
+                ...options.headers
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Request to ${url} failed: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * @returns {Promise<Object>} - Configuration returned by the API
+     */
+    async load() {
+        return this.request(this.endpoints.dashboard);
+    }
+
+    /**
+     * GET /clients/:id
+     */
+    async loadClient(clientId) {
+        return this.request(`${this.endpoints.clients}/${encodeURIComponent(clientId)}`);
+    }
+
+    /**
+     * POST /records saves a new record for a client
+     */
+    async createRecord(record, { clientId = null } = {}) {
+        return this.request(this.endpoints.records, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ record, clientId })
+        });
+    }
+
+    /**
+     * DELETE /records/:id moves the record into the server-side trash
+     */
+    async deleteRecord(record, { position = null, clientId = null } = {}) {
+        return this.request(`${this.endpoints.records}/${encodeURIComponent(record.id)}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ position, clientId })
+        });
+    }
+
+    /**
+     * POST /trash/:id/restore?clientId=
+     */
+    async restoreRecord(recordId, { clientId = null } = {}) {
+        return this.request(this.trashEntryPath(recordId, clientId, '/restore'), { method: 'POST' });
+    }
+
+    /**
+     * DELETE /trash/:id?clientId=
+     */
+    async purgeRecord(recordId, { clientId = null } = {}) {
+        await this.request(this.trashEntryPath(recordId, clientId), { method: 'DELETE' });
+        this.purgedRecordIds.push(String(recordId));
+    }
+
+    /**
+     * Path of a trash entry; the client is sent along since record IDs are only unique per client
+     * @param {string|number} recordId - Record ID
+     * @param {string|null} clientId - Client the record belongs to
+     * @param {string} [action] - Sub-path (e.g. '/restore')
+     * @returns {string} - Path relative to baseUrl
+     */
+    trashEntryPath(recordId, clientId, action = '') {
+        const path = `${this.endpoints.trash}/${encodeURIComponent(recordId)}${action}`;
+        return clientId === null || clientId === undefined ? path : `${path}?clientId=${encodeURIComponent(clientId)}`;
+    }
+
+    /**
+     * GET /trash
+     */
+    async listTrash() {
+        const { entries = [], purged = [] } = await this.request(this.endpoints.trash);
+        this.purgedRecordIds = purged.map(item => String(item.id));
+        return entries;
+    }
+
+    /**
+     * IDs purged on the server, as reported by GET /trash and by purgeRecord()
+     * @returns {Array<string>} - Record IDs
+     */
+    getPurgedRecordIds() {
+        return [...this.purgedRecordIds];
+    }
+}
+
+/**
+ * Create a data provider from a plain source description
+ * @param {Object} [source] - Source description
+ * @param {string} [source.type] - 'memory', 'json' or 'rest' (defaults to 'json')
+ * @param {string} [source.url] - File URL ('json') or API base URL ('rest')
+ * @param {Object} [source.data] - Configuration object ('memory')
+ * @param {Function} [source.fetch] - fetch() implementation for API requests ('rest')
+ * @param {string} [source.trashKey] - Key the local trash is stored under ('json')
+ * @returns {DashboardDataProvider} - The matching provider
+ */
+function createDataProvider(source = {}) {
+    const { type = 'json', url, data, fetch, trashKey } = source;
+
+    switch (type) {
+        case 'memory':
+            return new InMemoryDataProvider(data);
+
+        case 'json':
+            return new JsonFileDataProvider(url || 'assets/data/dashboard.json', {},
+                trashKey ? { storageKey: trashKey } : {});
+
+        case 'rest':
+            return new RestDataProvider({ baseUrl: url || '/api', fetch });
+
+        default:
+            throw new Error(`Unknown data source type: ${type}`);
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Field Editors
+ * ==========================================================================
+ * Description: Per-type form controls for editing schema fields inline.
+ *
+ * Each field type has an editor with two functions:
+ * - create(value, field, context) : Builds the control for the current value
+ * - read(control, field, value)   : Returns the new value, or throws an Error
+ *                                   with a user-facing message when invalid
+ *
+ * Built-in field types match FieldFormatters (text, date, currency, status,
+ * link, enum, country, address). Empty values are saved as null unless the
+ * field is marked "required" in the schema. Custom types can be added with
+ * register().
+ * ==========================================================================
+ */
+
+class FieldEditors {
+    /**
+     * @param {SafeRenderer} renderer - Renderer used to build controls
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.editors = new Map();
+
+        this.registerDefaults();
+    }
+
+    /**
+     * Register an editor for a field type
+     * @param {string} type - Field type name
+     * @param {Object} editor - { create, read }
+     */
+    register(type, editor) {
+        if (typeof editor?.create !== 'function' || typeof editor?.read !== 'function') {
+            throw new Error(`Editor for "${type}" must implement create() and read()`);
+        }
+        this.editors.set(type, editor);
+    }
+
+    /**
+     * Get the editor for a field, falling back to the text editor
+     * @param {Object} field - Field definition from the schema
+     * @returns {Object} - Editor
+     */
+    get(field) {
+        const type = field.type || 'text';
+
+        if (!this.editors.has(type)) {
+            console.warn(`No editor registered for field type "${type}", editing as text`);
+            return this.editors.get('text');
+        }
+
+        return this.editors.get(type);
+    }
+
+    /**
+     * Build the control for a field
+     * @param {*} value - Current field value
+     * @param {Object} field - Field definition from the schema
+     * @param {Object} [context] - Extra data for editors (e.g. { countries })
+     * @returns {HTMLElement} - Control element
+     */
+    create(value, field, context = {}) {
+        const control = this.get(field).create(value, field, context);
+        control.dataset.editorFor = field.key;
+        return control;
+    }
+
+    /**
+     * Read and validate the value of a control
+     * @param {HTMLElement} control - Control built by create()
+     * @param {Object} field - Field definition from the schema
+     * @param {*} value - Value the control was created with
+     * @returns {*} - New field value
+     * @throws {Error} - When the entered value is invalid
+     */
+    read(control, field, value) {
+        const result = this.get(field).read(control, field, value);
+
+        if (field.required && this.isEmpty(result)) {
+            throw new Error(`${field.label || field.key} is required`);
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {*} value - Value to check
+     * @returns {boolean} - True for null, undefined and blank strings
+     */
+    isEmpty(value) {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+    }
+
+    /**
+     * Create a text-like input
+     * @param {string} type - Input type
+     * @param {*} value - Initial value
+     * @param {Object} [attrs] - Extra attributes
+     * @returns {HTMLInputElement} - Input element
+     */
+    input(type, value, attrs = {}) {
+        const input = this.renderer.el('input', {
+            className: 'form-input tab-content__input',
+            attrs: { type, ...attrs }
+        });
+        input.value = value === null || value === undefined ? '' : String(value);
+        return input;
+    }
+
+    /**
+     * Create a select with an optional empty choice
+     * @param {Array<Object>} options - [{ value, label }]
+     * @param {*} value - Selected value
+     * @param {Object} field - Field definition (required fields with a value get no empty choice)
+     * @returns {HTMLSelectElement} - Select element
+     */
+    select(options, value, field) {
+        const r = this.renderer;
+        const current = value === null || value === undefined ? '' : String(value);
+        const choices = options.map(option => ({ value: String(option.value), label: option.label ?? String(option.value) }));
+
+        // Keep a value that is not in the configured options so saving does not change it
+        if (current !== '' && !choices.some(option => option.value === current)) {
+            choices.unshift({ value: current, label: current });
+        }
+
+        const select = r.el('select', { className: 'form-input tab-content__input' }, [
+            // Required fields only get the empty choice until a value is picked
+            field.required && current !== '' ? null : r.el('option', { attrs: { value: '' }, text: '-' }),
+            ...choices.map(option => r.el('option', { attrs: { value: option.value }, text: option.label }))
+        ]);
+        select.value = current;
+        return select;
+    }
+
+    /**
+     * Read a native input, applying its built-in validation
+     * @param {HTMLInputElement} input - Input element
+     * @param {string} message - Message used when the value is invalid
+     * @returns {string|null} - Trimmed value, or null when empty
+     */
+    readInput(input, message) {
+        if (!input.checkValidity()) {
+            throw new Error(message);
+        }
+
+        const value = input.value.trim();
+        return value === '' ? null : value;
+    }
+
+    /**
+     * Register the built-in field types
+     */
+    registerDefaults() {
+        const r = this.renderer;
+
+        this.register('text', {
+            create: (value, field) => this.input('text', typeof value === 'object' ? r.toText(value) : value, {
+                maxlength: field.maxLength
+            }),
+            read: (input) => this.readInput(input, 'Enter a valid value')
+        });
+
+        this.register('date', {
+            create: (value) => this.input('date', value ? String(value).slice(0, 10) : ''),
+            read: (input, field, value) => {
+                const result = this.readInput(input, 'Enter a valid date');
+                if (result === null) return null;
+
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(result) || Number.isNaN(new Date(result).getTime())) {
+                    throw new Error('Enter a valid date');
+                }
+
+                // Keep the original value when only a time part would be lost
+                return value && String(value).slice(0, 10) === result ? value : result;
+            }
+        });
+
+        this.register('currency', {
+            create: (value) => this.input('number', typeof value === 'object' && value !== null ? value.amount : value, {
+                min: 0,
+                step: '0.01',
+                inputmode: 'decimal'
+            }),
+            read: (input, field, value) => {
+                const result = this.readInput(input, 'Enter an amount of 0 or more with up to 2 decimals');
+                if (result === null) return null;
+
+                const amount = Number(result);
+                if (Number.isNaN(amount) || amount < 0) {
+                    throw new Error('Enter an amount of 0 or more with up to 2 decimals');
+                }
+
+                return typeof value === 'object' && value !== null ? { ...value, amount } : amount;
+            }
+        });
+
+        this.register('status', {
+            create: (value, field) => this.select(
+                Object.keys(field.statuses || {}).map(status => ({ value: status, label: status })),
+                value,
+                field
+            ),
+            read: (select) => select.value || null
+        });
+
+        this.register('enum', {
+            create: (value, field) => this.select(field.options || [], value, field),
+            read: (select, field) => {
+                const option = (field.options || []).find(opt => String(opt.value) === select.value);
+                return option ? option.value : (select.value || null);
+            }
+        });
+
+        this.register('link', {
+            create: (value, field) => {
+                const types = { email: 'email', phone: 'tel', url: 'url' };
+                const target = typeof value === 'object' && value !== null ? value.href : value;
+                return this.input(types[field.linkType] || 'text', target, {
+                    pattern: field.linkType === 'phone' ? '\\+?[0-9 ()\\-]{5,20}' : null
+                });
+            },
+            read: (input, field, value) => {
+                const messages = {
+                    email: 'Enter a valid email address',
+                    phone: 'Enter a valid phone number',
+                    url: 'Enter a valid web address starting with http:// or https://'
+                };
+                const message = messages[field.linkType] || 'Enter a valid link';
+                const result = this.readInput(input, message);
+                if (result === null) return null;
+
+                if (field.linkType === 'url' && !/^https?:\/\//i.test(result)) {
+                    throw new Error(message);
+                }
+                if (!r.isSafeUrl(result)) {
+                    throw new Error(message);
+                }
+
+                return typeof value === 'object' && value !== null ? { ...value, href: result } : result;
+            }
+        });
+
+        this.register('country', {
+            create: (value, field, { countries = [] }) => {
+                const options = countries.map(country => ({ value: country.code, label: country.name }));
+                if (value?.code && !options.some(option => option.value === value.code)) {
+                    options.unshift({ value: value.code, label: value.name || value.code });
+                }
+                return this.select(options, value?.code, field);
+            },
+            read: (select, field, value) => {
+                if (!select.value) return null;
+                if (value?.code === select.value) return value;
+
+                const option = select.options[select.selectedIndex];
+                return { code: select.value, name: option.textContent };
+            }
+        });
+
+        this.register('address', {
+            create: (value, field) => {
+                const address = typeof value === 'object' && value !== null ? value : { line1: value };
+                const parts = [
+                    ['line1', 'Address line 1'],
+                    ['line2', 'Address line 2'],
+                    ['city', 'City'],
+                    ['region', 'Region'],
+                    ['postcode', 'Postcode'],
+                    ['country', 'Country']
+                ];
+
+                return r.el('fieldset', { className: 'tab-content__address-editor' }, [
+                    r.el('legend', { className: 'visually-hidden', text: field.label }),
+                    ...parts.map(([key, label]) => {
+                        const input = this.input('text', address[key]?.name ?? address[key], {
+                            'aria-label': label,
+                            placeholder: label
+                        });
+                        input.dataset.addressPart = key;
+                        return input;
+                    })
+                ]);
+            },
+            read: (fieldset, field, value) => {
+                const address = typeof value === 'object' && value !== null ? { ...value } : {};
+
+                fieldset.querySelectorAll('[data-address-part]').forEach(input => {
+                    const part = input.dataset.addressPart;
+                    const text = input.value.trim();
+
+                    // Keep structured parts (e.g. a country object) that were not changed
+                    if (text === (address[part]?.name ?? address[part] ?? '')) return;
+
+                    if (text === '') {
+                        delete address[part];
+                    } else {
+                        address[part] = text;
+                    }
+                });
+
+                return Object.values(address).some(part => !this.isEmpty(part)) ? address : null;
+            }
+        });
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Field Formatters
+ * ==========================================================================
+ * Description: Per-type formatters for fields declared in tab schemas.
+ *
+ * Built-in field types:
+ * - text     : Plain text
+ * - date     : ISO date string formatted with Intl.DateTimeFormat
+ * - currency : Number (or { amount, currency }) formatted with Intl.NumberFormat
+ * - status   : Status badge, variant chosen from field.statuses
+ * - link     : Anchor with a safe href (field.linkType 'email' / 'phone' / 'url')
+ * - enum     : Value mapped to its label from field.options
+ * - country  : Country flag and name (trusted 'country' renderer)
+ * - address  : Multi-line address from { line1, line2, city, region, postcode, country }
+ *
+ * Formatters return nodes built with SafeRenderer, so values are always
+ * escaped. Custom types can be added with register().
+ * ==========================================================================
+ */
+
+class FieldFormatters {
+    /**
+     * @param {SafeRenderer} renderer - Renderer used to build nodes
+     * @param {Object} [options] - Formatting options
+     * @param {string} [options.locale] - BCP 47 locale (defaults to 'en-GB')
+     * @param {string} [options.currency] - Default ISO currency code (defaults to 'GBP')
+     */
+    constructor(renderer, { locale = 'en-GB', currency = 'GBP' } = {}) {
+        this.renderer = renderer;
+        this.locale = locale;
+        this.currency = currency;
+        this.formatters = new Map();
+        this.emptyValue = '-';
+
+        this.registerDefaults();
+    }
+
+    /**
+     * Register a formatter for a field type
+     * @param {string} type - Field type name
+     * @param {Function} formatFn - (value, field, formatters) => Node|Array|string
+     */
+    register(type, formatFn) {
+        if (typeof formatFn !== 'function') {
+            throw new Error(`Formatter for "${type}" must be a function`);
+        }
+        this.formatters.set(type, formatFn);
+    }
+
+    /**
+     * Check whether a field type has a formatter
+     * @param {string} type - Field type name
+     * @returns {boolean} - True when the type is known
+     */
+    has(type) {
+        return this.formatters.has(type);
+    }
+
+    /**
+     * Format a value for display
+     * @param {*} value - Raw field value
+     * @param {Object} field - Field definition from the schema
+     * @returns {DocumentFragment} - Formatted nodes
+     */
+    format(value, field) {
+        const r = this.renderer;
+        const type = field.type || 'text';
+
+        if (this.isEmpty(value)) {
+            return r.fragment([this.emptyValue]);
+        }
+
+        const formatFn = this.formatters.get(type);
+        if (!formatFn) {
+            console.warn(`No formatter registered for field type "${type}", rendering as text`);
+            return r.fragment([r.toText(value)]);
+        }
+
+        try {
+            return r.fragment([formatFn(value, field, this)]);
+        } catch (error) {
+            console.error(`Error formatting ${type} field "${field.key}":`, error);
+            return r.fragment([r.toText(value)]);
+        }
+    }
+
+    /**
+     * Check whether a value should be shown as empty
+     * @param {*} value - Value to check
+     * @returns {boolean} - True for null, undefined and blank strings
+     */
+    isEmpty(value) {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+    }
+
+    /**
+     * Register the built-in field types
+     */
+    registerDefaults() {
+        const r = this.renderer;
+
+        this.register('text', (value) => r.toText(value));
+
+        this.register('date', (value, field) => {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                return r.toText(value);
+            }
+
+            // Date-only values (YYYY-MM-DD) are parsed as UTC, so format them in UTC too
+            const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+            const options = {
+                dateStyle: 'medium',
+                ...(isDateOnly ? { timeZone: 'UTC' } : {}),
+                ...field.format
+            };
+
+            return r.el('time', {
+                attrs: { datetime: isDateOnly ? value : date.toISOString() },
+                text: new Intl.DateTimeFormat(this.locale, options).format(date)
+            });
+        });
+
+        this.register('currency', (value, field) => {
+            const amount = typeof value === 'object' ? value.amount : value;
+            const currency = (typeof value === 'object' && value.currency) || field.currency || this.currency;
+
+            if (Number.isNaN(Number(amount))) {
+                return r.toText(value);
+            }
+
+            return new Intl.NumberFormat(this.locale, { style: 'currency', currency }).format(Number(amount));
+        });
+
+        this.register('status', (value, field) => {
+            const variant = field.statuses?.[value] || 'neutral';
+
+            return r.el('span', {
+                className: `tab-content__status tab-content__status--${variant}`,
+                text: value
+            });
+        });
+
+        this.register('link', (value, field) => {
+            const text = typeof value === 'object' ? value.label || value.href : value;
+            const target = typeof value === 'object' ? value.href : value;
+            const prefixes = { email: 'mailto:', phone: 'tel:' };
+            const href = (prefixes[field.linkType] || '') + target;
+
+            return r.el('a', {
+                className: 'tab-content__link',
+                attrs: {
+                    href: href,
+                    target: field.linkType === 'url' ? '_blank' : null,
+                    rel: field.linkType === 'url' ? 'noopener noreferrer' : null
+                },
+                text: text
+            });
+        });
+
+        this.register('enum', (value, field) => {
+            const option = (field.options || []).find(opt => opt.value === value);
+            return option ? option.label : r.toText(value);
+        });
+
+        this.register('country', (value) => r.renderTrusted('country', value));
+
+        this.register('address', (value) => {
+            if (typeof value !== 'object') {
+                return r.toText(value);
+            }
+
+            const cityLine = [value.city, value.region, value.postcode].filter(Boolean).join(' ');
+            const lines = [value.line1, value.line2, cityLine, value.country?.name || value.country]
+                .filter(line => !this.isEmpty(line));
+
+            return r.el('address', { className: 'tab-content__address' },
+                lines.map(line => r.el('span', { className: 'tab-content__address-line', text: line }))
+            );
+        });
+    }
+}
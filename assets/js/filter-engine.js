@@ -0,0 +1,230 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Filter Engine
+ * ==========================================================================
+ * Description: Cascading filters that narrow the visible tabs and rows.
+ *
+ * Filters are declared in the dashboard configuration and evaluated in
+ * order. Each filter only offers the values found in the rows left by the
+ * filters before it, and a filter with dependsOn stays disabled until that
+ * filter has a value. Values that stop being available are cleared.
+ *
+ * Filter definition:
+ * {
+ *   id, label, placeholder,
+ *   scope: 'tab' | 'section' | 'field',
+ *   key,          // tab: property path (e.g. 'country.code'), section: property, field: field key
+ *   labelKey,     // tab only: property path used as the option label (e.g. 'country.name')
+ *   fieldType,    // field only: match fields of this type (e.g. 'status')
+ *   options,      // Optional [{ value, label }], fixes the order and labels
+ *   dependsOn     // Optional ID of an earlier filter
+ * }
+ *
+ * Entries are the rows being filtered:
+ * { tab, section, sectionIndex, rowIndex, fields: [{ field, value }] }
+ * ==========================================================================
+ */
+
+class FilterEngine {
+    /**
+     * @param {Array<Object>} [definitions] - Filter definitions
+     */
+    constructor(definitions = []) {
+        this.definitions = [];
+        this.values = {};
+
+        this.setDefinitions(definitions);
+    }
+
+    /**
+     * Replace the filter definitions, keeping values of filters that still exist
+     * @param {Array<Object>} definitions - Filter definitions
+     */
+    setDefinitions(definitions) {
+        const scopes = ['tab', 'section', 'field'];
+
+        definitions.forEach(definition => {
+            if (!definition.id || !scopes.includes(definition.scope)) {
+                throw new Error(`Filter "${definition.id}" needs an id and a scope of ${scopes.join(', ')}`);
+            }
+            if (definition.scope !== 'field' && !definition.key) {
+                throw new Error(`Filter "${definition.id}" needs a key`);
+            }
+        });
+
+        this.definitions = definitions;
+        this.values = Object.fromEntries(
+            Object.entries(this.values).filter(([id]) => definitions.some(definition => definition.id === id))
+        );
+    }
+
+    /**
+     * Get a filter definition
+     * @param {string} filterId - Filter ID
+     * @returns {Object|undefined} - Definition
+     */
+    getDefinition(filterId) {
+        return this.definitions.find(definition => definition.id === filterId);
+    }
+
+    /**
+     * Set or clear a filter value
+     * @param {string} filterId - Filter ID
+     * @param {string|null} value - Selected value (empty or null clears the filter)
+     */
+    setValue(filterId, value) {
+        if (!this.getDefinition(filterId)) {
+            throw new Error(`Unknown filter: ${filterId}`);
+        }
+
+        if (value === null || value === undefined || value === '') {
+            delete this.values[filterId];
+        } else {
+            this.values[filterId] = String(value);
+        }
+    }
+
+    /**
+     * Clear every filter
+     */
+    clear() {
+        this.values = {};
+    }
+
+    /**
+     * Get the active filter values
+     * @returns {Object} - Values keyed by filter ID
+     */
+    getValues() {
+        return { ...this.values };
+    }
+
+    /**
+     * Check whether any filter narrows rows rather than whole tabs
+     * @returns {boolean} - True when a section or field filter is active
+     */
+    hasRowFilters() {
+        return this.definitions.some(definition => definition.scope !== 'tab' && this.values[definition.id] !== undefined);
+    }
+
+    /**
+     * Evaluate all filters against the entries
+     * Clears values that are no longer available (cascade)
+     * @param {Array<Object>} entries - Rows to filter
+     * @returns {Object} - { filters: [{ definition, value, options, enabled }], entries, cleared }
+     */
+    evaluate(entries) {
+        let remaining = entries;
+        const cleared = [];
+
+        const filters = this.definitions.map(definition => {
+            const parentReady = !definition.dependsOn || this.values[definition.dependsOn] !== undefined;
+            const options = this.collectOptions(definition, remaining);
+            let value = this.values[definition.id];
+
+            if (value !== undefined && (!parentReady || !options.some(option => option.value === value))) {
+                delete this.values[definition.id];
+                cleared.push(definition.id);
+                value = undefined;
+            }
+
+            if (value !== undefined) {
+                remaining = remaining.filter(entry => this.matches(definition, value, entry));
+            }
+
+            return {
+                definition: definition,
+                value: value,
+                options: options,
+                enabled: parentReady && options.length > 0
+            };
+        });
+
+        return { filters, entries: remaining, cleared };
+    }
+
+    /**
+     * Check whether an entry matches a filter value
+     * @param {Object} definition - Filter definition
+     * @param {string} value - Selected value
+     * @param {Object} entry - Row entry
+     * @returns {boolean} - True when the entry passes the filter
+     */
+    matches(definition, value, entry) {
+        return this.getEntryValues(definition, entry).some(option => option.value === value);
+    }
+
+    /**
+     * Collect the distinct options available in a set of entries
+     * @param {Object} definition - Filter definition
+     * @param {Array<Object>} entries - Row entries
+     * @returns {Array<Object>} - [{ value, label }]
+     */
+    collectOptions(definition, entries) {
+        const found = new Map();
+
+        entries.forEach(entry => {
+            this.getEntryValues(definition, entry).forEach(option => {
+                if (!found.has(option.value)) found.set(option.value, option);
+            });
+        });
+
+        // Configured options keep their order and labels, but only present ones are offered
+        if (Array.isArray(definition.options)) {
+            return definition.options
+                .map(option => ({ value: String(option.value), label: option.label ?? String(option.value) }))
+                .filter(option => found.has(option.value));
+        }
+
+        return [...found.values()].sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Get the values an entry has for a filter
+     * @param {Object} definition - Filter definition
+     * @param {Object} entry - Row entry
+     * @returns {Array<Object>} - [{ value, label }] (empty when the entry has no value)
+     */
+    getEntryValues(definition, entry) {
+        const toOption = (value, label = value) => (
+            this.isScalar(value) && String(value).trim() !== ''
+                ? [{ value: String(value), label: String(this.isScalar(label) ? label : value) }]
+                : []
+        );
+
+        switch (definition.scope) {
+            case 'tab': {
+                const value = this.getPath(entry.tab, definition.key) ?? this.getPath(entry.tab.data, definition.key);
+                const label = definition.labelKey ? this.getPath(entry.tab, definition.labelKey) : value;
+                return toOption(value, label ?? value);
+            }
+            case 'section':
+                return entry.section ? toOption(entry.section[definition.key]) : [];
+            case 'field':
+                return entry.fields
+                    .filter(({ field }) => !definition.fieldType || field.type === definition.fieldType)
+                    .filter(({ field }) => !definition.key || field.key === definition.key)
+                    .flatMap(({ value }) => toOption(value));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Read a dot-separated property path
+     * @param {Object} source - Object to read from
+     * @param {string} path - Property path (e.g. 'country.code')
+     * @returns {*} - Value or undefined
+     */
+    getPath(source, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+    }
+
+    /**
+     * @param {*} value - Value to check
+     * @returns {boolean} - True for strings, numbers and booleans
+     */
+    isScalar(value) {
+        return ['string', 'number', 'boolean'].includes(typeof value);
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Hash Router
+ * ==========================================================================
+ * Description: Keeps navigation state in the URL hash so it survives
+ * reloads, works with the browser Back/Forward buttons and can be shared.
+ *
+ * Routes are made of "key-value" segments in a fixed key order:
+ *   #/menu-3/tab-4   =>  { menu: '3', tab: '4' }
+ *   #/tab-2          =>  { tab: '2' }
+ *
+ * Values are URI-encoded, so they may contain hyphens or other characters.
+ * Segments with unknown keys are ignored when parsing.
+ *
+ * Routers with a namespace share the hash: the keys of a router with the
+ * namespace 'a' are written as 'a.menu' and 'a.tab', and each router only
+ * reads and replaces its own segments:
+ *   #/a.menu-3/a.tab-4/b.tab-2
+ * ==========================================================================
+ */
+
+class HashRouter {
+    /**
+     * @param {Object} options - Router options
+     * @param {Array<string>} options.keys - Route keys in the order they appear in the hash
+     * @param {string} [options.namespace] - Prefix of the keys, for several routers on one page
+     * @param {Function} options.onRoute - Called with the parsed route on load and on back/forward
+     */
+    constructor({ keys, namespace = '', onRoute }) {
+        this.keys = keys;
+        this.namespace = namespace;
+        this.onRoute = onRoute;
+        this.started = false;
+        this.currentHash = null;
+
+        this.handleHashChange = this.handleHashChange.bind(this);
+    }
+
+    /**
+     * Start listening for hash changes and apply the route in the current URL
+     */
+    start() {
+        if (this.started) return;
+
+        this.started = true;
+        window.addEventListener('hashchange', this.handleHashChange);
+        this.handleHashChange();
+    }
+
+    /**
+     * Stop listening for hash changes
+     */
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        this.started = false;
+    }
+
+    /**
+     * Apply the route in the URL unless it was set by navigate() or only another router's part changed
+     */
+    handleHashChange() {
+        const route = this.parse(window.location.hash);
+        const hash = this.format(route);
+        if (hash === this.currentHash) return;
+
+        this.currentHash = hash;
+        this.onRoute(route);
+    }
+
+    /**
+     * Update the URL for a route
+     * @param {Object} route - Route values keyed by route key
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+     */
+    navigate(route, { replace = false } = {}) {
+        if (!this.started) return;
+
+        // Remember the route first so the resulting hashchange event is not applied again
+        this.currentHash = this.format(route);
+
+        const hash = this.merge(window.location.hash, route);
+        if (hash === window.location.hash) return;
+
+        if (replace) {
+            history.replaceState(history.state, '', hash);
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    /**
+     * Remove the route from the URL without adding a history entry
+     * The segments of other routers stay
+     */
+    clear() {
+        this.currentHash = this.format({});
+
+        const hash = this.merge(window.location.hash, {});
+        if (hash === '#/') {
+            if (window.location.hash) {
+                history.replaceState(history.state, '', window.location.pathname + window.location.search);
+            }
+        } else if (hash !== window.location.hash) {
+            history.replaceState(history.state, '', hash);
+        }
+    }
+
+    /**
+     * Parse a hash into a route
+     * @param {string} hash - URL hash (e.g. '#/menu-3/tab-4')
+     * @returns {Object} - Route values keyed by route key (empty when nothing matches)
+     */
+    parse(hash) {
+        const route = {};
+
+        HashRouter.segments(hash).forEach(segment => {
+            const key = this.keyOf(segment);
+            if (key === null) return;
+
+            try {
+                route[key] = decodeURIComponent(segment.slice(this.segmentKey(key).length + 1));
+            } catch (error) {
+                console.warn(`Ignoring malformed route segment "${segment}"`);
+            }
+        });
+
+        return route;
+    }
+
+    /**
+     * Build the hash for a route
+     * @param {Object} route - Route values keyed by route key
+     * @returns {string} - URL hash (e.g. '#/menu-3/tab-4')
+     */
+    format(route) {
+        return `#/${this.formatSegments(route).join('/')}`;
+    }
+
+    /**
+     * Replace this router's segments of a hash, keeping the segments of other routers
+     * @param {string} hash - Current URL hash
+     * @param {Object} route - Route values keyed by route key
+     * @returns {string} - URL hash
+     */
+    merge(hash, route) {
+        const segments = HashRouter.segments(hash);
+        const others = segments.filter(segment => this.keyOf(segment) === null);
+
+        // Keep this router's segments where they were, or add them at the end
+        const index = segments.findIndex(segment => this.keyOf(segment) !== null);
+        others.splice(index === -1 ? others.length : index, 0, ...this.formatSegments(route));
+
+        return `#/${others.join('/')}`;
+    }
+
+    /**
+     * @param {Object} route - Route values keyed by route key
+     * @returns {Array<string>} - Hash segments in key order (e.g. ['menu-3', 'tab-4'])
+     */
+    formatSegments(route) {
+        return this.keys
+            .filter(key => route[key] !== undefined && route[key] !== null && route[key] !== '')
+            .map(key => `${this.segmentKey(key)}-${encodeURIComponent(route[key])}`);
+    }
+
+    /**
+     * @param {string} key - Route key
+     * @returns {string} - Key as written in the hash ('tab', or 'a.tab' with the namespace 'a')
+     */
+    segmentKey(key) {
+        return this.namespace ? `${this.namespace}.${key}` : key;
+    }
+
+    /**
+     * @param {string} segment - Hash segment
+     * @returns {string|null} - Route key of a segment of this router, or null
+     */
+    keyOf(segment) {
+        return this.keys.find(key => segment.startsWith(`${this.segmentKey(key)}-`)) ?? null;
+    }
+
+    /**
+     * @param {string} hash - URL hash
+     * @returns {Array<string>} - Non-empty segments
+     */
+    static segments(hash) {
+        return (hash || '').replace(/^#\/?/, '').split('/').filter(Boolean);
+    }
+}
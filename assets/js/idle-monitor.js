@@ -0,0 +1,155 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Idle Monitor
+ * ==========================================================================
+ * Description: Inactivity timer behind the automatic sign-out.
+ *
+ * The owner reports keyboard and pointer activity with recordActivity().
+ * After `timeout` ms without activity the warning starts and onWarn() is
+ * called; onTick() then counts down every second, and onIdle() is called
+ * once `warning` ms have passed. Activity does not end a warning that is
+ * shown: the user has to confirm with stayActive(), so a bumped mouse on
+ * a shared machine does not keep the session open.
+ * ==========================================================================
+ */
+
+class IdleMonitor {
+    /**
+     * @param {Object} options - Monitor options
+     * @param {number} [options.timeout] - Inactivity in ms before the warning
+     * @param {number} [options.warning] - Length of the warning countdown in ms
+     * @param {Function} [options.onWarn] - Called with (remainingMs) when the warning starts
+     * @param {Function} [options.onTick] - Called with (remainingMs) every second of the warning
+     * @param {Function} [options.onIdle] - Called with (lastActivity) once the countdown has run out
+     * @param {Function} [options.now] - Clock, overridable for tests
+     */
+    constructor({
+        timeout = 15 * 60000,
+        warning = 60000,
+        onWarn = () => {},
+        onTick = () => {},
+        onIdle = () => {},
+        now = () => Date.now()
+    } = {}) {
+        this.timeout = timeout;
+        this.warning = warning;
+        this.onWarn = onWarn;
+        this.onTick = onTick;
+        this.onIdle = onIdle;
+        this.now = now;
+
+        this.lastActivity = now();
+        this.timeoutId = null;
+        this.intervalId = null;
+        this.warningEndsAt = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start watching, counting from now
+     */
+    start() {
+        this.stop();
+        this.isRunning = true;
+        this.lastActivity = this.now();
+        this.schedule();
+    }
+
+    /**
+     * Stop watching and cancel a running countdown
+     */
+    stop() {
+        clearTimeout(this.timeoutId);
+        clearInterval(this.intervalId);
+        this.timeoutId = null;
+        this.intervalId = null;
+        this.warningEndsAt = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Change the idle period and the warning length (restarts the count)
+     * @param {Object} options - { timeout, warning } in ms
+     */
+    configure({ timeout = this.timeout, warning = this.warning } = {}) {
+        this.timeout = timeout;
+        this.warning = warning;
+
+        if (this.isRunning && !this.isWarning()) {
+            this.schedule();
+        }
+    }
+
+    /**
+     * Report keyboard or pointer activity
+     * Ignored while the warning is shown (see stayActive())
+     */
+    recordActivity() {
+        if (!this.isRunning || this.isWarning()) return;
+
+        const now = this.now();
+
+        // Pointer moves fire constantly; re-arming once a second is enough
+        if (now - this.lastActivity < 1000) return;
+
+        this.lastActivity = now;
+        this.schedule();
+    }
+
+    /**
+     * End the warning and count from now again
+     */
+    stayActive() {
+        if (!this.isRunning) return;
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this.warningEndsAt = null;
+        this.lastActivity = this.now();
+        this.schedule();
+    }
+
+    /**
+     * @returns {boolean} - True while the countdown is running
+     */
+    isWarning() {
+        return this.warningEndsAt !== null;
+    }
+
+    /**
+     * @returns {number} - Milliseconds left in the countdown (0 when there is none)
+     */
+    getRemaining() {
+        return this.isWarning() ? Math.max(0, this.warningEndsAt - this.now()) : 0;
+    }
+
+    /**
+     * Arm the timeout for the warning
+     */
+    schedule() {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = setTimeout(() => this.startWarning(), this.timeout);
+    }
+
+    /**
+     * Start the countdown to onIdle()
+     */
+    startWarning() {
+        this.timeoutId = null;
+        this.warningEndsAt = this.now() + this.warning;
+        this.onWarn(this.getRemaining());
+
+        this.intervalId = setInterval(() => {
+            const remaining = this.getRemaining();
+
+            if (remaining > 0) {
+                this.onTick(remaining);
+                return;
+            }
+
+            const lastActivity = this.lastActivity;
+            this.stop();
+            this.onIdle(lastActivity);
+        }, 1000);
+    }
+}
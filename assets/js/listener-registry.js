@@ -0,0 +1,76 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Listener Registry
+ * ==========================================================================
+ * Description: Named groups of event listeners backed by AbortController.
+ *
+ * Each bind*() method of the dashboard starts a group and passes its signal
+ * to addEventListener:
+ *
+ *   const signal = this.listeners.bind('emailModal');
+ *   button.addEventListener('click', handler, { signal });
+ *
+ * Starting a group again aborts the listeners bound under that name before,
+ * so binding twice never duplicates handlers. destroy() aborts every group;
+ * groups started afterwards get an aborted signal and bind nothing.
+ * ==========================================================================
+ */
+
+class ListenerRegistry {
+    constructor() {
+        this.controllers = new Map();
+        this.isDestroyed = false;
+    }
+
+    /**
+     * Start a listener group, removing the listeners bound under the same name
+     * @param {string} name - Group name
+     * @returns {AbortSignal} - Signal to pass to addEventListener
+     */
+    bind(name) {
+        this.release(name);
+
+        const controller = new AbortController();
+        if (this.isDestroyed) {
+            controller.abort();
+        } else {
+            this.controllers.set(name, controller);
+        }
+
+        return controller.signal;
+    }
+
+    /**
+     * Signal of a running group, for listeners added to it later
+     * @param {string} name - Group name
+     * @returns {AbortSignal} - Signal of the group (started when missing)
+     */
+    signal(name) {
+        return this.controllers.get(name)?.signal || this.bind(name);
+    }
+
+    /**
+     * Remove every listener of a group
+     * @param {string} name - Group name
+     */
+    release(name) {
+        this.controllers.get(name)?.abort();
+        this.controllers.delete(name);
+    }
+
+    /**
+     * @param {string} name - Group name
+     * @returns {boolean} - True when the group has been started and not released
+     */
+    has(name) {
+        return this.controllers.has(name);
+    }
+
+    /**
+     * Remove every listener of every group
+     */
+    destroy() {
+        [...this.controllers.keys()].forEach(name => this.release(name));
+        this.isDestroyed = true;
+    }
+}
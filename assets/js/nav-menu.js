@@ -0,0 +1,481 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Navigation Menu
+ * ==========================================================================
+ * Description: Renders the dashboard navigation from configuration as a
+ * WAI-ARIA menubar with nested, collapsible sub-menus.
+ *
+ * Menu item shape:
+ * { id, label, icon, badge, badgeLabel, children }
+ *   id         : Unique id, used for data-menu and the element id (menu-<id>)
+ *   icon       : Optional image URL shown before the label
+ *   badge      : Optional count shown after the label (hidden when 0 or empty)
+ *   badgeLabel : Screen reader text for the count (default 'items')
+ *   children   : Optional sub-menu items (same shape, may be nested again)
+ *
+ * Keyboard (WAI-ARIA menu pattern):
+ *   Menubar  : Left/Right move, Home/End jump, Down/Enter/Space open a sub-menu
+ *   Sub-menu : Up/Down move, Right opens a nested sub-menu, Left/Escape close
+ *   Letters move to the next item starting with that letter
+ * Items without children are selected with click, Enter or Space.
+ * ==========================================================================
+ */
+
+class NavMenu {
+    /**
+     * @param {Object} options - Menu options
+     * @param {SafeRenderer} options.renderer - Renderer used to build the menu
+     * @param {HTMLElement} options.container - The menubar element (.dashboard-nav__menu)
+     * @param {string} [options.idPrefix] - Prefix of the item IDs, for several menus on one page
+     * @param {Function} options.onSelect - Called with the menu item element when an item is selected
+     */
+    constructor({ renderer, container, idPrefix = '', onSelect }) {
+        this.renderer = renderer;
+        this.container = container;
+        this.idPrefix = idPrefix;
+        this.onSelect = onSelect;
+
+        this.container.setAttribute('role', 'menubar');
+    }
+
+    /**
+     * Render the menu, keeping the active item when it still exists
+     * @param {Array<Object>} items - Menu item configuration
+     */
+    render(items) {
+        const activeId = this.getActive()?.dataset.menu;
+
+        this.container.replaceChildren(...items.map(item => this.createItem(item, 0)));
+
+        const active = (activeId !== undefined && this.find(activeId)) || this.getFirstLeaf();
+        if (active) {
+            this.setActive(active);
+        }
+
+        this.setTabStop(this.getTopItem(active) || this.getMenuItems(this.container)[0]);
+    }
+
+    /**
+     * Build a menu item, with its sub-menu when it has children
+     * @param {Object} item - Menu item configuration
+     * @param {number} depth - Nesting level (0 for the menubar)
+     * @returns {HTMLElement} - Wrapper element (role="none")
+     */
+    createItem(item, depth) {
+        const r = this.renderer;
+        const children = Array.isArray(item.children) ? item.children : [];
+        const submenuId = `${this.idPrefix}menu-${item.id}-submenu`;
+        const hasBadge = item.badge !== undefined && item.badge !== null && item.badge !== '' && item.badge !== 0;
+
+        const button = r.el('button', {
+            className: `dashboard-nav__item${depth > 0 ? ' dashboard-nav__item--sub' : ''}`,
+            attrs: {
+                type: 'button',
+                role: 'menuitem',
+                id: `${this.idPrefix}menu-${item.id}`,
+                tabindex: '-1',
+                'aria-haspopup': children.length > 0 ? 'menu' : null,
+                'aria-expanded': children.length > 0 ? 'false' : null,
+                'aria-controls': children.length > 0 ? submenuId : null
+            },
+            dataset: { menu: item.id }
+        }, [
+            item.icon ? r.el('img', { className: 'dashboard-nav__icon', attrs: { src: item.icon, alt: '' } }) : null,
+            r.el('span', { className: 'dashboard-nav__label', text: item.label }),
+            this.createBadge(item, hasBadge),
+            children.length > 0 ? r.el('span', { className: 'dashboard-nav__caret', attrs: { 'aria-hidden': 'true' } }) : null
+        ]);
+
+        const wrapper = r.el('div', {
+            className: 'dashboard-nav__group',
+            attrs: { role: 'none' }
+        }, button);
+
+        if (children.length > 0) {
+            wrapper.appendChild(r.el('div', {
+                className: `dashboard-nav__submenu dashboard-nav__submenu--level-${depth + 1}`,
+                attrs: { role: 'menu', id: submenuId, 'aria-labelledby': button.id, hidden: true }
+            }, children.map(child => this.createItem(child, depth + 1))));
+        }
+
+        return wrapper;
+    }
+
+    /**
+     * Build the count badge of an item
+     * @param {Object} item - Menu item configuration
+     * @param {boolean} visible - Whether the badge has a count to show
+     * @returns {HTMLElement} - Badge element (hidden when there is no count)
+     */
+    createBadge(item, visible) {
+        const r = this.renderer;
+        const badge = r.el('span', { className: 'dashboard-nav__badge', attrs: { hidden: !visible } });
+
+        if (visible) {
+            this.fillBadge(badge, item.badge, item.badgeLabel);
+        }
+
+        return badge;
+    }
+
+    /**
+     * Write a count into a badge (99+ for large counts)
+     * @param {HTMLElement} badge - Badge element
+     * @param {number|string} count - Count to show
+     * @param {string} [badgeLabel] - Screen reader text for the count
+     */
+    fillBadge(badge, count, badgeLabel = 'items') {
+        const r = this.renderer;
+        const text = typeof count === 'number' && count > 99 ? '99+' : String(count);
+
+        badge.replaceChildren(
+            r.el('span', { attrs: { 'aria-hidden': 'true' }, text: text }),
+            r.el('span', { className: 'visually-hidden', text: `, ${count} ${badgeLabel}` })
+        );
+    }
+
+    /**
+     * Update the count badge of an item
+     * @param {string} menuId - Menu item id
+     * @param {number|string|null} count - New count (0 or null hides the badge)
+     * @param {string} [badgeLabel] - Screen reader text for the count
+     * @returns {boolean} - False when the item does not exist
+     */
+    setBadge(menuId, count, badgeLabel) {
+        const badge = this.find(menuId)?.querySelector('.dashboard-nav__badge');
+        if (!badge) return false;
+
+        const visible = count !== undefined && count !== null && count !== '' && count !== 0;
+        badge.hidden = !visible;
+
+        if (visible) {
+            this.fillBadge(badge, count, badgeLabel);
+        } else {
+            badge.replaceChildren();
+        }
+
+        return true;
+    }
+
+    /**
+     * Mark an item as the current page; its parent items are marked too
+     * @param {HTMLElement} item - Menu item element
+     */
+    setActive(item) {
+        this.getAllItems().forEach(element => {
+            element.classList.remove('dashboard-nav__item--active', 'dashboard-nav__item--active-parent');
+            element.removeAttribute('aria-current');
+        });
+
+        item.classList.add('dashboard-nav__item--active');
+        item.setAttribute('aria-current', 'page');
+
+        let parent = this.getParentItem(item);
+        while (parent) {
+            parent.classList.add('dashboard-nav__item--active-parent');
+            parent = this.getParentItem(parent);
+        }
+
+        this.setTabStop(this.getTopItem(item));
+    }
+
+    /**
+     * @returns {HTMLElement|null} - The active menu item
+     */
+    getActive() {
+        return this.container.querySelector('.dashboard-nav__item--active');
+    }
+
+    /**
+     * Find a menu item by id
+     * @param {string|number} menuId - Menu item id
+     * @returns {HTMLElement|null} - Menu item element
+     */
+    find(menuId) {
+        return this.getAllItems().find(item => item.dataset.menu === String(menuId)) || null;
+    }
+
+    /**
+     * @param {HTMLElement} item - Menu item element
+     * @returns {string} - Item label without icon, badge or caret
+     */
+    getLabel(item) {
+        return (item.querySelector('.dashboard-nav__label') || item).textContent.trim();
+    }
+
+    /**
+     * @returns {Array<HTMLElement>} - Every menu item, including those in collapsed sub-menus
+     */
+    getAllItems() {
+        return Array.from(this.container.querySelectorAll('[role="menuitem"]'));
+    }
+
+    /**
+     * @param {HTMLElement} menu - Menubar or sub-menu element
+     * @returns {Array<HTMLElement>} - Items directly inside that menu
+     */
+    getMenuItems(menu) {
+        return Array.from(menu.children)
+            .map(wrapper => wrapper.firstElementChild)
+            .filter(item => item?.getAttribute('role') === 'menuitem');
+    }
+
+    /**
+     * @returns {HTMLElement|null} - First item that can be selected (has no children)
+     */
+    getFirstLeaf() {
+        return this.getAllItems().find(item => !this.getSubmenu(item)) || null;
+    }
+
+    /**
+     * @param {HTMLElement} item - Menu item element
+     * @returns {HTMLElement|null} - The item's sub-menu
+     */
+    getSubmenu(item) {
+        return item.nextElementSibling?.getAttribute('role') === 'menu' ? item.nextElementSibling : null;
+    }
+
+    /**
+     * @param {HTMLElement} item - Menu item element
+     * @returns {HTMLElement|null} - Item whose sub-menu contains this item
+     */
+    getParentItem(item) {
+        const menu = item.parentElement.parentElement;
+        return menu === this.container ? null : menu.previousElementSibling;
+    }
+
+    /**
+     * @param {HTMLElement|null} item - Menu item element
+     * @returns {HTMLElement|null} - The menubar item containing this item
+     */
+    getTopItem(item) {
+        let top = item;
+        while (top && this.getParentItem(top)) {
+            top = this.getParentItem(top);
+        }
+        return top;
+    }
+
+    /**
+     * Make a menubar item the single Tab stop of the menubar
+     * @param {HTMLElement|null} item - Menubar item
+     */
+    setTabStop(item) {
+        if (!item) return;
+
+        this.getMenuItems(this.container).forEach(element => {
+            element.setAttribute('tabindex', element === item ? '0' : '-1');
+        });
+    }
+
+    /**
+     * Open an item's sub-menu
+     * @param {HTMLElement} item - Menu item with children
+     * @param {Object} [options] - Expand options
+     * @param {string|null} [options.focus] - 'first' or 'last' child to focus, or null
+     */
+    expand(item, { focus = null } = {}) {
+        const submenu = this.getSubmenu(item);
+        if (!submenu) return;
+
+        // Only one branch is open at a time
+        this.getSiblingItems(item).forEach(sibling => {
+            if (sibling !== item) this.collapse(sibling);
+        });
+
+        submenu.hidden = false;
+        item.setAttribute('aria-expanded', 'true');
+
+        const children = this.getMenuItems(submenu);
+        if (focus === 'first') children[0]?.focus();
+        if (focus === 'last') children[children.length - 1]?.focus();
+    }
+
+    /**
+     * Close an item's sub-menu and every sub-menu inside it
+     * @param {HTMLElement} item - Menu item with children
+     * @param {Object} [options] - Collapse options
+     * @param {boolean} [options.focusItem] - Move focus back to the item
+     */
+    collapse(item, { focusItem = false } = {}) {
+        const submenu = this.getSubmenu(item);
+        if (!submenu) return;
+
+        this.getMenuItems(submenu).forEach(child => this.collapse(child));
+        submenu.hidden = true;
+        item.setAttribute('aria-expanded', 'false');
+
+        if (focusItem) {
+            item.focus();
+        }
+    }
+
+    /**
+     * Close every open sub-menu
+     */
+    collapseAll() {
+        this.getMenuItems(this.container).forEach(item => this.collapse(item));
+    }
+
+    /**
+     * @returns {boolean} - True when a sub-menu is open
+     */
+    isExpanded() {
+        return this.container.querySelector('[role="menuitem"][aria-expanded="true"]') !== null;
+    }
+
+    /**
+     * @param {HTMLElement} item - Menu item element
+     * @returns {Array<HTMLElement>} - Items in the same menu as this item
+     */
+    getSiblingItems(item) {
+        return this.getMenuItems(item.parentElement.parentElement);
+    }
+
+    /**
+     * Select an item, or toggle its sub-menu when it has children
+     * @param {HTMLElement} item - Menu item element
+     * @param {Object} [options] - Selection options
+     * @param {boolean} [options.fromKeyboard] - Focus the first child when opening a sub-menu
+     */
+    activate(item, { fromKeyboard = false } = {}) {
+        if (this.getSubmenu(item)) {
+            if (item.getAttribute('aria-expanded') === 'true' && !fromKeyboard) {
+                this.collapse(item);
+            } else {
+                this.expand(item, { focus: fromKeyboard ? 'first' : null });
+            }
+            return;
+        }
+
+        this.collapseAll();
+        this.onSelect(item);
+    }
+
+    /**
+     * Handle clicks inside the menubar (delegated)
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const item = e.target.closest('[role="menuitem"]');
+        if (!item || !this.container.contains(item)) return;
+
+        e.preventDefault();
+        this.activate(item);
+    }
+
+    /**
+     * Handle keyboard navigation inside the menubar (delegated)
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        const item = e.target.closest('[role="menuitem"]');
+        if (!item || !this.container.contains(item)) return;
+
+        const parent = this.getParentItem(item);
+        const siblings = this.getSiblingItems(item);
+        const index = siblings.indexOf(item);
+        const topItems = this.getMenuItems(this.container);
+        const topIndex = topItems.indexOf(this.getTopItem(item));
+
+        const focusItem = (target) => {
+            if (!target) return;
+            if (!this.getParentItem(target)) {
+                this.setTabStop(target);
+            }
+            target.focus();
+        };
+        const moveInMenubar = (offset) => {
+            this.collapseAll();
+            focusItem(topItems[(topIndex + offset + topItems.length) % topItems.length]);
+        };
+
+        let handled = true;
+
+        switch (e.key) {
+            case 'Enter':
+            case ' ':
+                this.activate(item, { fromKeyboard: true });
+                break;
+
+            case 'Escape':
+                if (parent) {
+                    this.collapse(parent, { focusItem: true });
+                } else {
+                    this.collapseAll();
+                }
+                break;
+
+            case 'Home':
+            case 'End':
+                focusItem(e.key === 'Home' ? siblings[0] : siblings[siblings.length - 1]);
+                break;
+
+            case 'ArrowRight':
+                if (!parent) {
+                    moveInMenubar(1);
+                } else if (this.getSubmenu(item)) {
+                    this.expand(item, { focus: 'first' });
+                } else {
+                    moveInMenubar(1);
+                }
+                break;
+
+            case 'ArrowLeft':
+                if (parent && this.getParentItem(parent)) {
+                    this.collapse(parent, { focusItem: true });
+                } else {
+                    moveInMenubar(-1);
+                }
+                break;
+
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (!parent) {
+                    this.expand(item, { focus: e.key === 'ArrowDown' ? 'first' : 'last' });
+                } else {
+                    const offset = e.key === 'ArrowDown' ? 1 : -1;
+                    focusItem(siblings[(index + offset + siblings.length) % siblings.length]);
+                }
+                break;
+
+            case 'Tab':
+                this.collapseAll();
+                handled = false;
+                break;
+
+            default:
+                handled = this.focusByCharacter(e, siblings, index);
+        }
+
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }
+
+    /**
+     * Move focus to the next item starting with the typed character
+     * Keys that match no item are left to the page (e.g. ? for the shortcut help)
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {Array<HTMLElement>} siblings - Items of the current menu
+     * @param {number} index - Index of the focused item
+     * @returns {boolean} - True when the key moved the focus
+     */
+    focusByCharacter(e, siblings, index) {
+        if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey || !/\S/.test(e.key) || e.key === '?') return false;
+
+        const character = e.key.toLowerCase();
+        const ordered = [...siblings.slice(index + 1), ...siblings.slice(0, index + 1)];
+        const match = ordered.find(item => this.getLabel(item).toLowerCase().startsWith(character));
+
+        if (!match) return false;
+
+        if (!this.getParentItem(match)) {
+            this.setTabStop(match);
+        }
+        match.focus();
+
+        return true;
+    }
+}
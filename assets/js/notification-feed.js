@@ -0,0 +1,428 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Notification Feed
+ * ==========================================================================
+ * Description: Notification model behind the notification modal, fed by a
+ * pluggable source.
+ *
+ * Sources:
+ * - PollingNotificationSource     : Fetches a JSON endpoint on an interval
+ * - EventSourceNotificationSource : Subscribes to Server-Sent Events
+ *
+ * Sources pass messages to the feed as { type, notifications } where type
+ * is 'snapshot' (everything the server currently has) or 'notification'
+ * (newly arrived). The local mock server in tools/ supports both.
+ *
+ * Notification shape:
+ * { id, title, message, severity, createdAt }   // createdAt is an ISO string
+ *
+ * Read state is kept per notification ID in storage (localStorage by
+ * default), so it survives page reloads.
+ * ==========================================================================
+ */
+
+/**
+ * Base class for notification sources
+ * Subclasses must implement start() and stop()
+ */
+class NotificationSource {
+    /**
+     * Start delivering messages
+     * @param {Function} onMessage - Called with { type, notifications }
+     */
+    start(onMessage) {
+        throw new Error(`${this.constructor.name} must implement start()`);
+    }
+
+    /**
+     * Stop delivering messages
+     */
+    stop() {
+        throw new Error(`${this.constructor.name} must implement stop()`);
+    }
+}
+
+/**
+ * Source polling a JSON endpoint returning { notifications: [...] }
+ * After the first request only notifications newer than the last one are requested
+ */
+class PollingNotificationSource extends NotificationSource {
+    /**
+     * @param {Object} options - Source options
+     * @param {string} options.url - Notifications endpoint
+     * @param {number} [options.interval] - Poll interval in ms
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {Function} [options.fetch] - fetch() implementation (e.g. AuthSession#fetch to send a token)
+     */
+    constructor({ url, interval = 30000, headers = {}, fetch = null }) {
+        super();
+        this.url = url;
+        this.interval = interval;
+        this.headers = headers;
+        this.fetch = fetch || ((...args) => window.fetch(...args));
+        this.intervalId = null;
+        this.since = null;
+    }
+
+    start(onMessage) {
+        this.stop();
+        this.onMessage = onMessage;
+        this.since = null;
+
+        this.poll();
+        this.intervalId = setInterval(() => this.poll(), this.interval);
+    }
+
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    /**
+     * Fetch notifications once
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        const isSnapshot = this.since === null;
+        const url = new URL(this.url, document.baseURI);
+        if (!isSnapshot) url.searchParams.set('since', this.since);
+
+        try {
+            const response = await this.fetch(url, {
+                headers: { 'Accept': 'application/json', ...this.headers }
+            });
+
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+
+            const { notifications = [] } = await response.json();
+
+            notifications.forEach(notification => {
+                if (!this.since || notification.createdAt > this.since) {
+                    this.since = notification.createdAt;
+                }
+            });
+            if (isSnapshot && !this.since) this.since = new Date().toISOString();
+
+            if (isSnapshot || notifications.length > 0) {
+                this.onMessage({ type: isSnapshot ? 'snapshot' : 'notification', notifications });
+            }
+        } catch (error) {
+            // Keep polling; the next request may succeed
+            console.warn('Unable to poll notifications:', error);
+        }
+    }
+}
+
+/**
+ * Source subscribing to a Server-Sent Events stream
+ * Expects "snapshot" events with an array and "notification" events with a single item
+ */
+class EventSourceNotificationSource extends NotificationSource {
+    /**
+     * @param {Object} options - Source options
+     * @param {string} options.url - Event stream endpoint
+     */
+    constructor({ url }) {
+        super();
+        this.url = url;
+        this.eventSource = null;
+    }
+
+    start(onMessage) {
+        this.stop();
+
+        // EventSource reconnects by itself; the server re-sends a snapshot on every connect
+        this.eventSource = new EventSource(this.url);
+
+        this.eventSource.addEventListener('snapshot', (e) => {
+            const data = this.parse(e.data);
+            if (data) onMessage({ type: 'snapshot', notifications: data });
+        });
+
+        this.eventSource.addEventListener('notification', (e) => {
+            const data = this.parse(e.data);
+            if (data) onMessage({ type: 'notification', notifications: [data] });
+        });
+
+        this.eventSource.addEventListener('error', () => {
+            console.warn('Notification stream interrupted, reconnecting...');
+        });
+    }
+
+    stop() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    /**
+     * Parse an event payload
+     * @param {string} data - JSON payload
+     * @returns {*} - Parsed payload or null when invalid
+     */
+    parse(data) {
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed notification event:', error);
+            return null;
+        }
+    }
+}
+
+/**
+ * Create a notification source from a simple description
+ * @param {Object} [options] - Source options
+ * @param {string} [options.type] - 'poll', 'sse' or 'none'
+ * @param {string} [options.url] - Endpoint URL
+ * @param {number} [options.interval] - Poll interval in ms (poll only)
+ * @param {Function} [options.fetch] - fetch() implementation (poll only)
+ * @returns {NotificationSource|null} - Configured source, or null for 'none'
+ */
+function createNotificationSource({ type = 'none', url, interval, fetch } = {}) {
+    switch (type) {
+        case 'poll':
+            return new PollingNotificationSource({ url: url || '/api/notifications', interval, fetch });
+        case 'sse':
+            return new EventSourceNotificationSource({ url: url || '/api/notifications/stream' });
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown notification source type: ${type}`);
+    }
+}
+
+/**
+ * Notification list with read state, grouping and a live source
+ */
+class NotificationFeed {
+    /**
+     * @param {Object} [options] - Feed options
+     * @param {NotificationSource|null} [options.source] - Where notifications come from
+     * @param {Storage} [options.storage] - Storage for read state (defaults to localStorage)
+     * @param {string} [options.storageKey] - Key the read IDs are stored under
+     * @param {number} [options.maxItems] - Notifications kept in memory
+     * @param {Function} [options.onChange] - Called with (action, detail) after every change
+     */
+    constructor({
+        source = null,
+        storage = window.localStorage,
+        storageKey = 'webmotion.notifications.read',
+        maxItems = 100,
+        onChange = () => {}
+    } = {}) {
+        this.source = source;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.maxItems = maxItems;
+        this.onChange = onChange;
+
+        this.notifications = [];
+        this.readIds = new Set(this.loadReadIds());
+    }
+
+    /**
+     * Start listening to the source
+     */
+    start() {
+        this.source?.start((message) => this.handleMessage(message));
+    }
+
+    /**
+     * Stop listening to the source
+     */
+    stop() {
+        this.source?.stop();
+    }
+
+    /**
+     * Replace the source (restarts it)
+     * @param {NotificationSource|null} source - New source
+     */
+    setSource(source) {
+        this.stop();
+        this.source = source;
+        this.start();
+    }
+
+    /**
+     * Apply a message from the source
+     * @param {Object} message - { type: 'snapshot' | 'notification', notifications }
+     */
+    handleMessage({ type, notifications }) {
+        const added = this.add(notifications);
+
+        if (type === 'snapshot') {
+            this.onChange('loaded', { notifications: this.getAll() });
+        } else if (added.length > 0) {
+            this.onChange('received', { notifications: added });
+        }
+    }
+
+    /**
+     * Add notifications, ignoring ones that are already known or invalid
+     * @param {Array<Object>} notifications - Notifications to add
+     * @returns {Array<Object>} - Copies of the newly added notifications
+     */
+    add(notifications) {
+        const known = new Set(this.notifications.map(item => item.id));
+
+        const added = (Array.isArray(notifications) ? notifications : [])
+            .filter(item => item && item.id !== undefined && !known.has(item.id))
+            .filter(item => !Number.isNaN(new Date(item.createdAt).getTime()))
+            .map(item => ({
+                id: item.id,
+                title: String(item.title || ''),
+                message: String(item.message || ''),
+                severity: item.severity || 'info',
+                createdAt: new Date(item.createdAt).toISOString()
+            }));
+
+        this.notifications = [...this.notifications, ...added]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, this.maxItems);
+
+        return added.map(item => this.describe(item));
+    }
+
+    /**
+     * Get all notifications, newest first
+     * @returns {Array<Object>} - Copies including their read flag
+     */
+    getAll() {
+        return this.notifications.map(item => this.describe(item));
+    }
+
+    /**
+     * Count unread notifications
+     * @returns {number} - Unread count
+     */
+    getUnreadCount() {
+        return this.notifications.filter(item => !this.readIds.has(item.id)).length;
+    }
+
+    /**
+     * Mark a notification as read
+     * @param {string|number} notificationId - Notification ID
+     * @returns {boolean} - True when the read state changed
+     */
+    markAsRead(notificationId) {
+        const notification = this.notifications.find(item => String(item.id) === String(notificationId));
+        if (!notification || this.readIds.has(notification.id)) return false;
+
+        this.readIds.add(notification.id);
+        this.saveReadIds();
+        this.onChange('read', { notification: this.describe(notification) });
+
+        return true;
+    }
+
+    /**
+     * Mark every notification as read
+     * @returns {number} - Number of notifications that were unread
+     */
+    markAllAsRead() {
+        const unread = this.notifications.filter(item => !this.readIds.has(item.id));
+        if (unread.length === 0) return 0;
+
+        unread.forEach(item => this.readIds.add(item.id));
+        this.saveReadIds();
+        this.onChange('allRead', { count: unread.length });
+
+        return unread.length;
+    }
+
+    /**
+     * Forget every notification and the stored read state (e.g. on sign-out)
+     * Sources keep running; stop() them first
+     */
+    clear() {
+        this.notifications = [];
+        this.readIds = new Set();
+
+        try {
+            this.storage?.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Unable to clear notification read state:', error);
+        }
+    }
+
+    /**
+     * Group notifications by local calendar day, newest first
+     * @param {string} [locale] - Locale for day labels
+     * @param {Date} [now] - Reference date for "Today" / "Yesterday"
+     * @returns {Array<Object>} - [{ key, label, notifications }]
+     */
+    groupByDay(locale = 'en-GB', now = new Date()) {
+        const dayKey = (date) => [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+
+        const yesterday = new Date(now);
+        yesterday.setDate(now.getDate() - 1);
+
+        const labels = {
+            [dayKey(now)]: 'Today',
+            [dayKey(yesterday)]: 'Yesterday'
+        };
+        const formatter = new Intl.DateTimeFormat(locale, { weekday: 'long', day: 'numeric', month: 'long' });
+
+        const groups = new Map();
+
+        this.getAll().forEach(notification => {
+            const date = new Date(notification.createdAt);
+            const key = dayKey(date);
+
+            if (!groups.has(key)) {
+                groups.set(key, { key, label: labels[key] || formatter.format(date), notifications: [] });
+            }
+            groups.get(key).notifications.push(notification);
+        });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Read the stored read IDs
+     * @returns {Array} - Read notification IDs
+     */
+    loadReadIds() {
+        try {
+            const stored = JSON.parse(this.storage?.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Unable to read notification state from storage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the read IDs of the notifications still in the feed
+     */
+    saveReadIds() {
+        const current = new Set(this.notifications.map(item => item.id));
+        this.readIds = new Set([...this.readIds].filter(id => current.has(id)));
+
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify([...this.readIds]));
+        } catch (error) {
+            console.warn('Unable to persist notification state:', error);
+        }
+    }
+
+    /**
+     * Create a copy of a notification including its read flag
+     * @param {Object} notification - Notification to copy
+     * @returns {Object} - Notification copy
+     */
+    describe(notification) {
+        return { ...notification, read: this.readIds.has(notification.id) };
+    }
+}
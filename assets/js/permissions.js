@@ -0,0 +1,99 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Permissions
+ * ==========================================================================
+ * Description: Role-based permission model. Roles map to capabilities, a
+ * user has one or more roles.
+ *
+ * Role definitions (from the "permissions" section of the dashboard data):
+ * { roles: { admin: ['*'], caseworker: ['records.*', 'contact.email'] } }
+ *   '*'        : Every capability
+ *   'records.*': Every capability starting with 'records.'
+ *
+ * Capabilities used by the dashboard:
+ *   records.create, records.edit, records.delete, records.purge,
+ *   timesheets.view, contact.chat, contact.email, contact.whatsapp,
+ *   contact.phone
+ * Tabs and menu items can list the capabilities they need in "requires".
+ *
+ * Without role definitions every capability is granted, so dashboards
+ * that do not configure permissions keep working unchanged.
+ * ==========================================================================
+ */
+
+class PermissionPolicy {
+    /**
+     * @param {Object} [options] - Policy options
+     * @param {Object} [options.roles] - Capabilities per role name
+     * @param {Array<string>} [options.userRoles] - Roles of the current user
+     */
+    constructor({ roles = null, userRoles = [] } = {}) {
+        this.configure({ roles, userRoles });
+    }
+
+    /**
+     * Replace the role definitions and the user's roles
+     * @param {Object} options - { roles, userRoles }
+     */
+    configure({ roles = null, userRoles = [] } = {}) {
+        this.roles = roles && typeof roles === 'object' ? roles : null;
+        this.setUserRoles(userRoles);
+    }
+
+    /**
+     * Change the roles of the current user
+     * @param {Array<string>|string} userRoles - Role names
+     */
+    setUserRoles(userRoles) {
+        this.userRoles = (Array.isArray(userRoles) ? userRoles : [userRoles]).filter(Boolean).map(String);
+
+        if (this.roles) {
+            this.userRoles
+                .filter(role => !this.roles[role])
+                .forEach(role => console.warn(`Unknown role "${role}"`));
+        }
+
+        this.capabilities = this.resolveCapabilities();
+    }
+
+    /**
+     * Collect the capabilities granted by the user's roles
+     * @returns {Array<string>} - Capability patterns (may contain wildcards)
+     */
+    resolveCapabilities() {
+        if (!this.roles) return ['*'];
+
+        return [...new Set(this.userRoles.flatMap(role => this.roles[role] || []))];
+    }
+
+    /**
+     * @returns {boolean} - True when roles are defined (otherwise everything is allowed)
+     */
+    isEnforced() {
+        return this.roles !== null;
+    }
+
+    /**
+     * Check a single capability
+     * @param {string} capability - Capability name (e.g. 'records.delete')
+     * @returns {boolean} - True when one of the user's roles grants it
+     */
+    can(capability) {
+        return this.capabilities.some(pattern =>
+            pattern === '*' ||
+            pattern === capability ||
+            (pattern.endsWith('.*') && capability.startsWith(pattern.slice(0, -1)))
+        );
+    }
+
+    /**
+     * Check the "requires" of a tab or menu item
+     * @param {string|Array<string>|undefined} requires - Capability or capabilities that are all needed
+     * @returns {boolean} - True when nothing is required or everything is granted
+     */
+    allows(requires) {
+        if (requires === undefined || requires === null) return true;
+
+        return (Array.isArray(requires) ? requires : [requires]).every(capability => this.can(capability));
+    }
+}
@@ -0,0 +1,272 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Preferences Store
+ * ==========================================================================
+ * Description: Validated, persisted user preferences (e.g. email
+ * notification settings) behind a pluggable backend adapter.
+ *
+ * Adapters:
+ * - LocalStoragePreferencesAdapter : Browser localStorage (default)
+ * - RestPreferencesAdapter         : REST API (e.g. the local mock server in tools/)
+ *
+ * Every adapter exposes async load() and save(values). Values are always
+ * validated against the store schema before they are saved.
+ * ==========================================================================
+ */
+
+/**
+ * Schema for the email notification preferences modal
+ * Keys match the data-setting attributes of the modal inputs
+ */
+const EMAIL_PREFERENCES_SCHEMA = {
+    dailyDigest: { type: 'boolean', default: true },
+    importantUpdates: { type: 'boolean', default: true },
+    marketing: { type: 'boolean', default: false },
+    systemNotifications: { type: 'boolean', default: true },
+    frequency: { type: 'enum', values: ['daily', 'weekly', 'monthly', 'never'], default: 'weekly' },
+    time: { type: 'enum', values: ['morning', 'afternoon', 'evening'], default: 'afternoon' }
+};
+
+/**
+ * Schema for the client switcher setting
+ * keepTimerOnSwitch: keep a running timer going when another client is opened
+ */
+const CLIENT_SWITCHER_PREFERENCES_SCHEMA = {
+    keepTimerOnSwitch: { type: 'boolean', default: false }
+};
+
+/**
+ * Base class for preferences backend adapters
+ * Subclasses must implement load() and save()
+ */
+class PreferencesAdapter {
+    /**
+     * @returns {Promise<Object|null>} - Stored values, or null when nothing is stored
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} must implement load()`);
+    }
+
+    /**
+     * @param {Object} values - Validated values to store
+     * @returns {Promise<void>}
+     */
+    async save(values) {
+        throw new Error(`${this.constructor.name} must implement save()`);
+    }
+
+    /**
+     * Remove values kept on this device (adapters storing elsewhere keep them)
+     * @returns {Promise<void>}
+     */
+    async clear() {}
+}
+
+/**
+ * Adapter persisting preferences to localStorage
+ */
+class LocalStoragePreferencesAdapter extends PreferencesAdapter {
+    /**
+     * @param {string} storageKey - Key the preferences are stored under
+     * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+     */
+    constructor(storageKey, storage = window.localStorage) {
+        super();
+        this.storageKey = storageKey;
+        this.storage = storage;
+    }
+
+    async load() {
+        const stored = this.storage.getItem(this.storageKey);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async save(values) {
+        this.storage.setItem(this.storageKey, JSON.stringify(values));
+    }
+
+    async clear() {
+        this.storage.removeItem(this.storageKey);
+    }
+}
+
+/**
+ * Adapter persisting preferences through a REST endpoint (GET to load, PUT to save)
+ */
+class RestPreferencesAdapter extends PreferencesAdapter {
+    /**
+     * @param {string} url - Preferences endpoint URL
+     * @param {Object} [headers] - Extra request headers
+     */
+    constructor(url, headers = {}) {
+        super();
+        this.url = url;
+        this.headers = headers;
+    }
+
+    async load() {
+        const response = await fetch(this.url, {
+            headers: { 'Accept': 'application/json', ...this.headers }
+        });
+
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Failed to load preferences: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    async save(values) {
+        const response = await fetch(this.url, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(values)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to save preferences: ${response.status} ${response.statusText}`);
+        }
+    }
+}
+
+/**
+ * Validated preferences with a persisted copy and change tracking
+ */
+class PreferencesStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {Object} options.schema - Setting definitions keyed by name ({ type, default, values })
+     * @param {PreferencesAdapter} options.adapter - Backend adapter
+     */
+    constructor({ schema, adapter }) {
+        this.schema = schema;
+        this.adapter = adapter;
+        this.values = this.getDefaults();
+    }
+
+    /**
+     * Replace the backend adapter
+     * @param {PreferencesAdapter} adapter - New adapter
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Get the default value of every setting
+     * @returns {Object} - Default values
+     */
+    getDefaults() {
+        return Object.fromEntries(
+            Object.entries(this.schema).map(([key, definition]) => [key, definition.default])
+        );
+    }
+
+    /**
+     * Load saved values from the adapter
+     * Invalid or unknown stored values are dropped in favour of the defaults
+     * @returns {Promise<Object>} - The loaded values
+     */
+    async load() {
+        const stored = await this.adapter.load();
+        const values = this.getDefaults();
+
+        if (stored && typeof stored === 'object') {
+            Object.keys(this.schema).forEach(key => {
+                if (key in stored && this.validateValue(key, stored[key]) === null) {
+                    values[key] = stored[key];
+                }
+            });
+        }
+
+        this.values = values;
+        return this.get();
+    }
+
+    /**
+     * Get a copy of the saved values
+     * @returns {Object} - Saved values
+     */
+    get() {
+        return { ...this.values };
+    }
+
+    /**
+     * Validate a complete set of values
+     * @param {Object} values - Values to validate
+     * @returns {Object} - Error messages keyed by setting (empty when valid)
+     */
+    validate(values) {
+        const errors = {};
+
+        Object.keys(this.schema).forEach(key => {
+            const error = this.validateValue(key, values[key]);
+            if (error) errors[key] = error;
+        });
+
+        Object.keys(values).forEach(key => {
+            if (!(key in this.schema)) errors[key] = `Unknown setting "${key}"`;
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a single setting value
+     * @param {string} key - Setting name
+     * @param {*} value - Value to validate
+     * @returns {string|null} - Error message or null when valid
+     */
+    validateValue(key, value) {
+        const definition = this.schema[key];
+
+        if (definition.type === 'boolean' && typeof value !== 'boolean') {
+            return `${key} must be true or false`;
+        }
+        if (definition.type === 'enum' && !definition.values.includes(value)) {
+            return `${key} must be one of: ${definition.values.join(', ')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether values differ from the saved values
+     * @param {Object} values - Values to compare (e.g. the current form state)
+     * @returns {boolean} - True when there are unsaved changes
+     */
+    isDirty(values) {
+        return Object.keys(this.schema).some(key => values[key] !== this.values[key]);
+    }
+
+    /**
+     * Validate and persist values
+     * @param {Object} values - Values to save
+     * @returns {Promise<Object>} - The saved values
+     */
+    async save(values) {
+        const errors = this.validate(values);
+
+        if (Object.keys(errors).length > 0) {
+            const error = new Error(`Invalid preferences: ${Object.values(errors).join('; ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const next = Object.fromEntries(Object.keys(this.schema).map(key => [key, values[key]]));
+        await this.adapter.save(next);
+        this.values = next;
+
+        return this.get();
+    }
+
+    /**
+     * Forget the values kept on this device and go back to the defaults
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.adapter.clear();
+        this.values = this.getDefaults();
+    }
+}
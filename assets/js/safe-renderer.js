@@ -0,0 +1,155 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Safe Renderer
+ * ==========================================================================
+ * Description: DOM-building helpers that never parse HTML strings.
+ *
+ * - Strings are always inserted as text nodes, so markup in data is shown
+ *   literally instead of being executed.
+ * - Cells that need markup (e.g. the country flag) must use a trusted
+ *   renderer registered from code with registerTrusted(). Data can only
+ *   select a renderer by name; it can never supply markup itself.
+ * - No innerHTML is used anywhere, so rendering keeps working under a
+ *   Content-Security-Policy with require-trusted-types-for 'script'.
+ * ==========================================================================
+ */
+
+class SafeRenderer {
+    constructor() {
+        // Trusted cell renderers keyed by name
+        this.trustedRenderers = new Map();
+    }
+
+    /**
+     * Create an element
+     * @param {string} tagName - Element tag name
+     * @param {Object} [props] - Element properties
+     * @param {string} [props.className] - Class attribute
+     * @param {Object} [props.attrs] - Attributes to set (null/undefined values are skipped)
+     * @param {Object} [props.dataset] - data-* attributes
+     * @param {string} [props.text] - Text content
+     * @param {Array|Node|string} [children] - Child nodes or strings (strings become text nodes)
+     * @returns {HTMLElement} - The created element
+     */
+    el(tagName, props = {}, children = []) {
+        const element = document.createElement(tagName);
+        const { className, attrs = {}, dataset = {}, text } = props;
+
+        if (className) {
+            element.className = className;
+        }
+
+        Object.entries(attrs).forEach(([name, value]) => {
+            if (value === null || value === undefined || value === false) return;
+
+            // Block inline event handlers and script URLs coming from data
+            if (/^on/i.test(name)) {
+                throw new Error(`Refusing to set event handler attribute "${name}"`);
+            }
+            if (['href', 'src'].includes(name) && !this.isSafeUrl(value)) {
+                console.warn(`Blocked unsafe URL in "${name}" attribute:`, value);
+                return;
+            }
+
+            element.setAttribute(name, value === true ? '' : String(value));
+        });
+
+        Object.entries(dataset).forEach(([key, value]) => {
+            element.dataset[key] = String(value);
+        });
+
+        if (text !== undefined && text !== null) {
+            element.textContent = String(text);
+        }
+
+        this.append(element, children);
+
+        return element;
+    }
+
+    /**
+     * Append children to an element, converting strings to text nodes
+     * @param {Node} parent - Parent node
+     * @param {Array|Node|string} children - Children to append
+     * @returns {Node} - The parent node
+     */
+    append(parent, children) {
+        const list = Array.isArray(children) ? children : [children];
+
+        list.flat(Infinity).forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            parent.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+        });
+
+        return parent;
+    }
+
+    /**
+     * Create a document fragment from a list of children
+     * @param {Array} children - Child nodes or strings
+     * @returns {DocumentFragment} - The fragment
+     */
+    fragment(children = []) {
+        return this.append(document.createDocumentFragment(), children);
+    }
+
+    /**
+     * Check that a URL uses a safe scheme (http, https, mailto, tel or relative)
+     * The URL is parsed the way the browser will follow it, since tabs, newlines and
+     * control characters inside or before the scheme (e.g. "java\tscript:") are dropped
+     * @param {string} url - URL to check
+     * @returns {boolean} - True when the URL is safe to render
+     */
+    isSafeUrl(url) {
+        try {
+            const base = new URL(document.baseURI);
+            const { protocol } = new URL(String(url), base);
+
+            // Relative URLs take the protocol of the page
+            return ['http:', 'https:', 'mailto:', 'tel:', base.protocol].includes(protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Register a trusted renderer that may produce markup for a cell
+     * @param {string} name - Renderer name referenced from configuration
+     * @param {Function} renderFn - (value, context, renderer) => Node|Array|string
+     */
+    registerTrusted(name, renderFn) {
+        if (typeof renderFn !== 'function') {
+            throw new Error(`Trusted renderer "${name}" must be a function`);
+        }
+        this.trustedRenderers.set(name, renderFn);
+    }
+
+    /**
+     * Render a value with a trusted renderer, falling back to escaped text
+     * @param {string} name - Trusted renderer name
+     * @param {*} value - Value to render
+     * @param {Object} [context] - Extra context passed to the renderer
+     * @returns {DocumentFragment} - Rendered nodes
+     */
+    renderTrusted(name, value, context = {}) {
+        const renderFn = this.trustedRenderers.get(name);
+
+        if (!renderFn) {
+            console.warn(`Trusted renderer "${name}" not registered, rendering as text`);
+            return this.fragment([this.toText(value)]);
+        }
+
+        return this.fragment([renderFn(value, context, this)]);
+    }
+
+    /**
+     * Convert any value to display text
+     * @param {*} value - Value to convert
+     * @returns {string} - Display text
+     */
+    toText(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return value.name || value.label || JSON.stringify(value);
+        return String(value);
+    }
+}
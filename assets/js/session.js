@@ -0,0 +1,228 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Session
+ * ==========================================================================
+ * Description: Sign-in state and authenticated requests against an auth
+ * endpoint (the local mock server in tools/ has a stub one).
+ *
+ * Endpoints, relative to the auth URL:
+ *   POST /login   { username, password } -> { token, expiresAt, user }
+ *   POST /logout  Ends the session of the bearer token
+ *   GET  /session Returns { user } while the bearer token is valid
+ *
+ * The token is kept in storage (sessionStorage by default, so it does not
+ * outlive the browser tab). fetch() adds it as a bearer token; a 401
+ * response ends the session, and listeners are told with 'expired'.
+ * ==========================================================================
+ */
+
+class AuthSession {
+    /**
+     * @param {Object} options - Session options
+     * @param {string} options.url - Auth endpoint (e.g. '/api/auth')
+     * @param {Storage} [options.storage] - Storage for the token (defaults to sessionStorage)
+     * @param {string} [options.storageKey] - Key the token is stored under
+     */
+    constructor({ url, storage = window.sessionStorage, storageKey = 'webmotion.session' } = {}) {
+        if (!url) {
+            throw new Error('AuthSession requires an auth URL');
+        }
+
+        this.url = url.replace(/\/+$/, '');
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.listeners = new Set();
+
+        this.state = this.loadState();
+
+        // Passed to data providers and sources as their fetch implementation
+        this.fetch = this.fetch.bind(this);
+    }
+
+    /**
+     * Read a stored session
+     * @returns {Object|null} - { token, expiresAt, user } or null
+     */
+    loadState() {
+        try {
+            const stored = JSON.parse(this.storage?.getItem(this.storageKey) || 'null');
+            return stored && typeof stored.token === 'string' ? stored : null;
+        } catch (error) {
+            console.warn('Ignoring unreadable session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store the session, or remove it when state is null
+     * @param {Object|null} state - { token, expiresAt, user }
+     */
+    saveState(state) {
+        this.state = state;
+
+        try {
+            if (state) {
+                this.storage?.setItem(this.storageKey, JSON.stringify(state));
+            } else {
+                this.storage?.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Unable to store session:', error);
+        }
+    }
+
+    /**
+     * Listen for session changes
+     * @param {Function} listener - Called with (action, user); action is 'login', 'logout' or 'expired'
+     * @returns {Function} - Removes the listener again
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @param {string} action - 'login', 'logout' or 'expired'
+     * @param {Object|null} user - User the change applies to
+     */
+    notify(action, user) {
+        this.listeners.forEach(listener => listener(action, user));
+    }
+
+    /**
+     * @returns {boolean} - True when a token is stored and has not expired
+     */
+    isAuthenticated() {
+        if (!this.state) return false;
+
+        return !this.state.expiresAt || new Date(this.state.expiresAt).getTime() > Date.now();
+    }
+
+    /**
+     * @returns {Object|null} - Signed-in user ({ username, name, roles })
+     */
+    getUser() {
+        return this.isAuthenticated() ? this.state.user || null : null;
+    }
+
+    /**
+     * @returns {string|null} - Bearer token of the session
+     */
+    getToken() {
+        return this.isAuthenticated() ? this.state.token : null;
+    }
+
+    /**
+     * Sign in with a username and password
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} - The signed-in user
+     */
+    async login(username, password) {
+        const response = await fetch(`${this.url}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+
+        if (response.status === 401) {
+            throw new Error('Incorrect username or password');
+        }
+        if (!response.ok) {
+            throw new Error(`Sign-in failed: ${response.status} ${response.statusText}`);
+        }
+
+        const { token, expiresAt = null, user = null } = await response.json();
+        if (!token) {
+            throw new Error('Sign-in failed: no token received');
+        }
+
+        this.saveState({ token, expiresAt, user });
+        this.notify('login', user);
+
+        return user;
+    }
+
+    /**
+     * Check a stored token with the server, ending the session when it is no longer valid
+     * @returns {Promise<boolean>} - True when the user is still signed in
+     */
+    async restore() {
+        if (!this.isAuthenticated()) {
+            this.saveState(null);
+            return false;
+        }
+
+        try {
+            const response = await this.fetch(`${this.url}/session`);
+            if (!response.ok) return false;
+
+            const { user } = await response.json();
+            this.saveState({ ...this.state, user: user || this.state.user });
+            return true;
+        } catch (error) {
+            // Offline: keep the session and let later requests decide
+            console.warn('Unable to check session:', error);
+            return this.isAuthenticated();
+        }
+    }
+
+    /**
+     * Sign out; the token is removed even when the server cannot be reached
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        const user = this.state?.user || null;
+        const token = this.state?.token;
+
+        this.saveState(null);
+
+        if (token) {
+            try {
+                await fetch(`${this.url}/logout`, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+            } catch (error) {
+                console.warn('Unable to end the session on the server:', error);
+            }
+        }
+
+        this.notify('logout', user);
+    }
+
+    /**
+     * fetch() with the session token as a bearer token
+     * A 401 response ends the session
+     * @param {string|URL} input - Request URL
+     * @param {Object} [init] - fetch() options
+     * @returns {Promise<Response>} - The response
+     */
+    async fetch(input, init = {}) {
+        const headers = new Headers(init.headers || {});
+        const token = this.getToken();
+        if (token) {
+            headers.set('Authorization', `Bearer ${token}`);
+        }
+
+        const response = await fetch(input, { ...init, headers });
+
+        if (response.status === 401 && this.state) {
+            const user = this.state.user || null;
+            this.saveState(null);
+            this.notify('expired', user);
+        }
+
+        return response;
+    }
+}
+
+/**
+ * Create a session for an auth endpoint
+ * @param {Object} [options] - Session options
+ * @param {string} [options.url] - Auth endpoint; without one there is no sign-in
+ * @returns {AuthSession|null} - The session, or null when no endpoint is configured
+ */
+function createAuthSession({ url } = {}) {
+    return url ? new AuthSession({ url }) : null;
+}
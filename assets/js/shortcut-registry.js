@@ -0,0 +1,452 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Shortcut Registry
+ * ==========================================================================
+ * Description: Every keyboard shortcut of the dashboard in one place, with
+ * scopes, conflict detection and bindings the user can change.
+ *
+ * Shortcut shape:
+ * {
+ *   id,                    // Unique, e.g. 'history.undo'
+ *   scope,                 // Scope name, 'global' by default
+ *   keys: [],              // Default key combinations, e.g. ['mod+shift+z', 'mod+y']
+ *   description,           // Shown in the shortcut help
+ *   run(event),            // Called when the keys are pressed
+ *   when(event),           // Optional, the shortcut is skipped when it returns false
+ *   enabled(),             // Optional, hides the shortcut while it returns false (features, permissions)
+ *   allowInInputs          // Also run while a text field has the focus (false by default)
+ * }
+ *
+ * Key combinations are written as 'mod+shift+z': 'mod' is Ctrl, or Cmd on
+ * macOS, followed by 'alt' and 'shift' and the key ('escape', 'arrowleft',
+ * 'space', '?'). Shift is implied for symbols, so '?' matches Shift+/.
+ *
+ * Scopes are checked in the order they are defined; the first active scope
+ * with a matching shortcut wins. An exclusive scope (e.g. an open dialog)
+ * hides the shortcuts of the scopes after it. Two shortcuts of one scope
+ * cannot share a key combination. Changed bindings are kept in storage
+ * (localStorage by default).
+ * ==========================================================================
+ */
+
+/**
+ * Display names of keys, everything else is shown capitalized
+ */
+const SHORTCUT_KEY_LABELS = {
+    escape: 'Esc',
+    arrowleft: '←',
+    arrowright: '→',
+    arrowup: '↑',
+    arrowdown: '↓',
+    space: 'Space',
+    enter: 'Enter',
+    home: 'Home',
+    end: 'End'
+};
+
+/**
+ * Alternative names accepted in key combinations
+ */
+const SHORTCUT_KEY_ALIASES = {
+    ctrl: 'mod',
+    control: 'mod',
+    cmd: 'mod',
+    meta: 'mod',
+    option: 'alt',
+    esc: 'escape',
+    left: 'arrowleft',
+    right: 'arrowright',
+    up: 'arrowup',
+    down: 'arrowdown',
+    ' ': 'space',
+    plus: '+'
+};
+
+class ShortcutRegistry {
+    /**
+     * @param {Object} [options] - Registry options
+     * @param {Storage|null} [options.storage] - Storage for changed bindings (memory only when null)
+     * @param {string} [options.storageKey] - Key the changed bindings are stored under
+     * @param {boolean} [options.isMac] - Show 'mod' as Cmd instead of Ctrl
+     */
+    constructor({
+        storage = window.localStorage,
+        storageKey = 'webmotion.shortcuts',
+        isMac = /Mac|iPhone|iPad/.test(navigator.userAgentData?.platform || navigator.platform || '')
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.isMac = isMac;
+        this.scopes = [];
+        this.shortcuts = new Map();
+        this.overrides = this.readOverrides();
+    }
+
+    /**
+     * Add a scope; scopes defined first take precedence
+     * @param {string} name - Scope name
+     * @param {Object} [options] - Scope options
+     * @param {string} [options.label] - Heading in the shortcut help
+     * @param {Function} [options.isActive] - Receives the keyboard event, true when the scope applies
+     * @param {boolean} [options.exclusive] - Hide the shortcuts of later scopes while active
+     */
+    defineScope(name, { label = name, isActive = () => true, exclusive = false } = {}) {
+        if (this.getScope(name)) {
+            throw new Error(`Shortcut scope "${name}" is already defined`);
+        }
+        this.scopes.push({ name, label, isActive, exclusive });
+    }
+
+    /**
+     * @param {string} name - Scope name
+     * @returns {Object|null} - The scope
+     */
+    getScope(name) {
+        return this.scopes.find(scope => scope.name === name) || null;
+    }
+
+    /**
+     * Register a shortcut
+     * A changed binding from storage is applied unless it now conflicts with another shortcut
+     * @param {Object} shortcut - Shortcut (see the shape above)
+     * @returns {Object} - The registered shortcut
+     */
+    register({ id, scope = 'global', keys, description, run, when = null, enabled = null, allowInInputs = false }) {
+        if (!id || !description || typeof run !== 'function') {
+            throw new Error('Every shortcut must include id, description and run');
+        }
+        if (this.shortcuts.has(id)) {
+            throw new Error(`Shortcut "${id}" is already registered`);
+        }
+        if (!this.getScope(scope)) {
+            throw new Error(`Unknown shortcut scope "${scope}"`);
+        }
+
+        const defaultKeys = ShortcutRegistry.parseAll(keys);
+        this.assertNoConflict(id, scope, defaultKeys);
+
+        const shortcut = { id, scope, description, run, when, enabled, allowInInputs, defaultKeys, keys: defaultKeys };
+
+        const stored = this.overrides[id];
+        if (stored) {
+            try {
+                const storedKeys = ShortcutRegistry.parseAll(stored);
+                this.assertNoConflict(id, scope, storedKeys);
+                shortcut.keys = storedKeys;
+            } catch (error) {
+                console.warn(`Ignoring the changed keys of shortcut "${id}":`, error.message);
+            }
+        }
+
+        this.shortcuts.set(id, shortcut);
+        return shortcut;
+    }
+
+    /**
+     * Remove a shortcut (its changed binding stays stored)
+     * @param {string} id - Shortcut ID
+     */
+    unregister(id) {
+        this.shortcuts.delete(id);
+    }
+
+    /**
+     * @param {string} id - Shortcut ID
+     * @returns {Object|null} - The shortcut
+     */
+    get(id) {
+        return this.shortcuts.get(id) || null;
+    }
+
+    /**
+     * Bind a shortcut to other keys and remember them
+     * @param {string} id - Shortcut ID
+     * @param {string|Array<string>} keys - New key combinations
+     * @returns {Array<string>} - The normalized key combinations
+     * @throws {Error} When the keys are invalid or used by another shortcut of the same scope
+     */
+    remap(id, keys) {
+        const shortcut = this.shortcuts.get(id);
+        if (!shortcut) {
+            throw new Error(`Shortcut "${id}" not found`);
+        }
+
+        const parsed = ShortcutRegistry.parseAll(keys);
+        this.assertNoConflict(id, shortcut.scope, parsed);
+
+        shortcut.keys = parsed;
+        if (ShortcutRegistry.sameKeys(parsed, shortcut.defaultKeys)) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = parsed;
+        }
+        this.writeOverrides();
+
+        return parsed;
+    }
+
+    /**
+     * Restore the default keys of a shortcut
+     * @param {string} id - Shortcut ID
+     * @throws {Error} When another shortcut has been bound to one of the default keys
+     */
+    reset(id) {
+        const shortcut = this.shortcuts.get(id);
+        if (!shortcut) {
+            throw new Error(`Shortcut "${id}" not found`);
+        }
+        this.remap(id, shortcut.defaultKeys);
+    }
+
+    /**
+     * Restore the default keys of every shortcut
+     */
+    resetAll() {
+        this.shortcuts.forEach(shortcut => {
+            shortcut.keys = shortcut.defaultKeys;
+        });
+        this.overrides = {};
+        this.writeOverrides();
+    }
+
+    /**
+     * @param {string} id - Shortcut ID
+     * @returns {boolean} - True when the shortcut is bound to other keys than its defaults
+     */
+    isRemapped(id) {
+        const shortcut = this.shortcuts.get(id);
+        return !!shortcut && !ShortcutRegistry.sameKeys(shortcut.keys, shortcut.defaultKeys);
+    }
+
+    /**
+     * Find the shortcut of a scope that already uses one of the keys
+     * @param {string} scope - Scope name
+     * @param {Array<string>} keys - Normalized key combinations
+     * @param {string} [exceptId] - Shortcut to leave out (the one being changed)
+     * @returns {Object|null} - { shortcut, keys } of the conflict
+     */
+    findConflict(scope, keys, exceptId = null) {
+        for (const shortcut of this.shortcuts.values()) {
+            if (shortcut.id === exceptId || shortcut.scope !== scope) continue;
+
+            const shared = shortcut.keys.find(combo => keys.includes(combo));
+            if (shared) return { shortcut, keys: shared };
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} id - Shortcut being registered or changed
+     * @param {string} scope - Scope name
+     * @param {Array<string>} keys - Normalized key combinations
+     * @throws {Error} When another shortcut of the scope uses one of the keys
+     */
+    assertNoConflict(id, scope, keys) {
+        const conflict = this.findConflict(scope, keys, id);
+        if (conflict) {
+            throw new Error(`${this.format(conflict.keys)} is already used by "${conflict.shortcut.description}"`);
+        }
+    }
+
+    /**
+     * Check whether a keyboard event presses the keys of a shortcut
+     * Lets widgets with their own keydown handling honour changed bindings
+     * @param {string} id - Shortcut ID
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} - True when the event matches
+     */
+    matches(id, event) {
+        const combo = ShortcutRegistry.fromEvent(event);
+        return !!combo && !!this.shortcuts.get(id)?.keys.includes(combo);
+    }
+
+    /**
+     * Run the shortcut a keyboard event presses, if any
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {Object|null} - The shortcut that ran
+     */
+    handleKeydown(event) {
+        if (event.defaultPrevented || event.isComposing) return null;
+
+        const combo = ShortcutRegistry.fromEvent(event);
+        if (!combo) return null;
+
+        const inInput = ShortcutRegistry.isTextInput(event.target);
+
+        for (const scope of this.scopes) {
+            if (!scope.isActive(event)) continue;
+
+            const shortcut = [...this.shortcuts.values()].find(candidate =>
+                candidate.scope === scope.name &&
+                candidate.keys.includes(combo) &&
+                (candidate.allowInInputs || !inInput) &&
+                this.isEnabled(candidate) &&
+                (!candidate.when || candidate.when(event) !== false)
+            );
+
+            if (shortcut) {
+                event.preventDefault();
+                shortcut.run(event);
+                return shortcut;
+            }
+
+            if (scope.exclusive) return null;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {Object} shortcut - Shortcut
+     * @returns {boolean} - False while the shortcut is turned off (feature or permission)
+     */
+    isEnabled(shortcut) {
+        return !shortcut.enabled || shortcut.enabled() !== false;
+    }
+
+    /**
+     * Enabled shortcuts grouped by scope, in scope order, for the shortcut help
+     * @returns {Array<Object>} - { scope, label, shortcuts } with the shortcuts in registration order
+     */
+    list() {
+        return this.scopes
+            .map(scope => ({
+                scope: scope.name,
+                label: scope.label,
+                shortcuts: [...this.shortcuts.values()].filter(shortcut =>
+                    shortcut.scope === scope.name && this.isEnabled(shortcut)
+                )
+            }))
+            .filter(group => group.shortcuts.length > 0);
+    }
+
+    /**
+     * Display text of key combinations, e.g. 'Ctrl+Shift+Z' or 'Cmd+K'
+     * @param {string|Array<string>} keys - Normalized key combinations
+     * @returns {string} - Combinations separated by ' or '
+     */
+    format(keys) {
+        return (Array.isArray(keys) ? keys : [keys])
+            .map(combo => combo.split(/\+(?!$)/).map(part => {
+                if (part === 'mod') return this.isMac ? 'Cmd' : 'Ctrl';
+                if (part === 'alt') return this.isMac ? 'Option' : 'Alt';
+                if (part === 'shift') return 'Shift';
+                return SHORTCUT_KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1));
+            }).join('+'))
+            .join(' or ');
+    }
+
+    /**
+     * Read the changed bindings
+     * @returns {Object} - Key combinations by shortcut ID
+     */
+    readOverrides() {
+        try {
+            const stored = JSON.parse(this.storage?.getItem(this.storageKey) || '{}');
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            console.warn('Unable to read shortcuts from storage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist the changed bindings
+     */
+    writeOverrides() {
+        try {
+            if (Object.keys(this.overrides).length === 0) {
+                this.storage?.removeItem(this.storageKey);
+            } else {
+                this.storage?.setItem(this.storageKey, JSON.stringify(this.overrides));
+            }
+        } catch (error) {
+            console.warn('Unable to persist shortcuts:', error);
+        }
+    }
+
+    /**
+     * Normalize one or more key combinations
+     * @param {string|Array<string>} keys - Key combinations
+     * @returns {Array<string>} - Normalized combinations without duplicates
+     * @throws {Error} When no combination is given or one is invalid
+     */
+    static parseAll(keys) {
+        const list = (Array.isArray(keys) ? keys : [keys]).map(combo => ShortcutRegistry.parse(combo));
+        if (list.length === 0) {
+            throw new Error('A shortcut needs at least one key combination');
+        }
+        return [...new Set(list)];
+    }
+
+    /**
+     * Normalize a key combination, e.g. 'Shift+Ctrl+Z' to 'mod+shift+z'
+     * @param {string} combo - Key combination
+     * @returns {string} - Normalized combination
+     * @throws {Error} When the combination has no key or more than one
+     */
+    static parse(combo) {
+        const parts = String(combo || '').toLowerCase().split(/\+(?!$)/)
+            .map(part => part === ' ' ? part : part.trim())
+            .map(part => SHORTCUT_KEY_ALIASES[part] || part)
+            .filter(Boolean);
+
+        const modifiers = ['mod', 'alt', 'shift'].filter(modifier => parts.includes(modifier));
+        const keys = parts.filter(part => !modifiers.includes(part));
+
+        if (keys.length !== 1) {
+            throw new Error(`Invalid key combination "${combo}"`);
+        }
+
+        return ShortcutRegistry.build(modifiers, keys[0]);
+    }
+
+    /**
+     * Key combination of a keyboard event
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {string|null} - Normalized combination, or null for a modifier key on its own
+     */
+    static fromEvent(event) {
+        if (!event.key || ['Control', 'Shift', 'Alt', 'Meta', 'Dead'].includes(event.key)) return null;
+
+        const modifiers = [];
+        if (event.ctrlKey || event.metaKey) modifiers.push('mod');
+        if (event.altKey) modifiers.push('alt');
+        if (event.shiftKey) modifiers.push('shift');
+
+        const key = event.key.toLowerCase();
+        return ShortcutRegistry.build(modifiers, SHORTCUT_KEY_ALIASES[key] || key);
+    }
+
+    /**
+     * @param {Array<string>} modifiers - 'mod', 'alt' and/or 'shift'
+     * @param {string} key - Lower-case key name
+     * @returns {string} - Combination with the modifiers in a fixed order
+     */
+    static build(modifiers, key) {
+        // Symbols already depend on Shift ('?' is Shift+/), so it is not part of their combination
+        const isSymbol = key.length === 1 && !/[a-z]/.test(key);
+
+        return [
+            ...['mod', 'alt', 'shift'].filter(modifier => modifiers.includes(modifier) && !(modifier === 'shift' && isSymbol)),
+            key
+        ].join('+');
+    }
+
+    /**
+     * @param {Array<string>} a - Normalized key combinations
+     * @param {Array<string>} b - Normalized key combinations
+     * @returns {boolean} - True when both hold the same combinations
+     */
+    static sameKeys(a, b) {
+        return a.length === b.length && a.every(combo => b.includes(combo));
+    }
+
+    /**
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} - True for text fields, where typing must not trigger shortcuts
+     */
+    static isTextInput(target) {
+        return !!target?.closest?.('input:not([type="checkbox"]):not([type="radio"]):not([type="button"]), textarea, select, [contenteditable="true"]');
+    }
+}
@@ -0,0 +1,340 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Time Tracker
+ * ==========================================================================
+ * Description: Persistent time-tracking sessions behind the Start Timer button.
+ *
+ * - A session is tied to the client and tab it was started on
+ * - Sessions are made of segments, so pausing and resuming never loses time
+ * - All sessions are persisted to storage (localStorage by default) on every
+ *   change, so a page reload restores the running timer with its elapsed time
+ *
+ * Session shape:
+ * {
+ *   id, clientId, tabId,
+ *   status: 'running' | 'paused' | 'stopped',
+ *   startedAt, stoppedAt,            // ISO strings
+ *   segments: [{ start, end }],      // ISO strings, end is null while running
+ *   note, edited                     // Set by manual timesheet edits
+ * }
+ * ==========================================================================
+ */
+
+class TimeTracker {
+    /**
+     * @param {Object} [options] - Tracker options
+     * @param {Storage} [options.storage] - Storage backend (defaults to localStorage)
+     * @param {string} [options.storageKey] - Key sessions are stored under
+     * @param {Function} [options.onChange] - Called with (action, session) after every change
+     * @param {Function} [options.now] - Clock function returning a timestamp in ms
+     */
+    constructor({
+        storage = window.localStorage,
+        storageKey = 'webmotion.timer.sessions',
+        onChange = () => {},
+        now = () => Date.now()
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.onChange = onChange;
+        this.now = now;
+        this.sessions = this.load();
+    }
+
+    /**
+     * Read sessions from storage
+     * @returns {Array<Object>} - Stored sessions (empty when unavailable or corrupt)
+     */
+    load() {
+        try {
+            const stored = JSON.parse(this.storage?.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Unable to read timer sessions from storage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write sessions to storage
+     */
+    save() {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.sessions));
+        } catch (error) {
+            console.warn('Unable to persist timer sessions:', error);
+        }
+    }
+
+    /**
+     * Get all sessions with their elapsed time
+     * @param {Object} [filter] - Optional filter
+     * @param {string} [filter.clientId] - Only sessions for this client
+     * @param {string} [filter.status] - Only sessions with this status
+     * @returns {Array<Object>} - Copies of the matching sessions including elapsedMs
+     */
+    getSessions({ clientId, status } = {}) {
+        return this.sessions
+            .filter(session => clientId === undefined || session.clientId === clientId)
+            .filter(session => status === undefined || session.status === status)
+            .map(session => this.describe(session));
+    }
+
+    /**
+     * Get a single session by ID
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} - Copy of the session or null if not found
+     */
+    getSession(sessionId) {
+        const session = this.sessions.find(item => item.id === sessionId);
+        return session ? this.describe(session) : null;
+    }
+
+    /**
+     * Get the running or paused session, if any
+     * @returns {Object|null} - Copy of the active session or null
+     */
+    getActiveSession() {
+        const session = this.findActive();
+        return session ? this.describe(session) : null;
+    }
+
+    /**
+     * Check whether a session is currently running (not paused)
+     * @returns {boolean} - True when the timer is counting
+     */
+    isRunning() {
+        return this.findActive()?.status === 'running';
+    }
+
+    /**
+     * Start a new session
+     * @param {Object} [context] - What the time is being recorded against
+     * @param {string|null} [context.clientId] - Current client ID
+     * @param {number|null} [context.tabId] - Current tab ID
+     * @returns {Object} - The started session
+     */
+    start({ clientId = null, tabId = null } = {}) {
+        if (this.findActive()) {
+            throw new Error('A timer session is already active');
+        }
+
+        const startedAt = new Date(this.now()).toISOString();
+        const session = {
+            id: `session-${this.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            clientId: clientId,
+            tabId: tabId,
+            status: 'running',
+            startedAt: startedAt,
+            stoppedAt: null,
+            segments: [{ start: startedAt, end: null }]
+        };
+
+        this.sessions.push(session);
+        return this.commit('started', session);
+    }
+
+    /**
+     * Pause the running session
+     * @returns {Object} - The paused session
+     */
+    pause() {
+        const session = this.requireActive('running');
+
+        this.closeSegment(session);
+        session.status = 'paused';
+
+        return this.commit('paused', session);
+    }
+
+    /**
+     * Resume the paused session
+     * @returns {Object} - The resumed session
+     */
+    resume() {
+        const session = this.requireActive('paused');
+
+        session.segments.push({ start: new Date(this.now()).toISOString(), end: null });
+        session.status = 'running';
+
+        return this.commit('resumed', session);
+    }
+
+    /**
+     * Stop the active session (running or paused)
+     * @param {Object} [options] - Stop options
+     * @param {number|null} [options.at] - Stop as of this earlier time (ms), e.g. the user's last activity
+     * @returns {Object} - The stopped session
+     */
+    stop({ at = null } = {}) {
+        const session = this.requireActive();
+        const stoppedAt = at === null ? this.now() : Math.min(at, this.now());
+
+        this.closeSegment(session, stoppedAt);
+        session.status = 'stopped';
+
+        // Never before the end of the recorded time
+        const lastEnd = Math.max(...session.segments.map(segment => new Date(segment.end).getTime()));
+        session.stoppedAt = new Date(Math.max(stoppedAt, lastEnd)).toISOString();
+
+        return this.commit('stopped', session);
+    }
+
+    /**
+     * Manually edit a stopped session
+     * Changing the start or end time replaces the recorded segments with a single one
+     * @param {string} sessionId - Session ID
+     * @param {Object} changes - Fields to change
+     * @param {string} [changes.startedAt] - New start time (ISO string)
+     * @param {string} [changes.stoppedAt] - New end time (ISO string)
+     * @param {string} [changes.note] - Billing note
+     * @returns {Object} - The updated session
+     */
+    updateSession(sessionId, { startedAt, stoppedAt, note } = {}) {
+        const session = this.sessions.find(item => item.id === sessionId);
+
+        if (!session) {
+            throw new Error(`Timer session ${sessionId} not found`);
+        }
+        if (session.status !== 'stopped') {
+            throw new Error('Only stopped timer sessions can be edited');
+        }
+
+        if (startedAt !== undefined || stoppedAt !== undefined) {
+            const start = new Date(startedAt ?? session.startedAt);
+            const end = new Date(stoppedAt ?? session.stoppedAt);
+
+            if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+                throw new Error('Session start and end must be valid dates');
+            }
+            if (end <= start) {
+                throw new Error('Session end must be after its start');
+            }
+
+            session.startedAt = start.toISOString();
+            session.stoppedAt = end.toISOString();
+            session.segments = [{ start: session.startedAt, end: session.stoppedAt }];
+            session.edited = true;
+        }
+
+        if (note !== undefined) {
+            session.note = String(note).trim();
+        }
+
+        return this.commit('updated', session);
+    }
+
+    /**
+     * Delete a stopped session
+     * @param {string} sessionId - Session ID
+     * @returns {Object} - The deleted session
+     */
+    deleteSession(sessionId) {
+        const index = this.sessions.findIndex(item => item.id === sessionId);
+
+        if (index === -1) {
+            throw new Error(`Timer session ${sessionId} not found`);
+        }
+        if (this.sessions[index].status !== 'stopped') {
+            throw new Error('Stop the timer before deleting its session');
+        }
+
+        const [session] = this.sessions.splice(index, 1);
+        return this.commit('deleted', session);
+    }
+
+    /**
+     * Calculate the elapsed time of a session
+     * @param {Object} session - Session to measure
+     * @returns {number} - Elapsed milliseconds across all segments
+     */
+    getElapsed(session) {
+        return session.segments.reduce((total, segment) => {
+            const start = new Date(segment.start).getTime();
+            const end = segment.end ? new Date(segment.end).getTime() : this.now();
+            return total + Math.max(0, end - start);
+        }, 0);
+    }
+
+    /**
+     * Format milliseconds as HH:MM:SS
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} - Formatted duration
+     */
+    static formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        return [
+            hours.toString().padStart(2, '0'),
+            (minutes % 60).toString().padStart(2, '0'),
+            (seconds % 60).toString().padStart(2, '0')
+        ].join(':');
+    }
+
+    /**
+     * Find the active session object (internal, not a copy)
+     * @returns {Object|undefined} - Active session
+     */
+    findActive() {
+        return this.sessions.find(session => session.status === 'running' || session.status === 'paused');
+    }
+
+    /**
+     * Find the active session, throwing when it is missing or in the wrong state
+     * @param {string} [status] - Required status
+     * @returns {Object} - Active session (internal, not a copy)
+     */
+    requireActive(status) {
+        const session = this.findActive();
+
+        if (!session) {
+            throw new Error('No active timer session');
+        }
+        if (status && session.status !== status) {
+            throw new Error(`Timer session is ${session.status}, expected ${status}`);
+        }
+
+        return session;
+    }
+
+    /**
+     * Close the open segment of a session
+     * @param {Object} session - Session to update
+     * @param {number} [at] - End time in ms (not before the segment start)
+     */
+    closeSegment(session, at = this.now()) {
+        const openSegment = session.segments.find(segment => !segment.end);
+        if (openSegment) {
+            openSegment.end = new Date(Math.max(at, new Date(openSegment.start).getTime())).toISOString();
+        }
+    }
+
+    /**
+     * Persist a change and notify the listener
+     * @param {string} action - Change type (started, paused, resumed, stopped...)
+     * @param {Object} session - Changed session
+     * @returns {Object} - Copy of the changed session
+     */
+    commit(action, session) {
+        this.save();
+
+        const snapshot = this.describe(session);
+        this.onChange(action, snapshot);
+
+        return snapshot;
+    }
+
+    /**
+     * Create a copy of a session including its elapsed time
+     * @param {Object} session - Session to copy
+     * @returns {Object} - Session copy with elapsedMs
+     */
+    describe(session) {
+        return {
+            ...JSON.parse(JSON.stringify(session)),
+            elapsedMs: this.getElapsed(session)
+        };
+    }
+}
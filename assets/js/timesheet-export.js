@@ -0,0 +1,179 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Timesheet Export
+ * ==========================================================================
+ * Description: Builds CSV and iCalendar (.ics) timesheets from recorded
+ * TimeTracker sessions and downloads them entirely in the browser.
+ *
+ * Each exported row/event needs a session as returned by
+ * TimeTracker.getSessions() plus display names for its client and tab,
+ * resolved by the caller through the describeSession option.
+ * ==========================================================================
+ */
+
+class TimesheetExporter {
+    /**
+     * @param {Object} [options] - Exporter options
+     * @param {Function} [options.describeSession] - (session) => { client, tab } display names
+     * @param {string} [options.productId] - PRODID used in iCalendar files
+     */
+    constructor({
+        describeSession = (session) => ({ client: session.clientId || '', tab: session.tabId ?? '' }),
+        productId = '-//WebMotion//Dashboard Timesheet//EN'
+    } = {}) {
+        this.describeSession = describeSession;
+        this.productId = productId;
+    }
+
+    /**
+     * Build a CSV timesheet
+     * @param {Array<Object>} sessions - Stopped sessions to export
+     * @returns {string} - CSV content (CRLF line endings, header row included)
+     */
+    toCSV(sessions) {
+        const header = ['Session ID', 'Client', 'Tab', 'Start', 'End', 'Duration', 'Hours', 'Note'];
+
+        const rows = sessions.map(session => {
+            const { client, tab } = this.describeSession(session);
+
+            return [
+                session.id,
+                client,
+                tab,
+                session.startedAt,
+                session.stoppedAt || '',
+                TimeTracker.formatDuration(session.elapsedMs),
+                (session.elapsedMs / 3600000).toFixed(2),
+                session.note || ''
+            ];
+        });
+
+        return [header, ...rows]
+            .map(row => row.map(cell => this.escapeCSV(cell)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build an iCalendar file with one event per session
+     * @param {Array<Object>} sessions - Stopped sessions to export
+     * @returns {string} - iCalendar content (RFC 5545)
+     */
+    toICS(sessions) {
+        const stamp = this.formatICSDate(new Date().toISOString());
+
+        const events = sessions.map(session => {
+            const { client, tab } = this.describeSession(session);
+            const summary = [client, tab].filter(Boolean).join(' – ') || 'Time entry';
+
+            return [
+                'BEGIN:VEVENT',
+                `UID:${session.id}@webmotion-dashboard`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${this.formatICSDate(session.startedAt)}`,
+                `DTEND:${this.formatICSDate(session.stoppedAt || session.startedAt)}`,
+                `SUMMARY:${this.escapeICS(summary)}`,
+                session.note ? `DESCRIPTION:${this.escapeICS(session.note)}` : null,
+                'END:VEVENT'
+            ].filter(Boolean);
+        });
+
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.productId}`,
+            'CALSCALE:GREGORIAN',
+            ...events.flat(),
+            'END:VCALENDAR'
+        ].map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Download text content as a file
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type of the file
+     */
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.hidden = true;
+
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Quote a CSV cell and neutralise spreadsheet formulas
+     * @param {*} value - Cell value
+     * @returns {string} - Escaped cell
+     */
+    escapeCSV(value) {
+        let text = String(value ?? '');
+
+        // Prevent CSV injection when the file is opened in a spreadsheet
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Escape iCalendar TEXT values
+     * @param {string} value - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeICS(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Format an ISO date as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+     * @param {string} isoDate - ISO date string
+     * @returns {string} - iCalendar date-time
+     */
+    formatICSDate(isoDate) {
+        return new Date(isoDate).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Fold lines longer than 75 octets of UTF-8 as required by RFC 5545
+     * Lines are only broken between characters, so multi-byte characters stay whole
+     * @param {string} line - Content line
+     * @returns {string} - Folded line
+     */
+    foldICSLine(line) {
+        const parts = [];
+        let part = '';
+        let size = 0;
+
+        for (const character of line) {
+            const codePoint = character.codePointAt(0);
+            const characterSize = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+            if (size + characterSize > 75) {
+                parts.push(part);
+
+                // The leading space of a continuation line counts towards its 75 octets
+                part = ' ';
+                size = 1;
+            }
+            part += character;
+            size += characterSize;
+        }
+        parts.push(part);
+
+        return parts.join('\r\n');
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Toast Manager
+ * ==========================================================================
+ * Description: Queued toast notifications with severities, auto-dismiss,
+ * pause-on-hover and optional action buttons (e.g. "Undo").
+ *
+ * - At most maxVisible toasts are shown at once; the rest wait in a queue
+ * - The timer pauses while a toast is hovered or focused
+ * - Toasts live in an aria-live region so screen readers announce them;
+ *   error toasts use role="alert" to be announced immediately
+ * - Error toasts stay until dismissed unless a duration is given
+ * ==========================================================================
+ */
+
+class ToastManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {SafeRenderer} options.renderer - Renderer used to build toasts
+     * @param {HTMLElement} [options.container] - Toast region (created when missing)
+     * @param {number} [options.maxVisible] - Toasts shown at the same time
+     * @param {Object} [options.durations] - Auto-dismiss delay in ms per severity (0 = sticky)
+     */
+    constructor({
+        renderer,
+        container = null,
+        maxVisible = 3,
+        durations = { success: 4000, info: 5000, warning: 7000, error: 0 }
+    }) {
+        this.renderer = renderer;
+        this.container = container || this.createContainer();
+        this.maxVisible = maxVisible;
+        this.durations = durations;
+        this.severities = ['success', 'info', 'warning', 'error'];
+
+        this.queue = [];
+        this.visible = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Show a toast (or queue it when the maximum is already visible)
+     * @param {string} message - Message text
+     * @param {Object} [options] - Toast options
+     * @param {string} [options.severity] - success | info | warning | error
+     * @param {string} [options.title] - Optional bold title
+     * @param {number} [options.duration] - Auto-dismiss delay in ms (0 = sticky)
+     * @param {Object} [options.action] - Action button { label, onClick }
+     * @returns {number} - Toast ID
+     */
+    show(message, { severity = 'info', title = '', duration, action = null } = {}) {
+        if (!this.severities.includes(severity)) {
+            console.warn(`Unknown toast severity "${severity}", using info`);
+            severity = 'info';
+        }
+
+        const toast = {
+            id: this.nextId++,
+            message: message,
+            severity: severity,
+            title: title,
+            duration: duration ?? this.durations[severity] ?? 0,
+            action: action
+        };
+
+        this.queue.push(toast);
+        this.flush();
+
+        return toast.id;
+    }
+
+    /**
+     * @param {string} message - Message text
+     * @param {Object} [options] - Toast options (see show())
+     * @returns {number} - Toast ID
+     */
+    success(message, options = {}) {
+        return this.show(message, { ...options, severity: 'success' });
+    }
+
+    /**
+     * @param {string} message - Message text
+     * @param {Object} [options] - Toast options (see show())
+     * @returns {number} - Toast ID
+     */
+    info(message, options = {}) {
+        return this.show(message, { ...options, severity: 'info' });
+    }
+
+    /**
+     * @param {string} message - Message text
+     * @param {Object} [options] - Toast options (see show())
+     * @returns {number} - Toast ID
+     */
+    warning(message, options = {}) {
+        return this.show(message, { ...options, severity: 'warning' });
+    }
+
+    /**
+     * @param {string} message - Message text
+     * @param {Object} [options] - Toast options (see show())
+     * @returns {number} - Toast ID
+     */
+    error(message, options = {}) {
+        return this.show(message, { ...options, severity: 'error' });
+    }
+
+    /**
+     * Dismiss a visible or queued toast
+     * @param {number} toastId - Toast ID
+     */
+    dismiss(toastId) {
+        const queuedIndex = this.queue.findIndex(toast => toast.id === toastId);
+        if (queuedIndex !== -1) {
+            this.queue.splice(queuedIndex, 1);
+            return;
+        }
+
+        const entry = this.visible.get(toastId);
+        if (!entry) return;
+
+        clearTimeout(entry.timeoutId);
+        this.visible.delete(toastId);
+        entry.element.remove();
+
+        this.flush();
+    }
+
+    /**
+     * Dismiss every toast, including queued ones
+     */
+    clear() {
+        this.queue = [];
+        [...this.visible.keys()].forEach(toastId => this.dismiss(toastId));
+    }
+
+    /**
+     * Show queued toasts while there is room
+     */
+    flush() {
+        while (this.visible.size < this.maxVisible && this.queue.length > 0) {
+            this.display(this.queue.shift());
+        }
+    }
+
+    /**
+     * Render a toast and start its auto-dismiss timer
+     * @param {Object} toast - Toast to display
+     */
+    display(toast) {
+        const element = this.createToastElement(toast);
+        const entry = { toast, element, timeoutId: null, remaining: toast.duration, startedAt: 0 };
+
+        this.visible.set(toast.id, entry);
+        this.container.appendChild(element);
+
+        if (toast.duration > 0) {
+            // Pause while the user is reading or interacting with the toast
+            element.addEventListener('mouseenter', () => this.pause(entry));
+            element.addEventListener('mouseleave', () => this.resume(entry));
+            element.addEventListener('focusin', () => this.pause(entry));
+            element.addEventListener('focusout', (e) => {
+                if (!element.contains(e.relatedTarget)) this.resume(entry);
+            });
+
+            this.resume(entry);
+        }
+    }
+
+    /**
+     * Stop the auto-dismiss timer, keeping the remaining time
+     * @param {Object} entry - Visible toast entry
+     */
+    pause(entry) {
+        if (entry.timeoutId === null) return;
+
+        clearTimeout(entry.timeoutId);
+        entry.timeoutId = null;
+        entry.remaining -= Date.now() - entry.startedAt;
+        entry.element.classList.add('toast--paused');
+    }
+
+    /**
+     * (Re)start the auto-dismiss timer with the remaining time
+     * @param {Object} entry - Visible toast entry
+     */
+    resume(entry) {
+        if (entry.timeoutId !== null || !this.visible.has(entry.toast.id)) return;
+
+        entry.startedAt = Date.now();
+        entry.timeoutId = setTimeout(() => this.dismiss(entry.toast.id), Math.max(0, entry.remaining));
+        entry.element.classList.remove('toast--paused');
+    }
+
+    /**
+     * Build the toast element
+     * @param {Object} toast - Toast to render
+     * @returns {HTMLElement} - Toast element
+     */
+    createToastElement(toast) {
+        const r = this.renderer;
+
+        const actionButton = toast.action ? r.el('button', {
+            className: 'toast__action',
+            attrs: { type: 'button' },
+            text: toast.action.label
+        }) : null;
+
+        const closeButton = r.el('button', {
+            className: 'toast__close',
+            attrs: { type: 'button', 'aria-label': 'Dismiss notification' },
+            text: '×'
+        });
+
+        const element = r.el('div', {
+            className: `toast toast--${toast.severity}`,
+            attrs: { role: toast.severity === 'error' ? 'alert' : 'status' },
+            dataset: { toastId: toast.id }
+        }, [
+            r.el('div', { className: 'toast__body' }, [
+                toast.title ? r.el('strong', { className: 'toast__title', text: toast.title }) : null,
+                r.el('span', { className: 'toast__message', text: toast.message })
+            ]),
+            actionButton,
+            closeButton
+        ]);
+
+        if (actionButton) {
+            actionButton.addEventListener('click', () => {
+                try {
+                    toast.action.onClick?.();
+                } catch (error) {
+                    console.error('Error running toast action:', error);
+                }
+                this.dismiss(toast.id);
+            });
+        }
+
+        closeButton.addEventListener('click', () => this.dismiss(toast.id));
+
+        return element;
+    }
+
+    /**
+     * Create the toast region when the page does not provide one
+     * @returns {HTMLElement} - Toast region
+     */
+    createContainer() {
+        const container = this.renderer.el('div', {
+            className: 'toast-region',
+            attrs: { 'aria-live': 'polite', 'aria-label': 'Notifications' }
+        });
+
+        document.body.appendChild(container);
+        return container;
+    }
+}
@@ -0,0 +1,575 @@
+/**
+ * ==========================================================================
+ * WebMotion Dashboard - Local Mock Server
+ * ==========================================================================
+ * Description: Zero-dependency development server that serves the dashboard
+ * files and a stub REST API for the data providers.
+ *
+ * Usage:
+ *   node tools/mock-server.js [port]
+ *
+ * Then point the dashboard at it with:
+ *   <script src="assets/js/dashboard.js" data-source="rest" data-source-url="/api">
+ *
+ * Routes:
+ *   POST /api/auth/login        - Sign in ({ username, password }), returns { token, expiresAt, user }
+ *   POST /api/auth/logout       - End the session of the bearer token
+ *   GET /api/auth/session       - User of the bearer token (401 when missing or expired)
+ *   GET /api/dashboard          - Dashboard configuration (assets/data/dashboard.json)
+ *   GET /api/clients/:id        - Profile and records of a client ({ client, tabs })
+ *   GET /api/preferences/email  - Saved email preferences (404 until first saved)
+ *   PUT /api/preferences/email  - Save email preferences (kept in memory)
+ *   GET /api/notifications      - Notifications ({ notifications }), ?since=ISO for newer ones
+ *   GET /api/notifications/stream - Server-Sent Events: "snapshot", then "notification" events
+ *   POST /api/notifications     - Publish a notification ({ title, message, severity })
+ *   POST /api/records           - Add a record (tab) to a client ({ record, clientId }, kept in memory)
+ *   DELETE /api/records/:id     - Move a record (tab) into the trash ({ position, clientId })
+ *   GET /api/trash              - Trashed records and purged record IDs ({ entries, purged: [{ id, clientId }] })
+ *   POST /api/trash/:id/restore - Restore a trashed record (returns the trash entry), ?clientId=
+ *   DELETE /api/trash/:id       - Permanently delete a trashed record, ?clientId=
+ *
+ * Record IDs are only unique within a client, so the trash routes take the
+ * client of the record; without one they use the client of dashboard.json.
+ *   GET /*                      - Static files from the project root
+ *
+ * API requests with an unknown or expired bearer token get 401. Requests
+ * without a token are still answered, so the dashboard also works without
+ * signing in. Demo accounts are listed in DEMO_USERS.
+ * ==========================================================================
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_FILE = path.join(ROOT_DIR, 'assets', 'data', 'dashboard.json');
+const CLIENTS_DIR = path.join(ROOT_DIR, 'assets', 'data', 'clients');
+const PORT = Number(process.argv[2] || process.env.PORT || 3000);
+const DEMO_NOTIFICATION_INTERVAL = 60000;
+const SESSION_DURATION = 8 * 3600000;
+
+/**
+ * Demo accounts for the stub auth endpoint (roles match assets/data/dashboard.json)
+ */
+const DEMO_USERS = {
+    'david.warner': { password: 'webmotion', name: 'David Warner', email: 'david.warner@example.com', roles: ['admin'] },
+    'casey.nguyen': { password: 'webmotion', name: 'Casey Nguyen', email: 'casey.nguyen@example.com', roles: ['caseworker'] },
+    'vic.jones': { password: 'webmotion', name: 'Vic Jones', email: 'vic.jones@example.com', roles: ['viewer'] }
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read the dashboard data file from disk on every request
+ * so edits show up after a dashboard reload()
+ * @returns {Object} - Dashboard configuration
+ */
+function readDashboardData() {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+/**
+ * Read the profile and records of a client
+ * The client of the dashboard file is part of it; the others listed in its
+ * "clients" directory have a file of their own in assets/data/clients/
+ * @param {string} clientId - Client ID
+ * @returns {Object|null} - { client, tabs }, or null for an unknown client
+ */
+function readClientData(clientId) {
+    const data = readDashboardData();
+    if (String(data.client?.id) === clientId) {
+        return { client: data.client, tabs: data.tabs || [] };
+    }
+
+    // Only IDs from the directory are turned into file names
+    if (!(data.clients || []).some(entry => String(entry.id) === clientId)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(path.join(CLIENTS_DIR, `${path.basename(clientId)}.json`), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Client a request refers to, defaulting to the client of the main configuration
+ * @param {string|null} [clientId] - Client ID from the request
+ * @returns {string|null} - Client ID, or null when the configuration has no client
+ */
+function resolveClientId(clientId) {
+    if (clientId !== undefined && clientId !== null && clientId !== '') return String(clientId);
+
+    const data = readDashboardData();
+    return data.client ? String(data.client.id) : null;
+}
+
+/**
+ * Key of a record in the trash and the purged records
+ * @param {string|null} clientId - Client ID
+ * @param {string|number} recordId - Record ID
+ * @returns {string} - "clientId:recordId"
+ */
+function recordKey(clientId, recordId) {
+    return `${clientId ?? ''}:${recordId}`;
+}
+
+/**
+ * Records (tabs) of a client: those of its file followed by the ones added through the API
+ * @param {string|null} clientId - Client ID
+ * @param {Array<Object>} tabs - Records read from the file
+ * @returns {Array<Object>} - Records, trashed and purged ones included
+ */
+function withCreatedRecords(clientId, tabs) {
+    const created = state.createdRecords
+        .filter(item => item.clientId === clientId)
+        .map(item => item.record);
+
+    return [...tabs, ...created];
+}
+
+/**
+ * Records (tabs) of every client, grouped per client
+ * @returns {Array<Object>} - { clientId, tabs } of each client
+ */
+function readAllRecords() {
+    const data = readDashboardData();
+    const mainClientId = data.client ? String(data.client.id) : null;
+    const others = (data.clients || [])
+        .filter(entry => String(entry.id) !== mainClientId)
+        .map(entry => String(entry.id))
+        .map(clientId => ({ clientId, tabs: withCreatedRecords(clientId, readClientData(clientId)?.tabs || []) }));
+
+    return [{ clientId: mainClientId, tabs: withCreatedRecords(mainClientId, data.tabs || []) }, ...others];
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Promise<Object>} - Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * In-memory state (reset when the server restarts)
+ */
+const state = {
+    preferences: {},
+    notifications: [],
+    notificationCount: 0,
+    streams: new Set(),
+    createdRecords: [],
+    trash: [],
+    purgedRecords: new Map(),
+    sessions: new Map()
+};
+
+/**
+ * Look up the session of a request's bearer token
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Object|null} - { token, expiresAt, user }, or null without a token
+ */
+function findSession(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return null;
+
+    const session = state.sessions.get(match[1]);
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) {
+        state.sessions.delete(match[1]);
+        throw Object.assign(new Error('Session expired or invalid'), { status: 401 });
+    }
+    return session;
+}
+
+/**
+ * Check whether a record of a client was deleted (trashed or purged)
+ * @param {string|null} clientId - Client ID
+ * @param {string|number} recordId - Record ID
+ * @returns {boolean} - True when the record is left out of the dashboard
+ */
+function isDeletedRecord(clientId, recordId) {
+    const key = recordKey(clientId, recordId);
+    return state.purgedRecords.has(key) || state.trash.some(entry => recordKey(entry.clientId, entry.id) === key);
+}
+
+/**
+ * Find a trash entry or fail with 404
+ * @param {string|null} clientId - Client ID
+ * @param {string} recordId - Record ID
+ * @returns {Object} - Trash entry
+ */
+function findTrashEntry(clientId, recordId) {
+    const key = recordKey(clientId, recordId);
+    const entry = state.trash.find(item => recordKey(item.clientId, item.id) === key);
+    if (!entry) {
+        throw Object.assign(new Error(`Record ${recordId} is not in the trash`), { status: 404 });
+    }
+    return entry;
+}
+
+/**
+ * Create a notification with a unique ID
+ * @param {Object} fields - { title, message, severity, createdAt }
+ * @returns {Object} - Notification
+ */
+function createNotification({ title, message = '', severity = 'info', createdAt = new Date().toISOString() }) {
+    state.notificationCount += 1;
+    return { id: `n-${state.notificationCount}`, title, message, severity, createdAt };
+}
+
+/**
+ * Store a notification and push it to every open event stream
+ * @param {Object} notification - Notification to publish
+ */
+function publishNotification(notification) {
+    state.notifications.push(notification);
+    state.streams.forEach(stream => {
+        stream.write(`event: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+    });
+}
+
+// Seed notifications so the feed has something to show
+state.notifications.push(
+    createNotification({
+        title: 'Visa application submitted',
+        message: 'Subclass 190 application LW-SC190-0020 was lodged.',
+        severity: 'success',
+        createdAt: new Date(Date.now() - 26 * 3600000).toISOString()
+    }),
+    createNotification({
+        title: 'Document requested',
+        message: 'Upload a certified copy of the skills assessment.',
+        severity: 'warning',
+        createdAt: new Date(Date.now() - 2 * 3600000).toISOString()
+    })
+);
+
+/**
+ * API routes keyed by "METHOD /path"
+ */
+const apiRoutes = {
+    'POST /api/auth/login': async (req, res) => {
+        const { username, password } = await readJsonBody(req);
+        const account = DEMO_USERS[username];
+
+        if (!account || account.password !== password) {
+            sendJson(res, 401, { error: 'Incorrect username or password' });
+            return;
+        }
+
+        const { password: _password, ...user } = account;
+        const session = {
+            token: crypto.randomBytes(24).toString('hex'),
+            expiresAt: new Date(Date.now() + SESSION_DURATION).toISOString(),
+            user: { username, ...user }
+        };
+        state.sessions.set(session.token, session);
+        sendJson(res, 200, session);
+    },
+
+    'POST /api/auth/logout': (req, res) => {
+        const session = findSession(req);
+        if (session) state.sessions.delete(session.token);
+        sendJson(res, 200, {});
+    },
+
+    'GET /api/auth/session': (req, res) => {
+        const session = findSession(req);
+        if (!session) {
+            sendJson(res, 401, { error: 'Not signed in' });
+            return;
+        }
+        sendJson(res, 200, { user: session.user, expiresAt: session.expiresAt });
+    },
+
+    'GET /api/dashboard': (req, res) => {
+        const data = readDashboardData();
+        const clientId = resolveClientId(null);
+        const tabs = withCreatedRecords(clientId, data.tabs || []);
+        sendJson(res, 200, { ...data, tabs: tabs.filter(tab => !isDeletedRecord(clientId, tab.id)) });
+    },
+
+    'GET /api/clients/:id': (req, res, url, { id }) => {
+        const data = readClientData(id);
+        if (!data) {
+            sendJson(res, 404, { error: `Client ${id} not found` });
+            return;
+        }
+        const tabs = withCreatedRecords(id, data.tabs || []);
+        sendJson(res, 200, { client: data.client, tabs: tabs.filter(tab => !isDeletedRecord(id, tab.id)) });
+    },
+
+    'GET /api/preferences/email': (req, res) => {
+        if (!state.preferences.email) {
+            sendJson(res, 404, { error: 'No saved email preferences' });
+            return;
+        }
+        sendJson(res, 200, state.preferences.email);
+    },
+
+    'PUT /api/preferences/email': async (req, res) => {
+        const body = await readJsonBody(req);
+
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            sendJson(res, 400, { error: 'Expected a JSON object' });
+            return;
+        }
+
+        state.preferences.email = body;
+        sendJson(res, 200, body);
+    },
+
+    'GET /api/notifications': (req, res, url) => {
+        const since = url.searchParams.get('since');
+        const notifications = state.notifications.filter(item => !since || item.createdAt > since);
+
+        sendJson(res, 200, { notifications });
+    },
+
+    'GET /api/notifications/stream': (req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write(`event: snapshot\ndata: ${JSON.stringify(state.notifications)}\n\n`);
+
+        // Comment lines keep proxies from closing an idle connection
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+        state.streams.add(res);
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            state.streams.delete(res);
+        });
+    },
+
+    'POST /api/notifications': async (req, res) => {
+        const body = await readJsonBody(req);
+
+        if (!body.title) {
+            sendJson(res, 400, { error: 'A notification needs a title' });
+            return;
+        }
+
+        const notification = createNotification(body);
+        publishNotification(notification);
+        sendJson(res, 201, notification);
+    },
+
+    'POST /api/records': async (req, res) => {
+        const body = await readJsonBody(req);
+        const record = body.record;
+        const clientId = resolveClientId(body.clientId);
+        const group = readAllRecords().find(item => item.clientId === clientId);
+
+        if (!record || typeof record !== 'object' || record.id === undefined || !record.title) {
+            sendJson(res, 400, { error: 'A record needs an id and a title' });
+            return;
+        }
+        if (!group) {
+            sendJson(res, 404, { error: `Client ${clientId} not found` });
+            return;
+        }
+
+        // Trashed and purged IDs stay taken
+        const id = String(record.id);
+        if (group.tabs.some(tab => String(tab.id) === id) || isDeletedRecord(clientId, id)) {
+            sendJson(res, 409, { error: `Record ${id} already exists` });
+            return;
+        }
+
+        state.createdRecords.push({ clientId, record });
+        sendJson(res, 201, record);
+    },
+
+    'DELETE /api/records/:id': async (req, res, url, { id }) => {
+        const body = await readJsonBody(req);
+        const clientId = resolveClientId(body.clientId);
+        const { tabs = [] } = readAllRecords().find(group => group.clientId === clientId) || {};
+        const record = tabs.find(tab => String(tab.id) === id);
+
+        if (!record || isDeletedRecord(clientId, id)) {
+            sendJson(res, 404, { error: `Record ${id} not found` });
+            return;
+        }
+
+        const entry = {
+            id,
+            record,
+            position: Number.isInteger(body.position) ? body.position : tabs.indexOf(record),
+            clientId,
+            deletedAt: new Date().toISOString()
+        };
+        state.trash.push(entry);
+        sendJson(res, 200, entry);
+    },
+
+    'GET /api/trash': (req, res) => {
+        const entries = [...state.trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        sendJson(res, 200, { entries, purged: [...state.purgedRecords.values()] });
+    },
+
+    'POST /api/trash/:id/restore': (req, res, url, { id }) => {
+        const entry = findTrashEntry(resolveClientId(url.searchParams.get('clientId')), id);
+        state.trash = state.trash.filter(item => item !== entry);
+        sendJson(res, 200, entry);
+    },
+
+    'DELETE /api/trash/:id': (req, res, url, { id }) => {
+        const entry = findTrashEntry(resolveClientId(url.searchParams.get('clientId')), id);
+        state.trash = state.trash.filter(item => item !== entry);
+        state.purgedRecords.set(recordKey(entry.clientId, entry.id), { id: entry.id, clientId: entry.clientId });
+        sendJson(res, 200, { id });
+    }
+};
+
+/**
+ * Find the route for a request
+ * Route keys may contain ":name" segments, passed to the handler as params
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {Object|null} - { handler, params } or null when nothing matches
+ */
+function findRoute(method, pathname) {
+    const segments = pathname.split('/');
+
+    for (const [key, handler] of Object.entries(apiRoutes)) {
+        const [routeMethod, routePath] = key.split(' ');
+        const routeSegments = routePath.split('/');
+        if (routeMethod !== method || routeSegments.length !== segments.length) continue;
+
+        const params = {};
+        const matches = routeSegments.every((segment, index) => {
+            if (segment.startsWith(':')) {
+                params[segment.slice(1)] = decodeURIComponent(segments[index]);
+                return true;
+            }
+            return segment === segments[index];
+        });
+
+        if (matches) return { handler, params };
+    }
+
+    return null;
+}
+
+/**
+ * Serve a static file from the project root
+ * @param {http.IncomingMessage} req - Request object
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} pathname - Decoded request path
+ */
+function serveStatic(req, res, pathname) {
+    const filePath = path.join(ROOT_DIR, pathname === '/' ? 'index.html' : pathname);
+
+    // Never serve files outside the project root (a prefix check would also let sibling folders through)
+    const relativePath = path.relative(ROOT_DIR, filePath);
+    if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+        sendJson(res, 403, { error: 'Forbidden' });
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const { pathname } = url;
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        });
+        res.end();
+        return;
+    }
+
+    const handleError = (error) => {
+        if (!error.status) console.error('Mock server error:', error);
+        sendJson(res, error.status || 500, { error: error.message });
+    };
+
+    try {
+        const route = findRoute(req.method, pathname);
+
+        // Reject unknown or expired tokens before any route runs
+        if (route && pathname !== '/api/auth/login') {
+            findSession(req);
+        }
+
+        if (route) {
+            Promise.resolve(route.handler(req, res, url, route.params)).catch(handleError);
+        } else if (pathname.startsWith('/api/')) {
+            sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+        } else {
+            serveStatic(req, res, decodeURIComponent(pathname));
+        }
+    } catch (error) {
+        handleError(error);
+    }
+});
+
+// Publish a demo notification now and then so live updates can be seen
+const demoTimer = setInterval(() => {
+    publishNotification(createNotification({
+        title: 'Case updated',
+        message: `Status checked at ${new Date().toLocaleTimeString()}.`
+    }));
+}, DEMO_NOTIFICATION_INTERVAL);
+demoTimer.unref();
+
+server.listen(PORT, () => {
+    console.log(`WebMotion mock server running at http://localhost:${PORT}`);
+});